@@ -1,12 +1,15 @@
 import * as THREE from 'three';
 import { PhysicsWorld } from '../physics/physicsWorld.js';
 import { Car } from '../gameplay/car.js';
+import { CarPrediction } from '../gameplay/carPrediction.js';
 import { CameraController } from '../core/cameraController.js';
 import { NetworkManager } from '../network/networkManager.js';
 import { MapLoader } from '../gameplay/mapLoader.js';
 import { InputHandler } from '../gameplay/inputHandler.js';
 import { MapEditor } from '../gameplay/mapEditor.js';
-import { PHYSICS } from '../../../shared/constants.js';
+import { PHYSICS, BALL, BOTS } from '../../../shared/constants.js';
+import { MATCH_SETTINGS, defaultMatchSettings } from '../../../shared/matchSettings.js';
+import { formatMapErrors } from '../../../shared/mapSchema.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 
 const DEATH_THRESHOLD = PHYSICS.DEATH_THRESHOLD;
@@ -18,18 +21,32 @@ export class Game {
     this.renderer = null;
     this.physicsWorld = null;
     this.car = null;
+    this.prediction = null; // CarPrediction for this.car in multiplayer
     this.remotePlayers = new Map(); // playerId -> { mesh, team }
+    this.playerNames = new Map(); // playerId -> display name (from the lobby roster)
+    this.hostId = null; // lobby host's playerId
+    this.mapVoteCountdown = null; // lobby map vote timer display
+    this.matchSettings = defaultMatchSettings(); // rules echoed by the server
+    this.matchClockPhase = null; // last clock phase shown, to announce overtime / sudden death once
+    this.gameMode = 'ctf'; // server game mode id, picks which HUD to show
+    this.modeLabels = { ctf: 'Capture the Flag' }; // mode id -> name (from the server's list)
+    this.modeHud = {}; // latest mode HUD state from the server
+    this.ball = null; // soccer ball { mesh, netHistory, ... }, created from snapshots
     this.cameraController = null;
     this.networkManager = null;
     this.mapLoader = null;
     this.inputHandler = null;
     this.mapEditor = null;
     this.isMultiplayer = false;
+    this.isSpectator = false; // Watching a match without a car of our own
+    this.spectateTargetId = null; // Remote playerId the spectator camera follows
     this.playerId = null;
     this.team = null;
     this.gameState = 'lobby'; // lobby, waiting, playing, ended
     this.respawnTime = 0; // Timestamp when player will respawn
     this.respawnTimerInterval = null;
+    this.availableMaps = []; // Lobby map list from the server, each with the modes it suits
+    this.lobbyMapId = null; // Map the lobby has picked
     
     this.animationFrameId = null;
     this.lastTime = 0;
@@ -176,6 +193,12 @@ export class Game {
     console.log('✅ Join button found:', joinButton);
     console.log('Button text:', joinButton.textContent);
     
+    // Remember the last name used on this browser
+    const nameInput = document.getElementById('nameInput');
+    if (nameInput) {
+      nameInput.value = localStorage.getItem('ragetrack.name') || '';
+    }
+
     // Remove any existing listeners
     const newButton = joinButton.cloneNode(true);
     joinButton.parentNode.replaceChild(newButton, joinButton);
@@ -197,7 +220,9 @@ export class Game {
       
       console.log('Calling networkManager.joinGame()...');
       try {
-        this.networkManager.joinGame();
+        const name = (nameInput?.value || '').trim();
+        localStorage.setItem('ragetrack.name', name);
+        this.networkManager.joinGame({ name });
         btn.disabled = true;
         // Change button image to show connecting state
         const img = btn.querySelector('img');
@@ -221,6 +246,26 @@ export class Game {
     
     console.log('✅ Join button handler attached successfully');
 
+    const spectateButton = document.getElementById('spectateButton');
+    if (spectateButton) {
+      spectateButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (!this.networkManager) return;
+        this.networkManager.spectate();
+        spectateButton.disabled = true;
+        const joinBtn = document.getElementById('joinButton');
+        if (joinBtn) joinBtn.disabled = true;
+      });
+    }
+
+    // Spectators: Tab cycles which car the camera follows
+    window.addEventListener('keydown', (e) => {
+      if (!this.isSpectator || e.key !== 'Tab') return;
+      e.preventDefault();
+      this.cycleSpectateTarget();
+    });
+
     // Lobby Map Editor button (blank editor session)
     const lobbyEditorBtn = document.getElementById('lobbyEditorBtn');
     if (lobbyEditorBtn) {
@@ -231,6 +276,104 @@ export class Game {
       });
     }
     
+    // Lobby team picks (the server enforces balance)
+    document.querySelectorAll('#teamSelect [data-team]').forEach((button) => {
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.networkManager?.selectTeam(button.dataset.team || null);
+      });
+    });
+
+    // Host controls (the server checks we're really the host)
+    const autoBalanceToggle = document.getElementById('autoBalanceToggle');
+    if (autoBalanceToggle) {
+      autoBalanceToggle.addEventListener('change', () => {
+        this.networkManager?.setMatchOptions({ autoBalance: autoBalanceToggle.checked });
+      });
+    }
+    const mapVoteToggle = document.getElementById('mapVoteToggle');
+    if (mapVoteToggle) {
+      mapVoteToggle.addEventListener('change', () => {
+        this.networkManager?.setMatchOptions({ mapVote: mapVoteToggle.checked });
+      });
+    }
+    const mapSelect = document.getElementById('mapSelect');
+    if (mapSelect) {
+      mapSelect.addEventListener('change', () => {
+        if (mapSelect.value) {
+          this.networkManager?.selectMap(mapSelect.value);
+        }
+      });
+    }
+    const modeSelect = document.getElementById('modeSelect');
+    if (modeSelect) {
+      modeSelect.addEventListener('change', () => {
+        // If the current map can't be played in the new mode, bring the first one that can
+        const current = this.availableMaps.find((map) => map.id === this.lobbyMapId);
+        const fitting = current?.modes?.includes(modeSelect.value)
+          ? null
+          : this.availableMaps.find((map) => map.modes?.includes(modeSelect.value));
+        this.networkManager?.setMatchOptions({ mode: modeSelect.value, ...(fitting ? { mapId: fitting.id } : {}) });
+      });
+    }
+    const forceStartButton = document.getElementById('forceStartButton');
+    if (forceStartButton) {
+      forceStartButton.addEventListener('click', () => this.networkManager?.forceStart());
+    }
+    const botDifficultySelect = document.getElementById('botDifficultySelect');
+    if (botDifficultySelect) {
+      BOTS.DIFFICULTIES.forEach((difficulty) => {
+        const option = document.createElement('option');
+        option.value = difficulty;
+        option.textContent = difficulty[0].toUpperCase() + difficulty.slice(1);
+        botDifficultySelect.appendChild(option);
+      });
+      botDifficultySelect.value = BOTS.DEFAULT_DIFFICULTY;
+    }
+    const addBotButton = document.getElementById('addBotButton');
+    if (addBotButton) {
+      addBotButton.addEventListener('click', () => this.networkManager?.addBot(botDifficultySelect?.value));
+    }
+    const fillBotsButton = document.getElementById('fillBotsButton');
+    if (fillBotsButton) {
+      fillBotsButton.addEventListener('click', () => this.networkManager?.fillBots(botDifficultySelect?.value));
+    }
+    const settingsInputs = document.getElementById('matchSettingsInputs');
+    if (settingsInputs) {
+      Object.entries(MATCH_SETTINGS).forEach(([key, range]) => {
+        const label = document.createElement('label');
+        label.textContent = range.label;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = range.min;
+        input.max = range.max;
+        input.step = range.step;
+        input.dataset.setting = key;
+        input.value = this.matchSettings[key];
+        input.addEventListener('change', () => {
+          this.networkManager?.setMatchOptions({ settings: { [key]: Number(input.value) } });
+        });
+        label.appendChild(input);
+        settingsInputs.appendChild(label);
+      });
+    }
+    const claimHostButton = document.getElementById('claimHostButton');
+    if (claimHostButton) {
+      claimHostButton.addEventListener('click', () => {
+        const password = window.prompt('Host password');
+        if (password) this.networkManager?.claimHost(password);
+      });
+    }
+
+    // Mid-match: ask to move to the other side
+    const switchTeamBtn = document.getElementById('switchTeamBtn');
+    if (switchTeamBtn) {
+      switchTeamBtn.addEventListener('click', () => {
+        if (!this.isMultiplayer || !this.team) return;
+        this.networkManager?.selectTeam(this.team === 'red' ? 'blue' : 'red');
+      });
+    }
+    
     const readyButton = document.getElementById('readyButton');
     const notReadyButton = document.getElementById('notReadyButton');
     if (readyButton) {
@@ -303,6 +446,8 @@ export class Game {
     this.remotePlayers?.forEach?.((remote) => {
       if (remote?.mesh) this.scene?.remove?.(remote.mesh);
       if (remote?.flagIndicator) this.scene?.remove?.(remote.flagIndicator);
+      if (remote?.nameLabel) this.scene?.remove?.(remote.nameLabel);
+      if (remote?.infectedAura) this.scene?.remove?.(remote.infectedAura);
     });
     this.remotePlayers?.clear?.();
 
@@ -369,6 +514,53 @@ export class Game {
         statusEl.style.color = '#4CAF50';
       }
     });
+
+    this.networkManager.on('socketDisconnected', () => {
+      const statusEl = document.getElementById('connectionStatus');
+      if (statusEl) {
+        statusEl.textContent = 'Connection lost - reconnecting...';
+        statusEl.style.color = '#ff9800';
+      }
+    });
+
+    this.networkManager.on('sessionResumed', (data) => {
+      this.playerId = data.playerId;
+      this.team = data.team;
+      this.isSpectator = false;
+      console.log('▶️ Back in the match as:', this.playerId, this.team);
+      const statusEl = document.getElementById('connectionStatus');
+      if (statusEl) {
+        statusEl.textContent = 'Reconnected';
+        statusEl.style.color = '#4CAF50';
+      }
+      const joinButton = document.getElementById('joinButton');
+      if (joinButton) joinButton.disabled = true;
+    });
+
+    this.networkManager.on('sessionExpired', () => {
+      // Our old car is gone; let the player join again.
+      const statusEl = document.getElementById('connectionStatus');
+      if (statusEl) {
+        statusEl.textContent = 'Session expired - click Join Game';
+        statusEl.style.color = '#ff9800';
+      }
+      const joinButton = document.getElementById('joinButton');
+      if (joinButton && this.gameState !== 'playing') {
+        joinButton.disabled = false;
+        const img = joinButton.querySelector('img');
+        if (img) {
+          img.src = '/images/joinGameButton.png';
+          img.style.opacity = '1';
+        }
+      }
+    });
+
+    this.networkManager.on('roomJoined', (data) => {
+      const statusEl = document.getElementById('connectionStatus');
+      if (statusEl) {
+        statusEl.textContent = `Connected to server (room: ${data.roomId})`;
+      }
+    });
     
     this.networkManager.on('connected', (data) => {
       this.playerId = data.playerId;
@@ -390,29 +582,127 @@ export class Game {
       }
     });
 
+    this.networkManager.on('spectating', () => {
+      this.isSpectator = true;
+      console.log('👀 Spectating match');
+      const statusEl = document.getElementById('connectionStatus');
+      if (statusEl) {
+        statusEl.textContent = 'Spectating - waiting for the match';
+        statusEl.style.color = '#4CAF50';
+      }
+    });
+
     this.networkManager.on('gameState', (stateData) => {
       this.handleGameState(stateData);
     });
 
-    const applySnapshot = (updates) => {
-      if (!this.isMultiplayer || !updates) return;
+    this.networkManager.on('teamChanged', (data) => {
+      if (data.playerId !== this.playerId) return;
+      this.team = data.team;
+      this.updateUI();
+      if (data.reason === 'rebalance') {
+        this.showGameMessage(`Teams were uneven - you are now on ${data.team.toUpperCase()}`);
+      }
+    });
+
+    this.networkManager.on('teamRejected', (data) => {
+      console.warn('⚠️ Team change rejected:', data?.reason);
+      const statusEl = document.getElementById('connectionStatus');
+      if (statusEl && this.gameState !== 'playing') {
+        statusEl.textContent = data?.reason || 'Team change rejected';
+        statusEl.style.color = '#ff9800';
+      } else {
+        this.showGameMessage(data?.reason || 'Team change rejected');
+      }
+    });
+
+    this.networkManager.on('permissionDenied', (data) => {
+      const message = data?.reason || 'Only the lobby host can do that';
+      if (this.mapEditor?.isEditing || data?.action === 'customMap') {
+        alert(message);
+        return;
+      }
+      const statusEl = document.getElementById('connectionStatus');
+      if (statusEl) {
+        statusEl.textContent = message;
+        statusEl.style.color = '#ff9800';
+      }
+    });
+
+    this.networkManager.on('mapRejected', (data) => {
+      alert('The server rejected the map:\n' + formatMapErrors(data?.errors || []).join('\n'));
+    });
+
+    // Our editor map is in the server's library now; playing it again saves a new version
+    this.networkManager.on('mapSaved', (data) => {
+      // A new map comes with its edit token; later versions of the same map don't repeat it
+      if (this.mapEditor && this.mapEditor.libraryMapId !== data.id) {
+        this.mapEditor.libraryMapId = data.id;
+        this.mapEditor.libraryMapToken = data.editToken || null;
+      }
+      const statusEl = document.getElementById('connectionStatus');
+      if (statusEl) {
+        statusEl.textContent = `Saved "${data.name}" (version ${data.version})`;
+        statusEl.style.color = '#4CAF50';
+      }
+    });
+
+    this.networkManager.on('mapVoteResult', (data) => {
+      const statusEl = document.getElementById('connectionStatus');
+      if (statusEl) {
+        statusEl.textContent = `Next map: ${data.name} (${data.votes} vote${data.votes === 1 ? '' : 's'})`;
+        statusEl.style.color = '#4CAF50';
+      }
+    });
+
+    this.networkManager.on('respawnRejected', (data) => {
+      this.showGameMessage(`Back to spawn available again in ${data?.retryIn || 1}s`);
+    });
+
+    this.networkManager.on('settingsRejected', (data) => {
+      const statusEl = document.getElementById('connectionStatus');
+      if (statusEl) {
+        statusEl.textContent = (data?.errors || []).join(', ') || 'Invalid match settings';
+        statusEl.style.color = '#ff9800';
+      }
+    });
+
+    this.networkManager.on('kicked', () => {
+      alert('You were removed from the lobby by the host.');
+      window.location.reload();
+    });
+
+    this.networkManager.on('roster', (roster) => {
+      this.renderRoster(roster);
+    });
+
+    const applySnapshot = (snapshot) => {
+      if (!this.isMultiplayer || !snapshot) return;
+      // "_"-prefixed keys are mode entities (the soccer ball), everything else is a car
+      const { _ball: ballState, ...updates } = snapshot;
+      if (ballState) this.updateBall(ballState);
 
       // Update local player from server snapshot (minimal multiplayer style)
       const myState = this.playerId ? updates[this.playerId] : null;
-      if (myState && Number.isFinite(Number(myState.t))) {
+      // Spectators have no state of their own; any car carries the same server timestamp.
+      const clockState = myState || Object.values(updates)[0];
+      if (clockState && Number.isFinite(Number(clockState.t))) {
         const now = (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
-        const st = Number(myState.t);
+        const st = Number(clockState.t);
         const estOffset = now - st;
         this.netTimeOffsetMs = (this.netTimeOffsetMs == null) ? estOffset : (this.netTimeOffsetMs * 0.9 + estOffset * 0.1);
       }
       if (myState && this.car && typeof this.car.applyServerState === 'function') {
+        // Kept up to date for the moments before prediction can run (car body not created yet)
         this.car.applyServerState(myState);
         this.car.setEliminated?.(!!myState.eliminated);
+        this.car.hasFlag = !!myState.hasFlag; // flag carriers handle worse, predict that too
         // Update flag visual on local car
         if (myState.carryingFlag) {
           console.log('🚩 Local player carrying flag:', myState.carryingFlag);
         }
         this.updateCarFlagVisual(this.car, myState.carryingFlag);
+        this.updateInfectedVisual(this.car, !!myState.infected);
       }
 
       // Update remote players
@@ -435,41 +725,23 @@ export class Game {
         const mesh = remote.mesh;
         if (!mesh) return;
 
-        const pos = state.position || [0, 2, 0];
-        // Store snapshot history for interpolation (prevents big-turn jitter)
-        remote.netHistory = remote.netHistory || [];
-        remote.netRenderDelayMs = remote.netRenderDelayMs ?? 150;
-        remote.netSmoothedPos = remote.netSmoothedPos || null;
-        remote.netSmoothedQuat = remote.netSmoothedQuat || null;
-        const nowLocal = (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
-        const st = Number(state.t);
-        const nowServer = (Number.isFinite(st) ? st : ((this.netTimeOffsetMs == null) ? nowLocal : (nowLocal - this.netTimeOffsetMs)));
-        remote.netHistory.push({
-          t: nowServer,
-          pos: new THREE.Vector3(pos[0], pos[1], pos[2]),
-          rot: state.rotation || [0, 0, 0, 1],
-        });
-        if (remote.netHistory.length > 10) remote.netHistory.splice(0, remote.netHistory.length - 10);
-
+        this.pushNetState(remote, state);
         mesh.visible = !state.eliminated;
         
         // Update flag visual on remote player
         this.updateRemoteFlagVisual(remote, state.carryingFlag);
+        this.updateInfectedVisual(remote, !!state.infected && !state.eliminated);
       });
     };
 
-    // Legacy (main server) + minimal-style event (minimal server pattern)
-    // IMPORTANT: Our server currently emits BOTH `playerUpdate` and `snapshot` each tick.
-    // Feeding both into interpolation buffers causes jitter (especially on sharp turns).
-    // Prefer `snapshot`, but fall back to `playerUpdate` if snapshot isn't used.
-    this._usingSnapshotEvent = false;
-    this.networkManager.on('snapshot', (updates) => {
-      this._usingSnapshotEvent = true;
-      applySnapshot(updates);
-    });
-    this.networkManager.on('playerUpdate', (updates) => {
-      if (this._usingSnapshotEvent) return;
-      applySnapshot(updates);
+    // One snapshot per server tick (decoded from the binary deltas by NetworkManager)
+    this.networkManager.on('snapshot', applySnapshot);
+
+    // The server's exact state of our car and the last input it applied: correct the prediction
+    this.networkManager.on('ownCarState', (state) => {
+      if (this.prediction && this.prediction.car === this.car) {
+        this.prediction.reconcile(state);
+      }
     });
 
     this.networkManager.on('spawn', (data) => {
@@ -488,6 +760,18 @@ export class Game {
       this.endGame(data);
     });
 
+    this.networkManager.on('raceProgress', (data) => {
+      this.handleRaceProgress(data);
+    });
+
+    this.networkManager.on('hudUpdate', (hud) => {
+      this.updateModeHud(hud);
+    });
+
+    this.networkManager.on('timeUpdate', (state) => {
+      this.updateMatchClock(state);
+    });
+
     this.networkManager.on('scoreUpdate', (scores) => {
       this.updateScoreboard(scores);
     });
@@ -594,6 +878,21 @@ export class Game {
     }
   }
 
+  // Green glow around infected cars (infection mode). Works for the local car and remote players.
+  updateInfectedVisual(entity, infected) {
+    if (!entity) return;
+    if (!entity.infectedAura) {
+      if (!infected) return;
+      const aura = new THREE.Mesh(
+        new THREE.SphereGeometry(4, 16, 12),
+        new THREE.MeshBasicMaterial({ color: 0x33ff66, transparent: true, opacity: 0.3, depthWrite: false })
+      );
+      this.scene.add(aura);
+      entity.infectedAura = aura;
+    }
+    entity.infectedAura.visible = infected;
+  }
+
   // Update flag positions to follow cars (called in render loop)
   updateFlagIndicatorPositions() {
     // Update local car's flag position
@@ -610,9 +909,278 @@ export class Game {
         const meshPos = remote.mesh.position;
         remote.flagIndicator.position.set(meshPos.x, meshPos.y + 2, meshPos.z);
       }
+      if (remote.infectedAura?.visible && remote.mesh) {
+        remote.infectedAura.position.copy(remote.mesh.position);
+      }
+    });
+
+    const carPos = this.car?.position || this.car?.tempMesh?.position;
+    if (this.car?.infectedAura?.visible && carPos) {
+      this.car.infectedAura.position.set(carPos.x, carPos.y, carPos.z);
+    }
+  }
+
+  // Floating name tag for a remote car (canvas texture on a sprite, always faces the camera)
+  createNameLabel(name, team) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.font = 'bold 32px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    const textWidth = Math.min(canvas.width, ctx.measureText(name).width + 24);
+    ctx.fillRect((canvas.width - textWidth) / 2, 8, textWidth, 48);
+    ctx.fillStyle = team === 'blue' ? '#8888ff' : team === 'red' ? '#ff6666' : '#ffffff';
+    ctx.fillText(name, canvas.width / 2, canvas.height / 2, canvas.width - 16);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const material = new THREE.SpriteMaterial({ map: texture, depthTest: false, transparent: true });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(8, 2, 1);
+    sprite.renderOrder = 10;
+    return sprite;
+  }
+
+  setRemoteNameLabel(remote, name) {
+    if (!remote || !name) return;
+    if (remote.nameLabel && remote.labelName === name && remote.labelTeam === remote.team) return;
+    if (remote.nameLabel) {
+      this.scene.remove(remote.nameLabel);
+      remote.nameLabel.material.map?.dispose();
+      remote.nameLabel.material.dispose();
+    }
+    remote.nameLabel = this.createNameLabel(name, remote.team);
+    remote.labelName = name;
+    remote.labelTeam = remote.team;
+    this.scene.add(remote.nameLabel);
+  }
+
+  // Keep name tags above remote cars (called in render loop)
+  updateNameLabelPositions() {
+    this.remotePlayers.forEach((remote) => {
+      if (!remote.nameLabel || !remote.mesh) return;
+      const meshPos = remote.mesh.position;
+      remote.nameLabel.position.set(meshPos.x, meshPos.y + (remote.carryingFlagTeam ? 6 : 4), meshPos.z);
+      remote.nameLabel.visible = remote.mesh.visible;
+    });
+  }
+
+  // Lobby player list: name, team, ready state and ping for everyone in the room
+  renderRoster(roster) {
+    if (!Array.isArray(roster)) return;
+
+    roster.forEach((entry) => this.playerNames.set(entry.playerId, entry.name));
+    this.remotePlayers.forEach((remote, playerId) => {
+      this.setRemoteNameLabel(remote, this.playerNames.get(playerId));
+    });
+
+    const list = document.getElementById('lobbyRoster');
+    if (!list) return;
+    list.textContent = '';
+    roster.forEach((entry) => {
+      const row = document.createElement('li');
+
+      // Names are user input: only ever set them as text
+      const nameEl = document.createElement('span');
+      nameEl.className = 'roster-name';
+      if (entry.team) nameEl.classList.add(`${entry.team}-team`);
+      if (entry.playerId === this.playerId) nameEl.classList.add('roster-you');
+      nameEl.textContent = (entry.playerId === this.hostId ? '👑 ' : entry.bot ? '🤖 ' : '') +
+        (entry.playerId === this.playerId ? `${entry.name} (you)` : entry.name);
+
+      const statusEl = document.createElement('span');
+      if (entry.disconnected) {
+        statusEl.textContent = 'reconnecting...';
+        statusEl.style.color = '#ff9800';
+      } else {
+        statusEl.textContent = entry.ready ? 'Ready' : 'Not ready';
+        statusEl.style.color = entry.ready ? '#4CAF50' : '#ccc';
+      }
+
+      const pingEl = document.createElement('span');
+      pingEl.className = 'roster-ping';
+      if (entry.bot) {
+        pingEl.textContent = entry.difficulty;
+      } else {
+        pingEl.textContent = Number.isFinite(entry.ping) ? `${entry.ping} ms` : '-';
+      }
+
+      row.append(nameEl, statusEl, pingEl);
+
+      // Host can kick anyone else (or remove a bot) or hand over the host role
+      if (this.hostId && this.hostId === this.playerId && entry.playerId !== this.playerId) {
+        const actions = document.createElement('span');
+        actions.className = 'roster-actions';
+        const kickButton = document.createElement('button');
+        kickButton.textContent = entry.bot ? 'Remove' : 'Kick';
+        kickButton.addEventListener('click', () => this.networkManager?.kickPlayer(entry.playerId));
+        actions.appendChild(kickButton);
+        if (!entry.bot) {
+          const hostButton = document.createElement('button');
+          hostButton.textContent = 'Make host';
+          hostButton.addEventListener('click', () => this.networkManager?.transferHost(entry.playerId));
+          actions.appendChild(hostButton);
+        }
+        row.appendChild(actions);
+      }
+      list.appendChild(row);
+    });
+  }
+
+  // Team pick buttons: only for joined players in the lobby; highlight our current pick
+  updateTeamSelect(stateData) {
+    const teamSelect = document.getElementById('teamSelect');
+    if (!teamSelect) return;
+    const inLobby = (stateData.state || 'lobby') === 'lobby';
+    const joined = !!this.playerId && !this.isSpectator;
+    teamSelect.style.display = inLobby && joined ? 'block' : 'none';
+
+    const me = (stateData.roster || []).find((entry) => entry.playerId === this.playerId);
+    const myPick = me?.team || '';
+    teamSelect.querySelectorAll('[data-team]').forEach((button) => {
+      button.classList.toggle('selected', !stateData.autoBalance && button.dataset.team === myPick);
+      button.disabled = !!stateData.autoBalance;
+    });
+  }
+
+  // Map vote: one button per candidate with its vote count, ours highlighted. The countdown
+  // runs locally from the endsIn the server last sent.
+  updateMapVote(stateData) {
+    const panel = document.getElementById('mapVote');
+    const options = document.getElementById('mapVoteOptions');
+    if (!panel || !options) return;
+    const vote = stateData.state === 'voting' ? stateData.mapVote : null;
+    clearInterval(this.mapVoteCountdown);
+    panel.style.display = vote ? 'block' : 'none';
+    if (!vote) return;
+
+    const canVote = !!this.playerId && !this.isSpectator;
+    const myVote = vote.ballots?.[this.playerId];
+    options.textContent = '';
+    vote.candidates.forEach((candidate) => {
+      const button = document.createElement('button');
+      button.className = 'lobby-secondary-btn';
+      button.classList.toggle('selected', candidate.id === myVote);
+      button.disabled = !canVote;
+      button.textContent = `${candidate.name} · ${candidate.votes} vote${candidate.votes === 1 ? '' : 's'}`;
+      button.title = `by ${candidate.author}`;
+      button.addEventListener('click', () => this.networkManager?.voteMap(candidate.id));
+      options.appendChild(button);
+    });
+
+    const timer = document.getElementById('mapVoteTimer');
+    const endsAt = Date.now() + vote.endsIn * 1000;
+    const showTimeLeft = () => {
+      if (timer) timer.textContent = `(${Math.max(0, Math.ceil((endsAt - Date.now()) / 1000))}s)`;
+    };
+    showTimeLeft();
+    this.mapVoteCountdown = setInterval(showTimeLeft, 1000);
+  }
+
+  // Host panel (map, options, force start) only for the host; Claim Host when a password is set up
+  updateHostPanel(stateData) {
+    this.hostId = stateData.hostId || null;
+    const inLobby = (stateData.state || 'lobby') === 'lobby';
+    const joined = !!this.playerId && !this.isSpectator;
+    const isHost = joined && this.hostId === this.playerId;
+
+    const hostPanel = document.getElementById('hostPanel');
+    if (hostPanel) hostPanel.style.display = inLobby && isHost ? 'block' : 'none';
+    const claimHostButton = document.getElementById('claimHostButton');
+    if (claimHostButton) {
+      claimHostButton.style.display = inLobby && joined && !isHost && stateData.hostPasswordEnabled ? 'inline-block' : 'none';
+    }
+
+    const autoBalanceToggle = document.getElementById('autoBalanceToggle');
+    if (autoBalanceToggle) autoBalanceToggle.checked = !!stateData.autoBalance;
+    const mapVoteToggle = document.getElementById('mapVoteToggle');
+    if (mapVoteToggle) mapVoteToggle.checked = !!stateData.mapVoteEnabled;
+
+    const modeSelect = document.getElementById('modeSelect');
+    if (modeSelect && Array.isArray(stateData.availableModes)) {
+      modeSelect.textContent = '';
+      stateData.availableModes.forEach((mode) => {
+        const option = document.createElement('option');
+        option.value = mode.id;
+        option.textContent = mode.label;
+        modeSelect.appendChild(option);
+      });
+      modeSelect.value = stateData.mode || 'ctf';
+    }
+
+    this.availableMaps = stateData.availableMaps || [];
+    this.lobbyMapId = stateData.mapId || null;
+    const mapSelect = document.getElementById('mapSelect');
+    if (mapSelect) {
+      mapSelect.textContent = '';
+      this.availableMaps.forEach((map) => {
+        const option = document.createElement('option');
+        option.value = map.id;
+        option.textContent = map.source === 'builtin' ? map.name : `${map.name} (by ${map.author})`;
+        // Maps without what the mode needs (flags, hills, checkpoints...) can't be picked
+        option.disabled = !!map.modes && !map.modes.includes(stateData.mode);
+        mapSelect.appendChild(option);
+      });
+      mapSelect.value = stateData.mapId || '';
+    }
+
+    const forceStartButton = document.getElementById('forceStartButton');
+    if (forceStartButton) forceStartButton.disabled = (stateData.playerCount || 0) < this.matchSettings.minPlayers;
+
+    // Don't overwrite a field the host is typing in; only show settings the selected mode uses
+    document.querySelectorAll('#matchSettingsInputs input').forEach((input) => {
+      if (document.activeElement !== input) input.value = this.matchSettings[input.dataset.setting];
+      const modes = MATCH_SETTINGS[input.dataset.setting]?.modes;
+      input.parentElement.style.display = !modes || modes.includes(this.gameMode) ? '' : 'none';
     });
   }
 
+  applyMatchSettings(settings) {
+    if (!settings) return;
+    this.matchSettings = { ...this.matchSettings, ...settings };
+    const s = this.matchSettings;
+    const rules = document.getElementById('matchRules');
+    if (rules) {
+      const respawn = this.gameMode === 'sumo' ? 'no respawns' : `${s.respawnDelay}s respawn`;
+      rules.textContent = `${this.modeLabels[this.gameMode] || this.gameMode} · ` +
+        `${this.objectiveText()} · ${respawn} · ${s.minPlayers}+ players`;
+    }
+    const winScoreLabel = document.getElementById('winScoreLabel');
+    if (winScoreLabel) {
+      const labels = {
+        sumo: `Best of ${s.rounds}`,
+        race: `${s.laps} laps · laps scored`,
+        koth: `First to ${s.hillTarget}s`,
+        soccer: `First to ${s.goalsToWin} goals`,
+        infection: `First car to ${s.survivalTarget}s`,
+      };
+      winScoreLabel.textContent = labels[this.gameMode] || `First to ${s.winScore}`;
+    }
+  }
+
+  // What wins the match in the current mode, for the lobby rules line
+  objectiveText() {
+    const s = this.matchSettings;
+    if (this.gameMode === 'sumo') {
+      return `Best of ${s.rounds} round${s.rounds === 1 ? '' : 's'}`;
+    }
+    if (this.gameMode === 'race') {
+      return `${s.laps} lap${s.laps === 1 ? '' : 's'}, first car home wins for its team`;
+    }
+    if (this.gameMode === 'koth') {
+      return `Hold the hill for ${s.hillTarget}s`;
+    }
+    if (this.gameMode === 'soccer') {
+      return `First to ${s.goalsToWin} goal${s.goalsToWin === 1 ? '' : 's'}`;
+    }
+    if (this.gameMode === 'infection') {
+      return `${s.infectionSpreads ? 'Infection spreads' : 'Tag'} · first car to survive ${s.survivalTarget}s`;
+    }
+    return `First to ${this.flagCountText()}`;
+  }
+
   handleGameState(stateData) {
     console.log('Game state update:', stateData);
     const playerCountEl = document.getElementById('playerCount');
@@ -626,13 +1194,33 @@ export class Game {
     const playerCount = stateData.playerCount || 0;
     const readyCount = stateData.readyCount || 0;
     const canReady = stateData.canReady || false;
+    const minPlayers = stateData.settings?.minPlayers ?? this.matchSettings.minPlayers;
+    
+    const spectatorCount = stateData.spectatorCount || 0;
+    
+    (stateData.availableModes || []).forEach((mode) => {
+      this.modeLabels[mode.id] = mode.label;
+    });
+    if (stateData.mode && this.gameState !== 'playing') this.gameMode = stateData.mode;
+    this.applyMatchSettings(stateData.settings);
+    this.updateHostPanel(stateData);
+    this.renderRoster(stateData.roster);
+    this.updateTeamSelect(stateData);
+    this.updateMapVote(stateData);
     
     if (playerCountEl) {
-      playerCountEl.textContent = `Players: ${playerCount}/${this.networkManager.maxPlayers || 10}`;
+      playerCountEl.textContent = `Players: ${playerCount}/${this.networkManager.maxPlayers || 10}` +
+        (spectatorCount > 0 ? ` (${spectatorCount} watching)` : '');
+    }
+    
+    if (gameState === 'playing' && !this.isMultiplayer && playerCountEl) {
+      playerCountEl.textContent = `Match in progress - join the smaller team or spectate (${playerCount} playing)`;
     }
     
-    if (gameState === 'waiting' || gameState === 'lobby') {
-      if (canReady && playerCount >= 2) {
+    if (this.isSpectator) {
+      if (readySection) readySection.style.display = 'none';
+    } else if (gameState === 'waiting' || gameState === 'lobby') {
+      if (canReady && playerCount >= minPlayers) {
         if (readySection) {
           readySection.style.display = 'block';
         }
@@ -652,8 +1240,8 @@ export class Game {
         }
       } else {
         if (readySection) readySection.style.display = 'none';
-        if (playerCount < 2 && playerCountEl) {
-          playerCountEl.textContent = `Waiting for players... (${playerCount}/2)`;
+        if (playerCount < minPlayers && playerCountEl) {
+          playerCountEl.textContent = `Waiting for players... (${playerCount}/${minPlayers})`;
         }
       }
     } else {
@@ -689,6 +1277,17 @@ export class Game {
 
   spawnRemotePlayer(data) {
     const { playerId, team, position, rotation } = data;
+    if (data.name) this.playerNames.set(playerId, data.name);
+
+    // Switched teams: drop the old car so it's rebuilt with the new team's model
+    const previous = this.remotePlayers.get(playerId);
+    if (previous && team && previous.team !== team) {
+      if (previous.mesh) this.scene.remove(previous.mesh);
+      if (previous.flagIndicator) this.scene.remove(previous.flagIndicator);
+      if (previous.nameLabel) this.scene.remove(previous.nameLabel);
+      if (previous.infectedAura) this.scene.remove(previous.infectedAura);
+      this.remotePlayers.delete(playerId);
+    }
 
     // If remote player already exists, update position/rotation instead of creating new one
     if (this.remotePlayers.has(playerId)) {
@@ -705,6 +1304,7 @@ export class Game {
           mesh.rotation.set(rot[0] || 0, rot[1] || 0, rot[2] || 0);
         }
         existing.team = team || existing.team;
+        this.setRemoteNameLabel(existing, this.playerNames.get(playerId));
       }
       return;
     }
@@ -730,7 +1330,9 @@ export class Game {
       obj.userData.isRemotePlayer = true;
       obj.userData.playerId = playerId;
       this.scene.add(obj);
-      this.remotePlayers.set(playerId, { mesh: obj, team: team || 'red' });
+      const remote = { mesh: obj, team: team || 'red' };
+      this.remotePlayers.set(playerId, remote);
+      this.setRemoteNameLabel(remote, this.playerNames.get(playerId));
     }).catch((err) => {
       console.warn('⚠️ Failed to load remote car model, using box fallback:', err);
       const geometry = new THREE.BoxGeometry(4, 2, 8);
@@ -746,7 +1348,9 @@ export class Game {
         mesh.rotation.set(rot[0] || 0, rot[1] || 0, rot[2] || 0);
       }
       this.scene.add(mesh);
-      this.remotePlayers.set(playerId, { mesh, team: team || 'red' });
+      const remote = { mesh, team: team || 'red' };
+      this.remotePlayers.set(playerId, remote);
+      this.setRemoteNameLabel(remote, this.playerNames.get(playerId));
     });
   }
 
@@ -795,7 +1399,12 @@ export class Game {
       posVector = new THREE.Vector3(position.x || 0, position.y || 5, position.z || 0);
     }
     
-    if (Array.isArray(rotation)) {
+    if (Array.isArray(rotation) && rotation.length === 4) {
+      // Quaternion (x, y, z, w), e.g. the current pose sent when resuming a session
+      rotEuler = new THREE.Euler().setFromQuaternion(
+        new THREE.Quaternion(rotation[0], rotation[1], rotation[2], rotation[3])
+      );
+    } else if (Array.isArray(rotation)) {
       rotEuler = new THREE.Euler(rotation[0] || 0, rotation[1] || 0, rotation[2] || 0);
     } else if (rotation instanceof THREE.Euler) {
       rotEuler = rotation;
@@ -867,8 +1476,20 @@ export class Game {
 
   startGame(data) {
     console.log('🎮 startGame called:', data);
+    this.applyMatchSettings(data.settings);
+    // Resumed after a connection blip: map + HUD are already up, only refresh scores.
+    if (data.resumed && this.isMultiplayer && this.gameState === 'playing') {
+      this.updateScoreboard(data.scores || { red: 0, blue: 0 });
+      this.updateMatchClock(data.clock);
+      this.updateModeHud({ mode: data.mode, ...(data.hud || {}) });
+      return;
+    }
     this.gameState = 'playing';
     this.isMultiplayer = true;
+    this.gameMode = data.mode || 'ctf';
+    this.updateModeHud({ mode: this.gameMode, ...(data.hud || {}) });
+    this.matchClockPhase = null;
+    this.updateMatchClock(data.clock);
     
     // Don't auto-start music here; it's handled on page load or by the sound button
     
@@ -893,13 +1514,14 @@ export class Game {
       this.mapLoader.createMapGeometry(data.mapData);
       this.mapLoader.createFlags(data.mapData).then(() => {
         console.log('✅ Custom map loaded');
+        this.applyModeToMap();
         document.getElementById('lobby').style.display = 'none';
         document.getElementById('gameInfo').style.display = 'block';
         document.getElementById('scoreboard').style.display = 'block';
       });
     } else {
-      // Load map from file
-      const mapName = data.map || 'defaultMap.json';
+      // No map data means the default map, which the client ships
+      const mapName = 'defaultMap.json';
       console.log('📦 Loading map:', mapName);
       console.log('📦 Scene children BEFORE loading map:', this.scene.children.length);
       
@@ -923,6 +1545,7 @@ export class Game {
         });
         console.log(`🚩 Total flags in scene: ${flagCount}`);
         
+        this.applyModeToMap();
         document.getElementById('lobby').style.display = 'none';
         document.getElementById('gameInfo').style.display = 'block';
         document.getElementById('scoreboard').style.display = 'block';
@@ -932,11 +1555,13 @@ export class Game {
         this.mapLoader.loadDefaultMap().then(() => {
           console.log('📦 Default map loaded as fallback');
           console.log('📦 Scene children after fallback:', this.scene.children.length);
+          this.applyModeToMap();
           document.getElementById('lobby').style.display = 'none';
           document.getElementById('gameInfo').style.display = 'block';
           document.getElementById('scoreboard').style.display = 'block';
         }).catch((err) => {
           console.error('❌ Failed to load default map:', err);
+          this.applyModeToMap();
           document.getElementById('lobby').style.display = 'none';
           document.getElementById('gameInfo').style.display = 'block';
           document.getElementById('scoreboard').style.display = 'block';
@@ -944,14 +1569,48 @@ export class Game {
       });
     }
 
+    if (this.isSpectator) {
+      const teamNameEl = document.getElementById('teamName');
+      if (teamNameEl) {
+        teamNameEl.textContent = 'SPECTATOR (Tab: next car)';
+        teamNameEl.style.color = '#ccc';
+      }
+    }
+
     // Update scoreboard
     this.updateScoreboard(data.scores || { red: 0, blue: 0 });
   }
 
+  // Follow the next remote car with the spectator camera
+  cycleSpectateTarget() {
+    const ids = Array.from(this.remotePlayers.keys());
+    if (ids.length === 0) return;
+    const index = ids.indexOf(this.spectateTargetId);
+    this.spectateTargetId = ids[(index + 1) % ids.length];
+    const remote = this.remotePlayers.get(this.spectateTargetId);
+    if (remote?.mesh) {
+      this.cameraController.setTarget(remote.mesh);
+    }
+    console.log('👀 Spectating player:', this.spectateTargetId);
+  }
+
+  updateSpectatorCamera() {
+    // Pick a car to follow once remote cars exist (or if the followed car disappeared)
+    const remote = this.spectateTargetId ? this.remotePlayers.get(this.spectateTargetId) : null;
+    if (!remote?.mesh) {
+      this.spectateTargetId = null;
+      this.cycleSpectateTarget();
+    }
+    this.cameraController.update();
+  }
+
   endGame(data) {
     this.gameState = 'ended';
+    // The match is over, nothing left to reconnect to
+    this.networkManager?.saveSessionToken(null);
     const winner = data.winner;
     const scores = data.scores || { red: 0, blue: 0 };
+    this.removeBall();
     
     // Re-enable map editor button when game ends (will return to lobby)
     const editorBtn = document.getElementById('editorBtn');
@@ -968,6 +1627,7 @@ export class Game {
     if (gameInfo) gameInfo.style.display = 'none';
     if (scoreboard) scoreboard.style.display = 'none';
     if (respawnBtnOverlay) respawnBtnOverlay.style.display = 'none';
+    this.updateMatchClock(null);
     
     // Show win/lose overlay
     const overlay = document.getElementById('gameEndOverlay');
@@ -986,12 +1646,16 @@ export class Game {
       if (playerWon) {
         if (victoryBg) victoryBg.style.display = 'block';
         if (defeatBg) defeatBg.style.display = 'none';
-        message.textContent = `Your team (${winner.toUpperCase()}) captured 3 flags!`;
+        message.textContent = this.gameMode === 'ctf'
+          ? `Your team (${winner.toUpperCase()}) captured ${this.flagCountText()}!`
+          : `Your team (${winner.toUpperCase()}) wins!`;
         message.style.color = this.team === 'red' ? '#ff4444' : '#4444ff';
       } else if (winner && winner !== 'none') {
         if (victoryBg) victoryBg.style.display = 'none';
         if (defeatBg) defeatBg.style.display = 'block';
-        message.textContent = `${winner.toUpperCase()} team captured 3 flags!`;
+        message.textContent = this.gameMode === 'ctf'
+          ? `${winner.toUpperCase()} team captured ${this.flagCountText()}!`
+          : `${winner.toUpperCase()} team wins!`;
         message.style.color = '#ccc';
       } else {
         if (victoryBg) victoryBg.style.display = 'none';
@@ -1004,6 +1668,15 @@ export class Game {
         <div class="team-score red-team" style="margin-bottom: 10px;">Red: ${scores.red}</div>
         <div class="team-score blue-team">Blue: ${scores.blue}</div>
       `;
+      if (data.results?.type === 'race') {
+        this.renderRaceResults(scoresEl, data.results.standings || []);
+      } else if (data.results?.type === 'infection') {
+        this.renderResultsTable(scoresEl, ['Pos', 'Player', 'Survived'],
+          (data.results.standings || []).map((entry) => ({
+            team: entry.team,
+            cells: [entry.position, entry.name, `${entry.points}s`],
+          })));
+      }
       
       overlay.style.display = 'block';
       
@@ -1026,6 +1699,18 @@ export class Game {
     }
   }
 
+  // Short in-game notice at the top of the screen
+  showGameMessage(text, durationMs = 3000) {
+    const el = document.getElementById('gameMessage');
+    if (!el) return;
+    el.textContent = text;
+    el.style.display = 'block';
+    clearTimeout(this.gameMessageTimeout);
+    this.gameMessageTimeout = setTimeout(() => {
+      el.style.display = 'none';
+    }, durationMs);
+  }
+
   updateUI() {
     if (this.team) {
       document.getElementById('teamName').textContent = this.team.toUpperCase();
@@ -1033,6 +1718,207 @@ export class Game {
     }
   }
 
+  // Mode-specific HUD. CTF's flags and scores arrive as their own events; other modes
+  // render from this state.
+  updateModeHud(hud) {
+    if (!hud) return;
+    const previous = this.modeHud;
+    this.modeHud = hud;
+    const el = document.getElementById('modeHud');
+
+    if (hud.mode === 'sumo') {
+      if (hud.phase === 'intermission' && previous.phase === 'fighting') {
+        this.showGameMessage(hud.roundWinner
+          ? `${hud.roundWinner.toUpperCase()} wins round ${hud.round}!`
+          : `Round ${hud.round} is a draw`);
+      } else if (hud.phase === 'fighting' && hud.round > 1 && previous.round !== hud.round) {
+        this.showGameMessage(`Round ${hud.round} - FIGHT!`);
+      }
+      if (el) {
+        el.textContent = `Round ${hud.round} · Standing: Red ${hud.alive?.red ?? 0} / Blue ${hud.alive?.blue ?? 0}`;
+        el.style.display = 'block';
+      }
+    } else if (hud.mode === 'race') {
+      const me = hud.standings?.find((entry) => entry.playerId === this.playerId);
+      if (el) {
+        el.textContent = me
+          ? `P${me.position}/${hud.standings.length} · ` +
+            (me.finishTime != null ? 'Finished' : `Lap ${Math.min(me.lap + 1, hud.laps)}/${hud.laps}`) +
+            (me.bestLap != null ? ` · Best ${this.formatRaceTime(me.bestLap)}` : '')
+          : `${hud.laps} laps · ${hud.standings?.length || 0} cars`;
+        el.style.display = 'block';
+      }
+    } else if (hud.mode === 'soccer') {
+      if (hud.phase === 'goal' && previous.phase === 'playing' && hud.lastGoal) {
+        const { team, scorer, ownGoal } = hud.lastGoal;
+        const credit = scorer ? ` (${ownGoal ? 'own goal by ' : ''}${scorer})` : '';
+        this.showGameMessage(`GOAL! ${team.toUpperCase()} scores${credit}`);
+      } else if (hud.phase === 'playing' && previous.phase === 'goal') {
+        this.showGameMessage('Kickoff!', 1500);
+      }
+      if (el) el.style.display = 'none';
+    } else if (hud.mode === 'infection') {
+      const tag = hud.lastTag;
+      if (tag && (tag.byId !== previous.lastTag?.byId || tag.toId !== previous.lastTag?.toId)) {
+        if (tag.toId === this.playerId) this.showGameMessage(`${tag.by} got you - you're IT!`);
+        else if (tag.byId === this.playerId) this.showGameMessage(`You tagged ${tag.to}!`);
+      }
+      if (hud.round > 1 && previous.round && hud.round !== previous.round) {
+        this.showGameMessage('Everyone was caught - new round!');
+      }
+      const me = hud.standings?.find((entry) => entry.playerId === this.playerId);
+      if (el) {
+        const infectedCount = (hud.standings || []).filter((entry) => entry.infected).length;
+        el.textContent = (me ? `${me.infected ? "YOU'RE IT" : 'Survive!'} · ${me.points}/${hud.target}s · ` : '') +
+          `Infected ${infectedCount}/${hud.standings?.length || 0}`;
+        el.style.display = 'block';
+      }
+    } else if (hud.mode === 'koth') {
+      if (el) {
+        this.renderHillHud(el, hud);
+        el.style.display = 'block';
+      }
+    } else if (el) {
+      el.style.display = 'none';
+    }
+    this.applyModeToMap();
+  }
+
+  // Map changes the mode makes: dropped arena blocks, no flags outside CTF
+  applyModeToMap() {
+    if (!this.mapLoader) return;
+    const removed = this.modeHud.removedBlocks || [];
+    this.mapLoader.blocks.forEach((block, index) => {
+      this.mapLoader.setBlockRemoved(index, removed.includes(index));
+    });
+    this.mapLoader.setRaceMarkersVisible(this.gameMode === 'race');
+    this.mapLoader.setHillZonesVisible(this.gameMode === 'koth');
+    this.mapLoader.setGoalsVisible(this.gameMode === 'soccer');
+    (this.modeHud.hills || []).forEach((hill, index) => this.mapLoader.setHillState(index, hill));
+    if (this.gameMode !== 'ctf') {
+      ['red', 'blue'].forEach((team) => {
+        if (this.mapLoader.flags[team]) this.mapLoader.setFlagVisible(team, false);
+      });
+    }
+  }
+
+  // King of the hill: a progress bar per team towards the target, then who holds each hill
+  renderHillHud(el, hud) {
+    el.textContent = '';
+    ['red', 'blue'].forEach((team) => {
+      const points = hud.points?.[team] || 0;
+      const bar = document.createElement('div');
+      bar.style.cssText = 'width: 160px; height: 8px; margin: 4px 0; background: rgba(255, 255, 255, 0.2); border-radius: 4px;';
+      const fill = document.createElement('div');
+      fill.style.cssText = `height: 100%; border-radius: 4px; background: ${team === 'red' ? '#ff4444' : '#4444ff'};`;
+      fill.style.width = `${Math.min(100, (points / hud.target) * 100)}%`;
+      bar.appendChild(fill);
+      el.appendChild(bar);
+    });
+    const status = document.createElement('div');
+    status.textContent = (hud.hills || []).map((hill, index) => {
+      const name = hud.hills.length > 1 ? `Hill ${index + 1}` : 'Hill';
+      if (hill.contested) return `${name}: CONTESTED`;
+      return `${name}: ${hill.holder ? hill.holder.toUpperCase() : 'free'}`;
+    }).join(' · ');
+    el.appendChild(status);
+  }
+
+  // Checkpoint splits and lap times for our own car
+  handleRaceProgress(data) {
+    if (data.missedCheckpoint) {
+      this.showGameMessage(`Missed checkpoint ${data.missedCheckpoint}/${data.checkpoints} - lap not counted`);
+    } else if (data.lapCompleted) {
+      this.showGameMessage(data.finished
+        ? `FINISHED P${data.position}! Last lap ${this.formatRaceTime(data.lapTime)}`
+        : `Lap ${data.lapCompleted}/${data.laps}: ${this.formatRaceTime(data.lapTime)} (best ${this.formatRaceTime(data.bestLap)})`, 4000);
+    } else if (data.checkpoint) {
+      this.showGameMessage(`Checkpoint ${data.checkpoint}/${data.checkpoints} · ${this.formatRaceTime(data.split)}`, 2000);
+    }
+  }
+
+  // ms -> m:ss.s
+  formatRaceTime(ms) {
+    if (ms == null) return '-';
+    const minutes = Math.floor(ms / 60000);
+    const seconds = ((ms % 60000) / 1000).toFixed(1).padStart(4, '0');
+    return `${minutes}:${seconds}`;
+  }
+
+  renderRaceResults(container, standings) {
+    this.renderResultsTable(container, ['Pos', 'Driver', 'Laps', 'Best lap', 'Time'],
+      standings.map((entry) => ({
+        team: entry.team,
+        cells: [
+          entry.position,
+          entry.name,
+          entry.lap,
+          this.formatRaceTime(entry.bestLap),
+          entry.finishTime != null ? this.formatRaceTime(entry.finishTime) : 'DNF',
+        ],
+      })));
+  }
+
+  // End-of-match results table; rows are { team, cells }. Built with textContent since
+  // names come from players.
+  renderResultsTable(container, columns, rows) {
+    const table = document.createElement('table');
+    table.style.margin = '15px auto 0';
+    table.style.fontSize = '0.8em';
+    table.style.borderSpacing = '12px 4px';
+    const header = document.createElement('tr');
+    columns.forEach((text) => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      header.appendChild(th);
+    });
+    table.appendChild(header);
+    rows.forEach(({ team, cells }) => {
+      const row = document.createElement('tr');
+      row.style.color = team === 'red' ? '#ff6666' : '#6699ff';
+      cells.forEach((text) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        row.appendChild(td);
+      });
+      table.appendChild(row);
+    });
+    container.appendChild(table);
+  }
+
+  // HUD clock for timed matches (hidden when the match has no time limit)
+  updateMatchClock(state) {
+    const el = document.getElementById('matchClock');
+    if (!el) return;
+    if (!state || this.gameState !== 'playing') {
+      el.style.display = 'none';
+      return;
+    }
+
+    if (state.phase !== this.matchClockPhase) {
+      if (state.phase === 'overtime') this.showGameMessage('Tied at full time - OVERTIME!');
+      if (state.phase === 'suddenDeath') {
+        this.showGameMessage(`SUDDEN DEATH - next ${this.gameMode === 'ctf' ? 'capture' : 'point'} wins!`, 5000);
+      }
+      this.matchClockPhase = state.phase;
+    }
+
+    let text = 'SUDDEN DEATH';
+    if (state.remaining != null) {
+      const minutes = Math.floor(state.remaining / 60);
+      const seconds = String(state.remaining % 60).padStart(2, '0');
+      text = `${state.phase === 'overtime' ? 'OVERTIME ' : ''}${minutes}:${seconds}`;
+    }
+    el.textContent = text;
+    el.style.color = state.phase === 'regulation' && state.remaining > 10 ? 'white' : '#ff5555';
+    el.style.display = 'block';
+  }
+
+  flagCountText() {
+    const winScore = this.matchSettings.winScore;
+    return `${winScore} flag${winScore === 1 ? '' : 's'}`;
+  }
+
   updateScoreboard(scores) {
     document.getElementById('redScore').textContent = scores.red || 0;
     document.getElementById('blueScore').textContent = scores.blue || 0;
@@ -1040,7 +1926,8 @@ export class Game {
 
   updateRespawnButtonVisibility() {
     const respawnBtnOverlay = document.getElementById('respawnBtnOverlay');
-    if (!respawnBtnOverlay || !this.car || this.gameState !== 'playing') {
+    // Some modes (sumo) don't allow resetting the car
+    if (!respawnBtnOverlay || !this.car || this.gameState !== 'playing' || this.modeHud.respawns === false) {
       if (respawnBtnOverlay) respawnBtnOverlay.style.display = 'none';
       return;
     }
@@ -1315,11 +2202,22 @@ export class Game {
     const respawnOverlay = document.getElementById('respawnOverlay');
     const respawnTimer = document.getElementById('respawnTimer');
     
+    // Round-based modes: out until the next round, the server respawns us then
+    const outOfRound = this.modeHud.respawns === false;
+    const respawnCountdown = document.getElementById('respawnCountdown');
+    const outUntilNextRound = document.getElementById('outUntilNextRound');
+    if (respawnCountdown) respawnCountdown.style.display = outOfRound ? 'none' : 'block';
+    if (outUntilNextRound) outUntilNextRound.style.display = outOfRound ? 'block' : 'none';
+    if (outOfRound && respawnOverlay) {
+      respawnOverlay.style.display = 'block';
+      return;
+    }
+
     if (respawnOverlay && respawnTimer) {
       respawnOverlay.style.display = 'block';
       
-      // Set respawn time (5 seconds from now)
-      this.respawnTime = Date.now() + 5000;
+      // Server respawns us after the match's respawn delay
+      this.respawnTime = Date.now() + this.matchSettings.respawnDelay * 1000;
       
       // Clear any existing timer
       if (this.respawnTimerInterval) {
@@ -1362,63 +2260,23 @@ export class Game {
         const inputState = this.inputHandler.getInputState();
         this.car.setInput(inputState.throttle, inputState.brake, inputState.steer);
 
-        // Minimal-style multiplayer: server simulates, client only renders snapshots.
         if (!this.isMultiplayer) {
           if (this.physicsWorld) {
-            this.physicsWorld.update(deltaTime);
+            this.physicsWorld.update(deltaTime, () => this.car.drive());
           }
           this.car.update(deltaTime);
         } else {
-          // Smoothly render the latest server snapshot (prevents shaky/laggy feeling)
-          this.car.interpolateFromNetwork?.(deltaTime);
-
-          // Smooth remote players too (snapshot interpolation with small render delay)
-          this.remotePlayers.forEach((remote) => {
-            if (!remote?.mesh || !remote.netHistory || remote.netHistory.length === 0) return;
-            const nowLocal = (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
-            const nowServer = (this.netTimeOffsetMs == null) ? nowLocal : (nowLocal - this.netTimeOffsetMs);
-            const renderT = nowServer - (remote.netRenderDelayMs || 0);
-
-            let a = null;
-            let b = null;
-            for (let i = 0; i < remote.netHistory.length; i++) {
-              const s = remote.netHistory[i];
-              if (s.t <= renderT) a = s;
-              if (s.t >= renderT) { b = s; break; }
-            }
-            if (!a) a = remote.netHistory[0];
-            if (!b) b = remote.netHistory[remote.netHistory.length - 1];
-
-            let alpha = 0;
-            const span = (b.t - a.t);
-            if (span > 0.0001) alpha = Math.max(0, Math.min(1, (renderT - a.t) / span));
-
-            const interpPos = a.pos.clone().lerp(b.pos, alpha);
-
-            const qa = new THREE.Quaternion();
-            const qb = new THREE.Quaternion();
-            const ra = a.rot;
-            const rb = b.rot;
-            if (Array.isArray(ra) && ra.length === 4) qa.set(ra[0], ra[1], ra[2], ra[3]);
-            else if (Array.isArray(ra) && ra.length >= 3) qa.setFromEuler(new THREE.Euler(ra[0], ra[1], ra[2]));
-            if (Array.isArray(rb) && rb.length === 4) qb.set(rb[0], rb[1], rb[2], rb[3]);
-            else if (Array.isArray(rb) && rb.length >= 3) qb.setFromEuler(new THREE.Euler(rb[0], rb[1], rb[2]));
-
-            const interpQuat = qa.slerp(qb, alpha);
-
-            // Apply exponential smoothing to reduce jitter/shaking
-            const smoothingFactor = 0.3; // Lower = smoother but more lag
-            if (!remote.netSmoothedPos) {
-              remote.netSmoothedPos = interpPos.clone();
-              remote.netSmoothedQuat = interpQuat.clone();
-            } else {
-              remote.netSmoothedPos.lerp(interpPos, smoothingFactor);
-              remote.netSmoothedQuat.slerp(interpQuat, smoothingFactor);
-            }
-
-            remote.mesh.position.copy(remote.netSmoothedPos);
-            remote.mesh.quaternion.copy(remote.netSmoothedQuat);
-          });
+          // The server simulates; we predict our own car from our inputs (sent from here, one
+          // per fixed step) and draw the other cars from snapshots
+          if (!this.prediction || this.prediction.car !== this.car) {
+            this.prediction = new CarPrediction(this.car, this.physicsWorld);
+          }
+          this.prediction.update(deltaTime, inputState, (input) => this.networkManager?.sendInput(input) ?? null);
+          if (!this.prediction.isReady()) {
+            // Smoothly render the latest server snapshot until the car body exists
+            this.car.interpolateFromNetwork?.(deltaTime);
+          }
+          this.interpolateRemotePlayers();
         }
         
         // Check for fall
@@ -1437,11 +2295,10 @@ export class Game {
 
         // Check if car is flipped and show/hide respawn button
         this.updateRespawnButtonVisibility();
-
-        // Send input to server in multiplayer
-        if (this.isMultiplayer && this.networkManager) {
-          this.networkManager.sendInput(inputState);
-        }
+      } else if (this.isSpectator && this.isMultiplayer) {
+        // Spectators have no car: only render the other players
+        this.interpolateRemotePlayers();
+        this.updateSpectatorCamera();
       } else {
         // Log once per second if no car
         if (Math.floor(time / 1000) !== Math.floor((time - deltaTime * 1000) / 1000)) {
@@ -1470,6 +2327,7 @@ export class Game {
           
           // Update flag indicator positions to follow cars
           this.updateFlagIndicatorPositions();
+          this.updateNameLabelPositions();
           
           // Debug: Log scene children count occasionally
           if (Math.floor(time / 2000) !== Math.floor((time - deltaTime * 1000) / 2000)) {
@@ -1514,6 +2372,108 @@ export class Game {
     });
   }
 
+  // Smooth remote players (snapshot interpolation with small render delay)
+  // Store a snapshot in an entity's history for interpolation (prevents big-turn jitter).
+  // Used for remote cars and the soccer ball.
+  pushNetState(entity, state) {
+    const pos = state.position || [0, 2, 0];
+    entity.netHistory = entity.netHistory || [];
+    entity.netRenderDelayMs = entity.netRenderDelayMs ?? 150;
+    entity.netSmoothedPos = entity.netSmoothedPos || null;
+    entity.netSmoothedQuat = entity.netSmoothedQuat || null;
+    const nowLocal = (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
+    const st = Number(state.t);
+    const nowServer = (Number.isFinite(st) ? st : ((this.netTimeOffsetMs == null) ? nowLocal : (nowLocal - this.netTimeOffsetMs)));
+    entity.netHistory.push({
+      t: nowServer,
+      pos: new THREE.Vector3(pos[0], pos[1], pos[2]),
+      rot: state.rotation || [0, 0, 0, 1],
+    });
+    if (entity.netHistory.length > 10) entity.netHistory.splice(0, entity.netHistory.length - 10);
+  }
+
+  // Soccer ball from the snapshot: created on first sight, then interpolated like a remote car
+  updateBall(state) {
+    if (!this.ball) {
+      const geometry = new THREE.SphereGeometry(BALL.RADIUS, 24, 16);
+      const material = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.5 });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.castShadow = true;
+      mesh.position.set(...state.position);
+      // A dark band so the ball visibly rolls
+      const band = new THREE.Mesh(
+        new THREE.TorusGeometry(BALL.RADIUS, BALL.RADIUS * 0.08, 8, 32),
+        new THREE.MeshStandardMaterial({ color: 0x222222 })
+      );
+      mesh.add(band);
+      this.scene.add(mesh);
+      this.ball = { mesh };
+    }
+    this.pushNetState(this.ball, state);
+  }
+
+  removeBall() {
+    if (!this.ball) return;
+    this.scene.remove(this.ball.mesh);
+    this.ball.mesh.traverse((child) => {
+      child.geometry?.dispose();
+      child.material?.dispose();
+    });
+    this.ball = null;
+  }
+
+  interpolateRemotePlayers() {
+    this.remotePlayers.forEach((remote) => this.interpolateNetEntity(remote));
+    if (this.ball) this.interpolateNetEntity(this.ball);
+  }
+
+  interpolateNetEntity(entity) {
+    if (!entity?.mesh || !entity.netHistory || entity.netHistory.length === 0) return;
+    const nowLocal = (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
+    const nowServer = (this.netTimeOffsetMs == null) ? nowLocal : (nowLocal - this.netTimeOffsetMs);
+    const renderT = nowServer - (entity.netRenderDelayMs || 0);
+
+    let a = null;
+    let b = null;
+    for (let i = 0; i < entity.netHistory.length; i++) {
+      const s = entity.netHistory[i];
+      if (s.t <= renderT) a = s;
+      if (s.t >= renderT) { b = s; break; }
+    }
+    if (!a) a = entity.netHistory[0];
+    if (!b) b = entity.netHistory[entity.netHistory.length - 1];
+
+    let alpha = 0;
+    const span = (b.t - a.t);
+    if (span > 0.0001) alpha = Math.max(0, Math.min(1, (renderT - a.t) / span));
+
+    const interpPos = a.pos.clone().lerp(b.pos, alpha);
+
+    const qa = new THREE.Quaternion();
+    const qb = new THREE.Quaternion();
+    const ra = a.rot;
+    const rb = b.rot;
+    if (Array.isArray(ra) && ra.length === 4) qa.set(ra[0], ra[1], ra[2], ra[3]);
+    else if (Array.isArray(ra) && ra.length >= 3) qa.setFromEuler(new THREE.Euler(ra[0], ra[1], ra[2]));
+    if (Array.isArray(rb) && rb.length === 4) qb.set(rb[0], rb[1], rb[2], rb[3]);
+    else if (Array.isArray(rb) && rb.length >= 3) qb.setFromEuler(new THREE.Euler(rb[0], rb[1], rb[2]));
+
+    const interpQuat = qa.slerp(qb, alpha);
+
+    // Apply exponential smoothing to reduce jitter/shaking
+    const smoothingFactor = 0.3; // Lower = smoother but more lag
+    if (!entity.netSmoothedPos) {
+      entity.netSmoothedPos = interpPos.clone();
+      entity.netSmoothedQuat = interpQuat.clone();
+    } else {
+      entity.netSmoothedPos.lerp(interpPos, smoothingFactor);
+      entity.netSmoothedQuat.slerp(interpQuat, smoothingFactor);
+    }
+
+    entity.mesh.position.copy(entity.netSmoothedPos);
+    entity.mesh.quaternion.copy(entity.netSmoothedQuat);
+  }
+
   destroy() {
     if (this.animationFrameId) {
       cancelAnimationFrame(this.animationFrameId);
@@ -1,7 +1,8 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import RAPIER from '@dimforge/rapier3d';
-import { CAR } from '../../../shared/constants.js';
+import { CAR, PHYSICS } from '../../../shared/constants.js';
+import { createCarBody, driveCar } from '../../../shared/carController.js';
 
 export class Car {
   constructor(scene, physicsWorld, position = new THREE.Vector3(0, 5, 0), rotation = new THREE.Euler(0, 0, 0), team = 'red') {
@@ -21,8 +22,6 @@ export class Car {
     // Physics state
     this.rigidBody = null;
     this.collider = null;
-    this.velocity = new THREE.Vector3(0, 0, 0);
-    this.angularVelocity = new THREE.Vector3(0, 0, 0);
     
     // Visual
     this.mesh = null;
@@ -295,16 +294,21 @@ export class Car {
       this.netSmoothedQuat.slerp(interpQuat, smoothingFactor);
     }
 
-    this.position.copy(this.netSmoothedPos);
+    this.setVisualPose(this.netSmoothedPos, this.netSmoothedQuat);
+  }
+
+  // Move the car's visuals (whichever of tempMesh/model/mesh exist) without touching physics
+  setVisualPose(position, quaternion) {
+    this.position.copy(position);
     const visuals = [this.tempMesh, this.model, this.mesh].filter(Boolean);
     visuals.forEach((obj) => {
-      obj.position.copy(this.netSmoothedPos);
+      obj.position.copy(position);
       // Apply collider offset to tempMesh only (model has its own offset)
       if (obj === this.tempMesh) {
         obj.position.x -= 1; // Match collider offset: 1 unit left
         obj.position.y += 1; // Match collider offset: 1 unit up
       }
-      obj.quaternion.copy(this.netSmoothedQuat);
+      obj.quaternion.copy(quaternion);
       obj.updateMatrixWorld?.(true);
     });
   }
@@ -527,37 +531,12 @@ export class Car {
     // Create rigid body
     // IMPORTANT: Rapier expects a quaternion; our car stores Euler angles.
     const initialQuat = new THREE.Quaternion().setFromEuler(this.rotation);
-    const rigidBodyDesc = RAPIER.RigidBodyDesc.dynamic()
-      .setTranslation(this.position.x, this.position.y, this.position.z)
-      .setRotation({
-        x: initialQuat.x,
-        y: initialQuat.y,
-        z: initialQuat.z,
-        w: initialQuat.w,
-      });
-    
-    this.rigidBody = world.createRigidBody(rigidBodyDesc);
-    
-    // Set damping to prevent excessive spinning and sliding
-    // Try to set damping on the rigid body (if methods exist)
-    if (this.rigidBody && typeof this.rigidBody.setLinvelDamping === 'function') {
-      this.rigidBody.setLinvelDamping(0.1); // Linear damping
-    }
-    if (this.rigidBody && typeof this.rigidBody.setAngvelDamping === 'function') {
-      this.rigidBody.setAngvelDamping(5.0); // Strong angular damping to prevent wild spinning
-    }
-    
-    // Create collider using shared constant so server + client match exactly.
-    const he = CAR.COLLIDER_HALF_EXTENTS || { x: 2, y: 1, z: 4 };
-    
-    const colliderDesc = RAPIER.ColliderDesc.cuboid(he.x, he.y, he.z)
-      .setMass(CAR.MASS)
-      .setFriction(0.7)
-      .setRestitution(0.6) // Increased for more bounce
-      .setTranslation(-1, 1, 0); // Offset: 1 unit left, 1 unit up
-    
-    this.collider = world.createCollider(colliderDesc, this.rigidBody);
-    console.log('✅ Physics collider created with half-extents:', he, 'offset: (-1, 1, 0)');
+
+    // Same body and collider as the server's car, so predicting this car in multiplayer matches
+    const { rigidBody, collider } = createCarBody(RAPIER, world, this.position, initialQuat);
+    this.rigidBody = rigidBody;
+    this.collider = collider;
+    console.log('✅ Physics collider created with half-extents:', CAR.COLLIDER_HALF_EXTENTS, 'offset: (-1, 1, 0)');
   }
 
   setInput(throttle, brake, steer) {
@@ -570,103 +549,18 @@ export class Car {
     return { ...this.inputState };
   }
 
+  // One fixed step of driving with the shared controller (the server's model). In single
+  // player the physics world calls this after every step, see PhysicsWorld.update.
+  drive() {
+    if (!this.rigidBody || this.isEliminated) return;
+    driveCar(this.rigidBody, this.inputState, PHYSICS.FIXED_TIMESTEP, { hasFlag: this.hasFlag });
+  }
+
+  // Move the visuals to where the body is (single player)
   update(deltaTime) {
     if (!this.rigidBody || this.isEliminated) return;
 
     const body = this.rigidBody;
-    const linvel = body.linvel();
-    const angvel = body.angvel();
-    
-    // Get current velocity
-    this.velocity.set(linvel.x, linvel.y, linvel.z);
-    this.angularVelocity.set(angvel.x, angvel.y, angvel.z);
-
-    // Get forward direction from rotation
-    const rotation = body.rotation();
-    const forward = new THREE.Vector3(0, 0, -1);
-    forward.applyQuaternion(new THREE.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w));
-    
-    const right = new THREE.Vector3(1, 0, 0);
-    right.applyQuaternion(new THREE.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w));
-
-    // Apply throttle/brake with steering-based direction
-    const speed = this.velocity.length();
-    let acceleration = 0;
-    
-    // Signed throttle: forward(+), reverse(-)
-    if (this.inputState.throttle !== 0) {
-      acceleration = CAR.ACCELERATION * this.inputState.throttle;
-    }
-
-    // Steering changes the direction of movement (not body rotation)
-    // Rotate forward direction by steering angle around Y axis
-    const handlingMultiplier = this.hasFlag ? CAR.FLAG_CARRIER_HANDLING_PENALTY : 1.0;
-    const steerAngle = this.inputState.steer * 0.3 * handlingMultiplier; // Max ~17 degrees per frame
-    
-    // Rotate forward vector around Y axis by steer angle
-    const cosSteer = Math.cos(steerAngle);
-    const sinSteer = Math.sin(steerAngle);
-    const steeredForward = new THREE.Vector3(
-      forward.x * cosSteer - forward.z * sinSteer,
-      forward.y,
-      forward.x * sinSteer + forward.z * cosSteer
-    );
-
-    // Apply force in steered direction
-    if (acceleration !== 0) {
-      const force = steeredForward.multiplyScalar(acceleration);
-      body.applyImpulse({ x: force.x, y: force.y, z: force.z }, true);
-    }
-
-    // Extra braking: dampen velocity when Space is held.
-    if (this.inputState.brake > 0 && speed > 0.01) {
-      const brakeScale = 1 - Math.min(0.3, 0.2 * this.inputState.brake);
-      body.setLinvel({ x: linvel.x * brakeScale, y: linvel.y, z: linvel.z * brakeScale }, true);
-    }
-    
-    // Rotate car body to face movement direction (separate from steering)
-    // This makes the car visually turn as it moves in the steered direction
-    const currentVel = new THREE.Vector3(linvel.x, 0, linvel.z);
-    const velLen = currentVel.length();
-    if (velLen > 0.1) {
-      // Normalize velocity to get direction the car is moving
-      const velDir = currentVel.normalize();
-      
-      // Calculate angle between car's forward direction and movement direction
-      // Using atan2 on the cross product gives us the signed angle
-      const dot = forward.x * velDir.x + forward.z * velDir.z;
-      const cross = forward.x * velDir.z - forward.z * velDir.x;
-      const angleDiff = Math.atan2(cross, dot);
-      
-      // Apply proportional rotation torque - stronger when angle difference is larger
-      // Use the angle directly (in radians) for smooth rotation
-      const rotationTorque = angleDiff * 500; // Proportional control - adjust multiplier for responsiveness
-      
-      body.applyTorqueImpulse({
-        x: 0,
-        y: rotationTorque,
-        z: 0,
-      }, true);
-    }
-
-    // Apply friction
-    const friction = this.velocity.clone().multiplyScalar(-CAR.FRICTION);
-    body.applyImpulse({ x: friction.x, y: 0, z: friction.z }, true);
-
-    // Limit max speed
-    if (speed > CAR.MAX_SPEED) {
-      const limitedVel = this.velocity.normalize().multiplyScalar(CAR.MAX_SPEED);
-      body.setLinvel({ x: limitedVel.x, y: limitedVel.y, z: limitedVel.z }, true);
-    }
-
-    // Limit angular velocity to prevent excessive spinning
-    const angularSpeed = this.angularVelocity.length();
-    const maxAngularSpeed = 8.0; // Radians per second - allows some spinning but not excessive
-    if (angularSpeed > maxAngularSpeed) {
-      const scale = maxAngularSpeed / angularSpeed;
-      const limitedAngVel = this.angularVelocity.clone().multiplyScalar(scale);
-      body.setAngvel({ x: limitedAngVel.x, y: limitedAngVel.y, z: limitedAngVel.z }, true);
-    }
 
     // Update visual position from physics
     const translation = body.translation();
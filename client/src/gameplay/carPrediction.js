@@ -0,0 +1,116 @@
+import * as THREE from 'three';
+import { PHYSICS } from '../../../shared/constants.js';
+import { driveCar } from '../../../shared/carController.js';
+
+const MAX_PENDING = 120; // inputs waiting for the server (2 s); older ones are dropped
+const MATCH_DISTANCE = 0.01; // server and prediction this close: nothing to correct
+const MATCH_ROTATION = 0.9999; // |dot| of the two rotations
+const SNAP_DISTANCE = 8; // bigger corrections (respawns, big hits) jump instead of fading
+const ERROR_DECAY = 10; // 1/s: how fast the leftover of a correction fades from view
+const IDENTITY = new THREE.Quaternion();
+
+const toVector = ({ x, y, z }) => new THREE.Vector3(x, y, z);
+const toQuaternion = ({ x, y, z, w }) => new THREE.Quaternion(x, y, z, w);
+
+// Client-side prediction for the local car in multiplayer. Every fixed step the current input is
+// sent to the server with a sequence number and simulated right away in the client's physics
+// world with the server's driving model (shared/carController.js), so the car answers the keys
+// without waiting a round trip. When the server's state of the car arrives with the last input
+// it applied, the car goes back to that state and replays the inputs the server hasn't seen
+// yet. The jump this would cause on screen is kept as an offset that fades out.
+export class CarPrediction {
+  constructor(car, physicsWorld) {
+    this.car = car;
+    this.physicsWorld = physicsWorld;
+    this.pending = []; // [{ seq, input, position, rotation }] (state after the input), oldest first
+    this.accumulator = 0;
+    this.errorOffset = new THREE.Vector3();
+    this.errorRotation = new THREE.Quaternion();
+  }
+
+  // The car's body is created once its model has loaded; until then the game shows snapshots
+  isReady() {
+    return !!this.car.rigidBody && !!this.physicsWorld.getWorld();
+  }
+
+  // Runs the fixed steps due this frame. sendInput(input) returns the input's sequence number,
+  // or null if it couldn't be sent (then it isn't predicted either).
+  update(deltaTime, input, sendInput) {
+    this.accumulator = Math.min(this.accumulator + deltaTime, PHYSICS.FIXED_TIMESTEP * PHYSICS.MAX_SUBSTEPS);
+    while (this.accumulator >= PHYSICS.FIXED_TIMESTEP) {
+      this.accumulator -= PHYSICS.FIXED_TIMESTEP;
+      const seq = sendInput(input);
+      if (seq == null || !this.isReady() || this.car.isEliminated) continue;
+      const command = { throttle: input.throttle, brake: input.brake, steer: input.steer };
+      this.simulate(command);
+      this.pending.push({ seq, input: command, ...this.readPose() });
+      if (this.pending.length > MAX_PENDING) this.pending.shift();
+    }
+
+    if (!this.isReady()) return;
+    const decay = Math.exp(-ERROR_DECAY * deltaTime);
+    this.errorOffset.multiplyScalar(decay);
+    this.errorRotation.slerp(IDENTITY, 1 - decay);
+    const { position, rotation } = this.getDrawnPose();
+    this.car.setVisualPose(position, rotation);
+  }
+
+  // Same order as a server tick: the physics step, then the car applies that tick's input
+  simulate(input) {
+    this.physicsWorld.step();
+    driveCar(this.car.rigidBody, input, PHYSICS.FIXED_TIMESTEP, { hasFlag: this.car.hasFlag });
+  }
+
+  readPose() {
+    const body = this.car.rigidBody;
+    return { position: toVector(body.translation()), rotation: toQuaternion(body.rotation()) };
+  }
+
+  getDrawnPose() {
+    const { position, rotation } = this.readPose();
+    return {
+      position: position.add(this.errorOffset),
+      rotation: this.errorRotation.clone().multiply(rotation),
+    };
+  }
+
+  // state: decoded own-car state from the server (see decodeOwnCar in shared/snapshotCodec.js)
+  reconcile(state) {
+    if (!this.isReady() || this.car.isEliminated) return;
+
+    let predicted = null;
+    while (this.pending.length > 0 && this.pending[0].seq <= state.inputSeq) {
+      predicted = this.pending.shift();
+    }
+    const serverPosition = new THREE.Vector3(...state.position);
+    const serverRotation = new THREE.Quaternion(...state.rotation);
+    if (predicted?.seq === state.inputSeq &&
+        predicted.position.distanceTo(serverPosition) < MATCH_DISTANCE &&
+        Math.abs(predicted.rotation.dot(serverRotation)) > MATCH_ROTATION) {
+      return;
+    }
+
+    // Rewind to the server's state and replay what it hasn't applied yet
+    const drawn = this.getDrawnPose();
+    const body = this.car.rigidBody;
+    const [vx, vy, vz] = state.linvel;
+    const [wx, wy, wz] = state.angvel;
+    body.setTranslation(serverPosition, true);
+    body.setRotation(serverRotation, true);
+    body.setLinvel({ x: vx, y: vy, z: vz }, true);
+    body.setAngvel({ x: wx, y: wy, z: wz }, true);
+    this.pending.forEach((entry) => {
+      this.simulate(entry.input);
+      Object.assign(entry, this.readPose());
+    });
+
+    // Keep drawing the car where it was and let the difference fade out
+    const corrected = this.readPose();
+    this.errorOffset.copy(drawn.position).sub(corrected.position);
+    this.errorRotation.copy(drawn.rotation).multiply(corrected.rotation.invert());
+    if (this.errorOffset.length() > SNAP_DISTANCE) {
+      this.errorOffset.set(0, 0, 0);
+      this.errorRotation.identity();
+    }
+  }
+}
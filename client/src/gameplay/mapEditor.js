@@ -2,6 +2,8 @@ import * as THREE from 'three';
 import RAPIER from '@dimforge/rapier3d';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { validateMap, formatMapErrors } from '../../../shared/mapSchema.js';
+import { describeBlockCollider, createBlockCollider } from '../../../shared/mapColliders.js';
 
 export class MapEditor {
   constructor(scene, physicsWorld, onSave) {
@@ -10,6 +12,8 @@ export class MapEditor {
     this.onSave = onSave;
     this.networkManager = null;
     this.onReturnToLobby = null;
+    this.libraryMapId = null; // server map library id once played; playing again saves a new version
+    this.libraryMapToken = null; // edit token the server gave us for it (only the uploader gets one)
     
     this.blocks = [];
     this.selectedBlock = null;
@@ -635,17 +639,14 @@ export class MapEditor {
     mesh.userData.isMapObject = true;
     this.scene.add(mesh);
 
-    // Create physics collider
+    // Create physics collider (as the game will, see shared/mapColliders.js)
     const world = this.physicsWorld.getWorld();
-    const quaternion = new THREE.Quaternion().setFromEuler(
-      new THREE.Euler(0, rotationYRad, 0)
-    );
-    const bodyDesc = RAPIER.RigidBodyDesc.fixed()
-      .setTranslation(pos.x, pos.y, pos.z)
-      .setRotation({ x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w });
-    const body = world.createRigidBody(bodyDesc);
-    const colliderDesc = RAPIER.ColliderDesc.cuboid(size[0] / 2, size[1] / 2, size[2] / 2);
-    const collider = world.createCollider(colliderDesc, body);
+    const { body, collider } = createBlockCollider(RAPIER, world, describeBlockCollider({
+      type,
+      position: [pos.x, pos.y, pos.z],
+      size,
+      rotation: [0, rotationYRad, 0],
+    }));
 
     const block = {
       type,
@@ -1291,10 +1292,7 @@ export class MapEditor {
     if (block.body) {
       world.removeRigidBody(block.body);
     }
-    const bodyDesc = RAPIER.RigidBodyDesc.fixed().setTranslation(cx, block.position[1], cz);
-    const body = world.createRigidBody(bodyDesc);
-    const colliderDesc = RAPIER.ColliderDesc.cuboid(sx / 2, block.size[1] / 2, sz / 2);
-    const collider = world.createCollider(colliderDesc, body);
+    const { body, collider } = createBlockCollider(RAPIER, world, describeBlockCollider(block));
     block.body = body;
     block.collider = collider;
   }
@@ -1323,17 +1321,7 @@ export class MapEditor {
       world.removeRigidBody(block.body);
     }
     
-    const quaternion = new THREE.Quaternion().setFromEuler(
-      new THREE.Euler(block.rotation[0], block.rotation[1], block.rotation[2])
-    );
-    
-    const bodyDesc = RAPIER.RigidBodyDesc.fixed()
-      .setTranslation(block.position[0], block.position[1], block.position[2])
-      .setRotation({ x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w });
-    
-    const body = world.createRigidBody(bodyDesc);
-    const colliderDesc = RAPIER.ColliderDesc.cuboid(block.size[0] / 2, block.size[1] / 2, block.size[2] / 2);
-    const collider = world.createCollider(colliderDesc, body);
+    const { body, collider } = createBlockCollider(RAPIER, world, describeBlockCollider(block));
     block.body = body;
     block.collider = collider;
   }
@@ -1531,6 +1519,13 @@ export class MapEditor {
       },
     };
 
+    // Same check the server runs, so problems show up before the round trip
+    const schema = validateMap(mapData);
+    if (!schema.valid) {
+      alert('Cannot play map:\n' + formatMapErrors(schema.errors).join('\n'));
+      return;
+    }
+
     // Ensure connected to server
     if (!this.networkManager) {
       alert('Network manager not initialized. Please refresh the page.');
@@ -1572,7 +1567,7 @@ export class MapEditor {
     // Send map to server
     if (this.networkManager.socket) {
       console.log('📤 Sending custom map to server');
-      this.networkManager.socket.emit('customMap', mapData);
+      this.networkManager.socket.emit('customMap', { map: mapData, mapId: this.libraryMapId, editToken: this.libraryMapToken });
       console.log('✅ Custom map sent successfully');
     } else {
       alert('Failed to connect to server. Please try again.');
@@ -1598,6 +1593,11 @@ export class MapEditor {
       reader.onload = (event) => {
         try {
           const mapData = JSON.parse(event.target.result);
+          const { errors } = validateMap(mapData);
+          if (errors.length > 0) {
+            alert('Invalid map file:\n' + formatMapErrors(errors).join('\n'));
+            return;
+          }
           this.loadMapData(mapData);
         } catch (error) {
           alert('Error loading map: ' + error.message);
@@ -1641,6 +1641,8 @@ export class MapEditor {
   }
 
   loadMapData(mapData) {
+    this.libraryMapId = null; // a different map from here on
+    this.libraryMapToken = null;
     if (this.shapeEdit?.active) {
       this.exitShapeEditMode();
     }
@@ -1681,19 +1683,7 @@ export class MapEditor {
         this.scene.add(mesh);
         
         const world = this.physicsWorld.getWorld();
-        const bodyDesc = RAPIER.RigidBodyDesc.fixed().setTranslation(
-          blockData.position[0],
-          blockData.position[1],
-          blockData.position[2]
-        );
-        const body = world.createRigidBody(bodyDesc);
-        
-        const colliderDesc = RAPIER.ColliderDesc.cuboid(
-          blockData.size[0] / 2,
-          blockData.size[1] / 2,
-          blockData.size[2] / 2
-        );
-        const collider = world.createCollider(colliderDesc, body);
+        const { body, collider } = createBlockCollider(RAPIER, world, describeBlockCollider(blockData));
         
         this.blocks.push({
           type: blockData.type,
@@ -1782,10 +1772,11 @@ export class MapEditor {
     this.scene.add(mesh);
 
     const world = this.physicsWorld.getWorld();
-    const bodyDesc = RAPIER.RigidBodyDesc.fixed().setTranslation(pos.x, pos.y, pos.z);
-    const body = world.createRigidBody(bodyDesc);
-    const colliderDesc = RAPIER.ColliderDesc.cuboid(size[0] / 2, size[1] / 2, size[2] / 2);
-    const collider = world.createCollider(colliderDesc, body);
+    const { body, collider } = createBlockCollider(RAPIER, world, describeBlockCollider({
+      type: 'platform',
+      position: [pos.x, pos.y, pos.z],
+      size,
+    }));
 
     const block = {
       type: 'platform',
@@ -1,6 +1,8 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import RAPIER from '@dimforge/rapier3d';
+import { validateMap, formatMapErrors } from '../../../shared/mapSchema.js';
+import { describeBlockCollider, createBlockCollider } from '../../../shared/mapColliders.js';
 
 export class MapLoader {
   constructor(scene, physicsWorld) {
@@ -8,6 +10,10 @@ export class MapLoader {
     this.physicsWorld = physicsWorld;
     this.loadedMap = null;
     this.flags = { red: null, blue: null }; // Store flag meshes
+    this.blocks = []; // { mesh, body } per mapData.blocks entry, same order
+    this.raceMarkers = []; // start line + checkpoint gates (race mode only)
+    this.hillZones = []; // King of the hill zone meshes, same order as mapData.hills
+    this.goals = []; // soccer goal volume meshes
     this.gltfLoader = new GLTFLoader();
   }
 
@@ -20,6 +26,10 @@ export class MapLoader {
         throw new Error('Map not found');
       }
       const mapData = await response.json();
+      const { errors } = validateMap(mapData);
+      if (errors.length > 0) {
+        throw new Error(`Invalid map ${mapName}: ${formatMapErrors(errors).join('; ')}`);
+      }
       console.log('✅ Map data loaded:', mapData);
       this.loadedMap = mapData;
       
@@ -56,7 +66,17 @@ export class MapLoader {
       spawnPoints: {
         red: [{ position: [-75, 2, 0], rotation: [0, Math.PI * 3 / 2, 0] }],
         blue: [{ position: [75, 2, 0], rotation: [0, Math.PI / 2, 0] }],
+        // Free-for-all modes (infection) spawn anywhere
+        any: [
+          { position: [-60, 2, -25], rotation: [0, 4.3176, 0] },
+          { position: [-60, 2, 25], rotation: [0, 5.10718, 0] },
+          { position: [0, 2, -30], rotation: [0, 3.14159, 0] },
+          { position: [0, 2, 30], rotation: [0, 0, 0] },
+          { position: [60, 2, -25], rotation: [0, 1.96559, 0] },
+          { position: [60, 2, 25], rotation: [0, 1.17601, 0] }
+        ],
       },
+      hills: [{ position: [0, 3, 0], size: [16, 6, 16] }],
       flags: {
         red: { position: [-80, 1, 0] },
         blue: { position: [80, 1, 0] },
@@ -100,40 +120,13 @@ export class MapLoader {
         mesh.castShadow = true;
         mesh.userData.isMapObject = true;
         this.scene.add(mesh);
+        this.blocks[index] = { mesh, body: null };
         
-        // Create physics collider
+        // Create physics collider (same description as the server's, see shared/mapColliders.js)
         if (world) {
           try {
-            const colliderDesc = RAPIER.ColliderDesc.cuboid(
-              block.size[0] / 2,
-              block.size[1] / 2,
-              block.size[2] / 2
-            );
-            
-            const isTallBlock = block.size[1] > 1;
-            if (isTallBlock) {
-              colliderDesc.setFriction(0.3);
-              colliderDesc.setRestitution(0.5);
-            } else {
-              colliderDesc.setFriction(0.7);
-              colliderDesc.setRestitution(0.1);
-            }
-            
-            const rotation = block.rotation || [0, 0, 0];
-            const quaternion = new THREE.Quaternion().setFromEuler(
-              new THREE.Euler(rotation[0], rotation[1], rotation[2])
-            );
-            
-            const bodyDesc = RAPIER.RigidBodyDesc.fixed()
-              .setTranslation(
-                block.position[0],
-                block.position[1],
-                block.position[2]
-              )
-              .setRotation({ x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w });
-            
-            const body = world.createRigidBody(bodyDesc);
-            world.createCollider(colliderDesc, body);
+            const { body } = createBlockCollider(RAPIER, world, describeBlockCollider(block));
+            this.blocks[index].body = body;
           } catch (error) {
             console.error(`❌ Error creating physics for block ${index}:`, error);
           }
@@ -144,6 +137,89 @@ export class MapLoader {
     
     // Create team bases from the bases field
     this.createTeamBases(mapData, world);
+    this.createRaceMarkers(mapData);
+    this.createHillZones(mapData);
+    this.createGoals(mapData);
+  }
+
+  // Soccer goals, tinted with the colour of the team defending them
+  createGoals(mapData) {
+    const colors = { red: 0xff4444, blue: 0x4444ff };
+    Object.entries(mapData.goals || {}).forEach(([team, goal]) => {
+      const geometry = new THREE.BoxGeometry(goal.size[0], goal.size[1], goal.size[2]);
+      const material = new THREE.MeshBasicMaterial({ color: colors[team] || 0xffffff, transparent: true, opacity: 0.25, depthWrite: false });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.position.set(...goal.position);
+      if (goal.rotation) {
+        mesh.rotation.set(...goal.rotation);
+      }
+      mesh.userData.isMapObject = true;
+      this.scene.add(mesh);
+      this.goals.push(mesh);
+    });
+  }
+
+  setGoalsVisible(visible) {
+    this.goals.forEach((mesh) => {
+      mesh.visible = visible;
+    });
+  }
+
+  // See-through hill zones, tinted by whoever holds them (King of the hill only)
+  createHillZones(mapData) {
+    (mapData.hills || []).forEach((hill) => {
+      const geometry = new THREE.BoxGeometry(hill.size[0], hill.size[1], hill.size[2]);
+      const material = new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.2, depthWrite: false });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.position.set(...hill.position);
+      if (hill.rotation) {
+        mesh.rotation.set(...hill.rotation);
+      }
+      mesh.userData.isMapObject = true;
+      this.scene.add(mesh);
+      this.hillZones.push(mesh);
+    });
+  }
+
+  setHillZonesVisible(visible) {
+    this.hillZones.forEach((mesh) => {
+      mesh.visible = visible;
+    });
+  }
+
+  // holder: 'red' | 'blue' | null; contested zones flash yellow
+  setHillState(index, { holder, contested }) {
+    const mesh = this.hillZones[index];
+    if (!mesh) return;
+    const colors = { red: 0xff4444, blue: 0x4444ff };
+    mesh.material.color.setHex(contested ? 0xffcc00 : colors[holder] || 0xffffff);
+    mesh.material.opacity = holder || contested ? 0.35 : 0.2;
+  }
+
+  // See-through gates for the race start/finish line and checkpoints (no colliders)
+  createRaceMarkers(mapData) {
+    const volumes = [];
+    if (mapData.startLine) volumes.push({ volume: mapData.startLine, color: 0xffffff });
+    (mapData.checkpoints || []).forEach((volume) => volumes.push({ volume, color: 0xffcc00 }));
+
+    volumes.forEach(({ volume, color }) => {
+      const geometry = new THREE.BoxGeometry(volume.size[0], volume.size[1], volume.size[2]);
+      const material = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.25, depthWrite: false });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.position.set(...volume.position);
+      if (volume.rotation) {
+        mesh.rotation.set(...volume.rotation);
+      }
+      mesh.userData.isMapObject = true;
+      this.scene.add(mesh);
+      this.raceMarkers.push(mesh);
+    });
+  }
+
+  setRaceMarkersVisible(visible) {
+    this.raceMarkers.forEach((mesh) => {
+      mesh.visible = visible;
+    });
   }
   
   createTeamBases(mapData, world) {
@@ -267,6 +343,14 @@ export class MapLoader {
     }
   }
 
+  // Hide a block and turn off its collider (a shrinking arena), or bring it back
+  setBlockRemoved(index, removed) {
+    const block = this.blocks[index];
+    if (!block) return;
+    block.mesh.visible = !removed;
+    block.body?.setEnabled(!removed);
+  }
+
   getFlagMesh(team) {
     return this.flags[team] || null;
   }
@@ -319,8 +403,12 @@ export class MapLoader {
         });
       }
     });
-    // Clear flag references
+    // Clear flag and block references
     this.flags = { red: null, blue: null };
+    this.blocks = [];
+    this.raceMarkers = [];
+    this.hillZones = [];
+    this.goals = [];
     console.log('🧹 clearMap() complete, scene children:', this.scene.children.length);
   }
 
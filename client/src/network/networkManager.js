@@ -1,4 +1,6 @@
 import { io } from 'socket.io-client';
+import { NETWORK } from '../../../shared/constants.js';
+import { SNAPSHOT_EVENT, SNAPSHOT_ACK_EVENT, decodeSnapshot, decodeOwnCar, expandSnapshot } from '../../../shared/snapshotCodec.js';
 
 // Simple EventEmitter implementation
 class EventEmitter {
@@ -35,6 +37,39 @@ export class NetworkManager extends EventEmitter {
     this.maxPlayers = 10;
     this.connected = false;
     this.isReady = false;
+    // Match room on the server (?room=<id> in the page URL), 'default' if not given
+    this.roomId = new URLSearchParams(window.location.search).get('room') || 'default';
+    // Token from joinGame; lets a dropped connection (or page reload) take back our car
+    this.sessionToken = this.loadSessionToken();
+    // Decoded snapshots by tick (oldest first): the server's deltas are based on one of these
+    this.snapshotHistory = new Map();
+    this.lastSnapshotAckAt = 0;
+    this.inputSeq = 0; // numbers sent inputs so the server can say which ones it applied
+  }
+
+  sessionStorageKey() {
+    return `ragetrack.session.${this.roomId}`;
+  }
+
+  loadSessionToken() {
+    try {
+      return window.sessionStorage.getItem(this.sessionStorageKey());
+    } catch {
+      return null;
+    }
+  }
+
+  saveSessionToken(token) {
+    this.sessionToken = token || null;
+    try {
+      if (this.sessionToken) {
+        window.sessionStorage.setItem(this.sessionStorageKey(), this.sessionToken);
+      } else {
+        window.sessionStorage.removeItem(this.sessionStorageKey());
+      }
+    } catch {
+      // Storage unavailable (private mode etc.) - reconnect then only works without a reload
+    }
   }
 
   connect() {
@@ -53,6 +88,7 @@ export class NetworkManager extends EventEmitter {
       reconnection: true,
       reconnectionAttempts: 5,
       reconnectionDelay: 1000,
+      query: { roomId: this.roomId },
     });
     
     console.log('Socket instance created:', !!this.socket);
@@ -60,6 +96,11 @@ export class NetworkManager extends EventEmitter {
     this.socket.on('connect', () => {
       this.connected = true;
       console.log('✅ Connected to server, socket ID:', this.socket.id);
+      // Fires again after every automatic reconnect (new socket id): rebind to our old player.
+      if (this.sessionToken) {
+        console.log('🔁 Resuming session...');
+        this.socket.emit('resumeSession', { token: this.sessionToken });
+      }
       this.emit('socketConnected');
     });
 
@@ -81,13 +122,40 @@ export class NetworkManager extends EventEmitter {
     this.socket.on('disconnect', () => {
       this.connected = false;
       console.log('Disconnected from server');
+      this.emit('socketDisconnected');
+    });
+
+    this.socket.on('roomJoined', (data) => {
+      // Server may normalize the requested room id
+      this.roomId = data.roomId;
+      console.log('🏠 Joined room:', this.roomId);
+      this.emit('roomJoined', data);
     });
 
     this.socket.on('playerId', (data) => {
       this.playerId = data.playerId;
+      this.saveSessionToken(data.sessionToken);
       this.emit('connected', data);
     });
 
+    this.socket.on('sessionResumed', (data) => {
+      console.log('▶️ Session resumed as player:', data.playerId);
+      this.playerId = data.playerId;
+      this.saveSessionToken(data.sessionToken);
+      this.emit('sessionResumed', data);
+    });
+
+    this.socket.on('sessionExpired', () => {
+      console.log('⌛ Session expired, join again');
+      this.playerId = null;
+      this.saveSessionToken(null);
+      this.emit('sessionExpired');
+    });
+
+    this.socket.on('spectating', (data) => {
+      this.emit('spectating', data);
+    });
+
     this.socket.on('gameState', (state) => {
       this.playerCount = state.playerCount || 0;
       this.emit('gameState', state);
@@ -97,14 +165,57 @@ export class NetworkManager extends EventEmitter {
       this.emit('spawn', data);
     });
 
-    this.socket.on('playerUpdate', (update) => {
-      this.emit('playerUpdate', update);
+    this.socket.on('teamChanged', (data) => {
+      this.emit('teamChanged', data);
     });
-    
-    // Minimal-style authoritative snapshot (same payload as playerUpdate)
-    this.socket.on('snapshot', (snapshot) => {
-      this.emit('snapshot', snapshot);
+
+    this.socket.on('teamRejected', (data) => {
+      this.emit('teamRejected', data);
+    });
+
+    this.socket.on('permissionDenied', (data) => {
+      console.warn('🚫 Server rejected', data?.action, data?.reason || '');
+      this.emit('permissionDenied', data);
+    });
+
+    this.socket.on('settingsRejected', (data) => {
+      this.emit('settingsRejected', data);
     });
+
+    this.socket.on('mapRejected', (data) => {
+      this.emit('mapRejected', data);
+    });
+
+    this.socket.on('mapSaved', (data) => {
+      this.emit('mapSaved', data);
+    });
+
+    this.socket.on('mapVoteResult', (data) => {
+      this.emit('mapVoteResult', data);
+    });
+
+    this.socket.on('respawnRejected', (data) => {
+      this.emit('respawnRejected', data);
+    });
+
+    this.socket.on('kicked', (data) => {
+      this.saveSessionToken(null);
+      this.emit('kicked', data);
+    });
+
+    // Periodic roster refresh (names, ready flags, pings)
+    this.socket.on('roster', (roster) => {
+      this.emit('roster', roster);
+    });
+
+    // Server measures our round trip by waiting for this ack
+    this.socket.on('pingCheck', (sentAt, ack) => {
+      if (typeof ack === 'function') ack();
+    });
+
+    // Binary player states, decoded into the usual { [playerId]: state } object, plus our own
+    // car's exact state for client-side prediction (while we're driving one)
+    this.socket.on(SNAPSHOT_EVENT, (data, ownCar) => this.handleSnapshot(data, ownCar));
     
     this.socket.on('serverDebug', (data) => {
       // Log here so it shows even if Game didn't subscribe yet.
@@ -128,6 +239,21 @@ export class NetworkManager extends EventEmitter {
       this.emit('gameEnd', data);
     });
 
+    // Race checkpoint splits, laps and missed checkpoints (only sent to this player)
+    this.socket.on('raceProgress', (data) => {
+      this.emit('raceProgress', data);
+    });
+
+    // Mode-specific HUD state ({ mode, ... })
+    this.socket.on('hudUpdate', (hud) => {
+      this.emit('hudUpdate', hud);
+    });
+
+    // Match clock: { phase, remaining } once per second while a timed match runs
+    this.socket.on('timeUpdate', (state) => {
+      this.emit('timeUpdate', state);
+    });
+
     this.socket.on('scoreUpdate', (scores) => {
       this.emit('scoreUpdate', scores);
     });
@@ -138,8 +264,9 @@ export class NetworkManager extends EventEmitter {
     });
   }
 
-  joinGame() {
-    console.log('🎮 joinGame() called');
+  // options.spectate: watch an in-progress match without a car
+  joinGame(options = {}) {
+    console.log('🎮 joinGame() called', options);
     console.log('  - socket exists:', !!this.socket);
     console.log('  - connected:', this.connected);
     console.log('  - socket ID:', this.socket?.id);
@@ -154,7 +281,7 @@ export class NetworkManager extends EventEmitter {
         this.socket.once('connect', () => {
           console.log('✅ Socket connected! Socket ID:', this.socket.id);
           console.log('📤 Emitting joinGame event...');
-          this.socket.emit('joinGame');
+          this.socket.emit('joinGame', options);
           console.log('✅ joinGame event emitted');
         });
         
@@ -180,25 +307,56 @@ export class NetworkManager extends EventEmitter {
       }
     } else if (this.connected) {
       console.log('✅ Already connected, emitting joinGame immediately');
-      this.socket.emit('joinGame');
+      this.socket.emit('joinGame', options);
       console.log('✅ joinGame event emitted');
     } else {
       console.log('⏳ Socket exists but not connected yet, waiting for connection...');
       // Socket exists but not connected yet, wait for connection
       this.socket.once('connect', () => {
         console.log('✅ Socket connected! Emitting joinGame...');
-        this.socket.emit('joinGame');
+        this.socket.emit('joinGame', options);
         console.log('✅ joinGame event emitted');
       });
     }
   }
 
-  sendInput(inputState) {
-    if (this.socket && this.connected) {
-      // Prefer minimal-style event name, but keep legacy for compatibility.
-      this.socket.emit('input', inputState);
-      this.socket.emit('playerInput', inputState);
+  spectate() {
+    this.joinGame({ spectate: true });
+  }
+
+  handleSnapshot(data, ownCar) {
+    let snapshot;
+    try {
+      snapshot = decodeSnapshot(data, (tick) => this.snapshotHistory.get(tick));
+    } catch (error) {
+      console.warn('Dropping malformed snapshot:', error.message);
+      return;
+    }
+    // Delta against a snapshot we no longer have: skip it, a keyframe follows once our ack ages out
+    if (!snapshot) return;
+
+    this.snapshotHistory.set(snapshot.tick, snapshot.entities);
+    for (const tick of this.snapshotHistory.keys()) {
+      if (tick > snapshot.tick - NETWORK.SNAPSHOT_HISTORY) break;
+      this.snapshotHistory.delete(tick);
     }
+
+    const now = performance.now();
+    if (now - this.lastSnapshotAckAt >= NETWORK.SNAPSHOT_ACK_INTERVAL) {
+      this.lastSnapshotAckAt = now;
+      this.socket.emit(SNAPSHOT_ACK_EVENT, { tick: snapshot.tick });
+    }
+
+    this.emit('snapshot', expandSnapshot(snapshot.entities, snapshot.time));
+    if (ownCar) this.emit('ownCarState', decodeOwnCar(ownCar));
+  }
+
+  // Returns the input's sequence number, or null when it couldn't be sent
+  sendInput(inputState) {
+    if (!this.socket || !this.connected) return null;
+    this.inputSeq += 1;
+    this.socket.emit('input', { ...inputState, seq: this.inputSeq });
+    return this.inputSeq;
   }
 
   sendFall() {
@@ -214,6 +372,70 @@ export class NetworkManager extends EventEmitter {
     }
   }
 
+  // 'red' | 'blue' | null (no preference). In a match this switches sides.
+  selectTeam(team) {
+    if (this.socket && this.connected) {
+      this.socket.emit('selectTeam', team);
+    }
+  }
+
+  // ---- Host controls (the server rejects these from anyone but the host) ----
+
+  setMatchOptions(options) {
+    if (this.socket && this.connected) {
+      this.socket.emit('setMatchOptions', options);
+    }
+  }
+
+  kickPlayer(playerId) {
+    if (this.socket && this.connected) {
+      this.socket.emit('kickPlayer', { playerId });
+    }
+  }
+
+  transferHost(playerId) {
+    if (this.socket && this.connected) {
+      this.socket.emit('transferHost', { playerId });
+    }
+  }
+
+  addBot(difficulty) {
+    if (this.socket && this.connected) {
+      this.socket.emit('addBot', { difficulty });
+    }
+  }
+
+  // Bots until there are enough players to start and teams are even
+  fillBots(difficulty) {
+    if (this.socket && this.connected) {
+      this.socket.emit('fillBots', { difficulty });
+    }
+  }
+
+  forceStart() {
+    if (this.socket && this.connected) {
+      this.socket.emit('forceStart');
+    }
+  }
+
+  voteMap(mapId) {
+    if (this.socket && this.connected) {
+      this.socket.emit('voteMap', { mapId });
+    }
+  }
+
+  selectMap(mapId) {
+    if (this.socket && this.connected) {
+      this.socket.emit('selectMap', { mapId });
+    }
+  }
+
+  claimHost(password) {
+    if (this.socket && this.connected) {
+      this.socket.emit('claimHost', { password });
+    }
+  }
+
   sendRespawnRequest() {
     if (this.socket && this.connected) {
       this.socket.emit('respawnRequest');
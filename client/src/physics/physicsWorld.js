@@ -24,16 +24,24 @@ export class PhysicsWorld {
     this.accumulator = 0;
   }
 
-  update(deltaTime) {
+  // afterStep runs after every fixed step (the car applies its input there, as on the server)
+  update(deltaTime, afterStep = null) {
     // Fixed timestep physics
     this.accumulator += deltaTime;
 
     while (this.accumulator >= PHYSICS.FIXED_TIMESTEP) {
-      this.world.step();
+      this.step();
+      afterStep?.();
       this.accumulator -= PHYSICS.FIXED_TIMESTEP;
     }
   }
 
+  // A single fixed step outside the accumulator (client-side prediction keeps its own clock)
+  step() {
+    this.world.timestep = PHYSICS.FIXED_TIMESTEP;
+    this.world.step();
+  }
+
   getWorld() {
     return this.world;
   }
@@ -0,0 +1,153 @@
+// Locks in the shared car controller (shared/carController.js): every check drives a car on a
+// flat floor the way the game does (physics step, then driveCar with that step's input) and
+// compares the outcome. Run with `npm run test:car`; exits non-zero if a check fails.
+// If the driving model is changed on purpose, update GOLDEN_DRIVE with the printed values.
+import assert from 'node:assert/strict';
+import { PhysicsWorld } from './physicsWorld.js';
+import { createCarBody, driveCar, isFlipped } from '../../shared/carController.js';
+import { PHYSICS } from '../../shared/constants.js';
+
+const STEPS_PER_SECOND = Math.round(1 / PHYSICS.FIXED_TIMESTEP);
+const FORWARD = { throttle: 1, brake: 0, steer: 0 };
+const COAST = { throttle: 0, brake: 0, steer: 0 };
+
+// Accelerate, turn, brake: final state after 150 steps (rounded to 3 decimals)
+const SCRIPTED_DRIVE = [
+  ...Array(60).fill(FORWARD),
+  ...Array(60).fill({ throttle: 1, brake: 0, steer: 1 }),
+  ...Array(30).fill({ throttle: 0, brake: 1, steer: 0 }),
+];
+const GOLDEN_DRIVE = {
+  position: [7.702, -0.001, -45.408],
+  rotation: [0, -0.965, 0, 0.263],
+  speed: 0,
+  yaw: -2.608,
+};
+
+async function createCar({ position = { x: 0, y: 0.1, z: 0 }, rotation = { x: 0, y: 0, z: 0, w: 1 } } = {}) {
+  const physicsWorld = new PhysicsWorld();
+  await physicsWorld.init();
+  const RAPIER = physicsWorld.getRAPIER();
+  const world = physicsWorld.getWorld();
+  const floor = world.createRigidBody(RAPIER.RigidBodyDesc.fixed().setTranslation(0, -0.5, 0));
+  world.createCollider(RAPIER.ColliderDesc.cuboid(500, 0.5, 500).setFriction(0.7), floor);
+  const { rigidBody } = createCarBody(RAPIER, world, position, rotation);
+  return { world, body: rigidBody };
+}
+
+// inputs: one per step; options go to driveCar (hasFlag)
+function drive({ world, body }, inputs, options = {}) {
+  inputs.forEach((input) => {
+    world.step();
+    driveCar(body, input, PHYSICS.FIXED_TIMESTEP, options);
+  });
+  return readState(body);
+}
+
+function readState(body) {
+  const round = (n) => Math.round(n * 1000) / 1000 + 0; // + 0 turns -0 into 0
+  const p = body.translation();
+  const q = body.rotation();
+  const v = body.linvel();
+  return {
+    position: [p.x, p.y, p.z].map(round),
+    rotation: [q.x, q.y, q.z, q.w].map(round),
+    speed: round(Math.hypot(v.x, v.z)),
+    yaw: round(Math.atan2(2 * (q.w * q.y + q.x * q.z), 1 - 2 * (q.x * q.x + q.y * q.y))),
+  };
+}
+
+const seconds = (input, s) => Array(Math.round(s * STEPS_PER_SECOND)).fill(input);
+
+const checks = {
+  async 'same inputs give the same car, every time'() {
+    const first = drive(await createCar(), SCRIPTED_DRIVE);
+    const second = drive(await createCar(), SCRIPTED_DRIVE);
+    assert.deepEqual(second, first);
+  },
+
+  async 'scripted drive matches the recorded result'() {
+    const result = drive(await createCar(), SCRIPTED_DRIVE);
+    assert.deepEqual(result, GOLDEN_DRIVE, `got ${JSON.stringify(result)}`);
+  },
+
+  async 'throttle drives forward (-Z) and settles below the top speed'() {
+    const car = await createCar();
+    const oneSecond = drive(car, seconds(FORWARD, 1));
+    const threeSeconds = drive(car, seconds(FORWARD, 2));
+    assert.ok(oneSecond.position[2] < -5, `moved to z=${oneSecond.position[2]}`);
+    assert.ok(Math.abs(oneSecond.position[0]) < 0.1, 'drifted sideways');
+    assert.ok(threeSeconds.speed >= oneSecond.speed, 'slowed down under throttle');
+    assert.ok(threeSeconds.speed < 150, `speed ${threeSeconds.speed}`);
+  },
+
+  async 'reverse is slower than forward'() {
+    const forward = drive(await createCar(), seconds(FORWARD, 2));
+    const reverse = drive(await createCar(), seconds({ throttle: -1, brake: 0, steer: 0 }, 2));
+    assert.ok(reverse.position[2] > 1, `reversed to z=${reverse.position[2]}`);
+    assert.ok(reverse.speed < forward.speed * 0.7, `reverse ${reverse.speed} vs forward ${forward.speed}`);
+  },
+
+  async 'brake stops the car sooner than coasting'() {
+    const braking = await createCar();
+    const coasting = await createCar();
+    drive(braking, seconds(FORWARD, 1));
+    drive(coasting, seconds(FORWARD, 1));
+    const braked = drive(braking, seconds({ throttle: 0, brake: 1, steer: 0 }, 0.25));
+    const coasted = drive(coasting, seconds(COAST, 0.25));
+    assert.ok(braked.speed < coasted.speed, `braked ${braked.speed} vs coasted ${coasted.speed}`);
+  },
+
+  async 'steering right while driving forward turns right'() {
+    const car = await createCar();
+    drive(car, seconds(FORWARD, 0.5));
+    const turned = drive(car, seconds({ throttle: 1, brake: 0, steer: 1 }, 1));
+    assert.ok(turned.yaw < -0.3, `yaw ${turned.yaw}`);
+    assert.ok(turned.position[0] > 0.5, `x ${turned.position[0]}`);
+  },
+
+  async 'flag carriers turn less'() {
+    const turn = [...seconds(FORWARD, 0.5), ...seconds({ throttle: 1, brake: 0, steer: 1 }, 0.5)];
+    const normal = drive(await createCar(), turn);
+    const carrier = drive(await createCar(), turn, { hasFlag: true });
+    assert.ok(Math.abs(carrier.yaw) < Math.abs(normal.yaw), `carrier ${carrier.yaw} vs ${normal.yaw}`);
+  },
+
+  async 'a flipped car ignores throttle'() {
+    // Upside down (180° around Z), resting on its roof
+    const car = await createCar({ position: { x: 0, y: 2, z: 0 }, rotation: { x: 0, y: 0, z: 1, w: 0 } });
+    drive(car, seconds(COAST, 1));
+    assert.ok(isFlipped(car.body));
+    const state = drive(car, seconds(FORWARD, 1));
+    assert.ok(state.speed < 0.5, `speed ${state.speed}`);
+  },
+
+  async 'out-of-range and missing inputs are clamped'() {
+    const clamped = drive(await createCar(), seconds({ throttle: 5, brake: -1, steer: 0 }, 1));
+    const full = drive(await createCar(), seconds(FORWARD, 1));
+    assert.deepEqual(clamped, full);
+    const missing = drive(await createCar(), seconds({}, 1));
+    const idle = drive(await createCar(), seconds(COAST, 1));
+    assert.deepEqual(missing, idle);
+  },
+};
+
+async function main() {
+  let failed = 0;
+  for (const [name, check] of Object.entries(checks)) {
+    try {
+      await check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed += 1;
+      console.error(`❌ ${name}: ${error.message}`);
+    }
+  }
+  console.log(failed === 0 ? 'All car controller checks passed' : `${failed} car controller check(s) failed`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
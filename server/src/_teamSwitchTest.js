@@ -0,0 +1,107 @@
+// Checks what a mid-match team change (a player's Switch Team or a rebalance after someone
+// leaves) does to game mode state: the player stays in the match, so modes must not forget
+// them. Runs GameServer without sockets; `npm run test:teams`, exits non-zero if a check fails.
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { GameServer } from './gameLogic.js';
+import { createGameMode } from './modes/index.js';
+
+const readMap = (name) => JSON.parse(readFileSync(new URL(`../../shared/maps/${name}.json`, import.meta.url), 'utf8'));
+
+// Socket stand-in that remembers what it was sent
+function createSocket(id) {
+  return { id, sent: [], emit(event, data) { this.sent.push([event, data]); } };
+}
+
+// A playing match of the mode with red/blue/red cars p1, p2, p3 (sockets s-p1...)
+async function createMatch(modeId, mapName) {
+  const server = new GameServer(null, `team-switch-${modeId}`);
+  server.stopGameLoop();
+  await server.physicsWorld.init();
+  server.mapData = readMap(mapName);
+  server.modeId = modeId;
+  server.mode = createGameMode(modeId, server);
+  [['p1', 'red'], ['p2', 'blue'], ['p3', 'red']].forEach(([playerId, team]) => {
+    server.players.set(`s-${playerId}`, playerId);
+    server.spawnPlayer(playerId, team);
+  });
+  server.gameState = 'playing';
+  server.mode.onStart();
+  return server;
+}
+
+const checks = {
+  async 'infection: an infected car cannot switch teams to get cured'() {
+    const server = await createMatch('infection', 'defaultMap');
+    const { mode } = server;
+    mode.infected.clear();
+    mode.infected.add('p1');
+    const socket = createSocket('s-p1');
+    server.handleSelectTeam(socket, 'blue');
+    assert.equal(server.playerManager.getPlayer('p1').team, 'red');
+    assert.ok(mode.infected.has('p1'), 'p1 was cured');
+    assert.equal(socket.sent[0]?.[0], 'teamRejected');
+    server.destroy();
+  },
+
+  async 'infection: a rebalance keeps infection and survival points'() {
+    const server = await createMatch('infection', 'defaultMap');
+    const { mode } = server;
+    mode.infected.clear();
+    mode.infected.add('p3');
+    mode.points.set('p1', 42);
+    server.movePlayerToTeam('p1', 'blue', 'rebalance');
+    server.movePlayerToTeam('p3', 'blue', 'rebalance');
+    assert.equal(server.playerManager.getPlayer('p1').team, 'blue');
+    assert.equal(mode.points.get('p1'), 42);
+    assert.deepEqual([...mode.infected], ['p3']);
+    server.destroy();
+  },
+
+  async 'race: switching teams keeps laps and finish position'() {
+    const server = await createMatch('race', 'raceTrack');
+    const { mode } = server;
+    Object.assign(mode.getProgress('p1'), { lap: 2, nextCheckpoint: 1, lapTimes: [40000, 41000] });
+    Object.assign(mode.getProgress('p3'), { lap: server.settings.laps, finishTime: 120000 });
+    mode.finishOrder = ['p3'];
+    server.handleSelectTeam(createSocket('s-p1'), 'blue');
+    server.movePlayerToTeam('p3', 'blue', 'rebalance');
+    assert.equal(server.playerManager.getPlayer('p1').team, 'blue');
+    assert.equal(mode.progress.get('p1').lap, 2);
+    assert.deepEqual(mode.progress.get('p1').lapTimes, [40000, 41000]);
+    assert.equal(mode.progress.get('p3').finishTime, 120000);
+    assert.deepEqual(mode.finishOrder, ['p3']);
+    server.destroy();
+  },
+
+  async 'ctf: a carrier switching teams drops the flag'() {
+    const server = await createMatch('ctf', 'defaultMap');
+    const { mode } = server;
+    mode.flags.blue.carriedBy = 'p1';
+    server.playerManager.getPlayer('p1').hasFlag = true;
+    server.handleSelectTeam(createSocket('s-p1'), 'blue');
+    assert.equal(server.playerManager.getPlayer('p1').team, 'blue');
+    assert.equal(mode.flags.blue.carriedBy, null);
+    server.destroy();
+  },
+};
+
+async function main() {
+  let failed = 0;
+  for (const [name, check] of Object.entries(checks)) {
+    try {
+      await check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed += 1;
+      console.error(`❌ ${name}: ${error.message}`);
+    }
+  }
+  console.log(failed === 0 ? 'All team switch checks passed' : `${failed} team switch check(s) failed`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,160 @@
+import { rotateVecByQuat } from '../../../shared/carController.js';
+
+// How well each difficulty drives: top throttle, how far off its aim wanders, how often it
+// re-reads the situation (and re-plans its route) and how far ahead it checks for edges
+const DIFFICULTY_PROFILES = {
+  easy: { maxThrottle: 0.65, aimError: 0.35, thinkMs: 400, replanMs: 1200, lookahead: 0.5 },
+  medium: { maxThrottle: 0.85, aimError: 0.15, thinkMs: 150, replanMs: 600, lookahead: 0.8 },
+  hard: { maxThrottle: 1, aimError: 0.03, thinkMs: 0, replanMs: 300, lookahead: 1.1 },
+};
+
+const WAYPOINT_RADIUS = 5; // close enough to a waypoint to head for the next one
+const REPLAN_DISTANCE = 10; // target moved this far since the last plan: plan again
+const ROAM_MS = 8000; // nothing to do: wander to a random spot, picking a new one this often
+const STUCK_MS = 1500; // pushing the throttle without moving for this long means we're stuck
+const REVERSE_MS = 1000;
+const FLIPPED_RESET_MS = 3000; // on the roof this long: use the respawn button like a player would
+const EDGE_DROP = 3; // ground this far below the car (or none at all) is an edge
+
+// Signed angle from the car's heading to a point (same convention as Car.update)
+function headingAngle(position, forward, point) {
+  const toX = point.x - position.x;
+  const toZ = point.z - position.z;
+  return Math.atan2(forward.x * toZ - forward.z * toX, forward.x * toX + forward.z * toZ);
+}
+
+// Driving forward, positive steer turns the car towards positive angles
+function steerFor(angle) {
+  return Math.max(-1, Math.min(1, angle * 2));
+}
+
+// Drives one bot car. Each tick it asks the game mode where to go (getBotTarget), follows a
+// route through the map's NavGraph and turns that into throttle/brake/steer, the same inputs
+// a player's client sends.
+export class BotDriver {
+  constructor(server, player, difficulty) {
+    this.server = server; // GameServer running the match
+    this.player = player;
+    this.difficulty = DIFFICULTY_PROFILES[difficulty] ? difficulty : 'medium';
+    this.profile = DIFFICULTY_PROFILES[this.difficulty];
+    this.path = [];
+    this.plannedTarget = null;
+    this.nextPlanAt = 0;
+    this.nextThinkAt = 0;
+    this.lastThinkAt = null;
+    this.aimOffset = 0; // radians, re-rolled with every plan
+    this.roamTarget = null;
+    this.roamUntil = 0;
+    this.stuckFor = 0; // ms
+    this.reverseUntil = 0;
+    this.flippedFor = 0; // ms
+  }
+
+  update(deltaTime) {
+    const { car } = this.player;
+    if (this.player.eliminated) {
+      car.setInput(0, 0, 0);
+      return;
+    }
+    const now = this.server.serverTickMs;
+    const elapsedMs = deltaTime * 1000;
+
+    this.flippedFor = car.isFlipped() ? this.flippedFor + elapsedMs : 0;
+    if (this.flippedFor >= FLIPPED_RESET_MS) {
+      this.flippedFor = 0;
+      this.server.resetCarToSpawn(this.player);
+      return;
+    }
+
+    // Slower bots react late: keep the last inputs until it's time to think again
+    if (now < this.nextThinkAt) return;
+    this.nextThinkAt = now + this.profile.thinkMs;
+    const sinceLastThink = this.lastThinkAt == null ? elapsedMs : now - this.lastThinkAt;
+    this.lastThinkAt = now;
+
+    const input = this.decide(now, sinceLastThink);
+    car.setInput(input.throttle, input.brake, input.steer);
+  }
+
+  decide(now, elapsedMs) {
+    const { car } = this.player;
+    const position = car.getPosition();
+    const velocity = car.rigidBody?.linvel() || { x: 0, y: 0, z: 0 };
+    const speed = Math.hypot(velocity.x, velocity.z);
+    const forward = rotateVecByQuat(car.getRotation(), { x: 0, y: 0, z: -1 });
+    const nav = this.server.getNavGraph();
+
+    const aim = this.nextWaypoint(now, position, nav);
+    if (!aim) return { throttle: 0, brake: 1, steer: 0 };
+
+    const angle = headingAngle(position, forward, aim) + this.aimOffset;
+    let steer = steerFor(angle);
+    let throttle = this.profile.maxThrottle * (Math.abs(angle) > Math.PI / 2 ? 0.4 : 1 - Math.abs(angle) / Math.PI);
+    let brake = 0;
+
+    // Stuck against something: back off for a moment, steering the other way
+    if (now < this.reverseUntil) {
+      return { throttle: -0.8, brake: 0, steer: -steer };
+    }
+    this.stuckFor = throttle > 0.3 && speed < 1 ? this.stuckFor + elapsedMs : 0;
+    if (this.stuckFor >= STUCK_MS) {
+      this.stuckFor = 0;
+      this.reverseUntil = now + REVERSE_MS;
+      this.path = [];
+    }
+
+    // Edge ahead: brake and turn towards the nearest safe ground; nearly stopped, back away
+    if (nav) {
+      const ahead = {
+        x: position.x + velocity.x * this.profile.lookahead + forward.x * 3,
+        y: position.y,
+        z: position.z + velocity.z * this.profile.lookahead + forward.z * 3,
+      };
+      const ground = nav.groundHeight(ahead);
+      if (ground == null || ground < position.y - EDGE_DROP) {
+        const safe = nav.nodes[nav.nearestNode(position)];
+        brake = 1;
+        throttle = speed < 3 ? -0.6 : 0;
+        if (safe) steer = steerFor(headingAngle(position, forward, safe));
+      }
+    }
+
+    return { throttle, brake, steer };
+  }
+
+  // Point to steer at right now: next waypoint on the route to the mode's target (or a random
+  // spot when the mode has nothing for us). Re-plans on a timer or when the target moves.
+  nextWaypoint(now, position, nav) {
+    let target = this.server.mode.getBotTarget(this.player);
+    if (!target) {
+      if (!this.roamTarget || now >= this.roamUntil) {
+        this.roamTarget = nav?.randomNode() || null;
+        this.roamUntil = now + ROAM_MS;
+      }
+      target = this.roamTarget;
+    }
+    if (!target) return null;
+    if (!nav) return target;
+    // Off the map (a car fleeing towards the void): settle for the closest spot on it
+    if (nav.groundHeight(target) == null) {
+      const node = nav.nodes[nav.nearestNode(target)];
+      if (node) target = node;
+    }
+
+    const targetMoved = !this.plannedTarget ||
+      Math.hypot(target.x - this.plannedTarget.x, target.z - this.plannedTarget.z) > REPLAN_DISTANCE;
+    if (this.path.length === 0 || targetMoved || now >= this.nextPlanAt) {
+      this.path = nav.findPath(position, target);
+      this.plannedTarget = { ...target };
+      this.nextPlanAt = now + this.profile.replanMs;
+      this.aimOffset = (Math.random() * 2 - 1) * this.profile.aimError;
+    }
+
+    while (this.path.length > 1 &&
+      Math.hypot(this.path[0].x - position.x, this.path[0].z - position.z) < WAYPOINT_RADIUS) {
+      this.path.shift();
+    }
+    // The last leg goes straight for the (possibly moving) target
+    return this.path.length > 1 ? this.path[0] : target;
+  }
+}
@@ -0,0 +1,163 @@
+import { insideVolume } from '../modes/volumes.js';
+
+const NODE_SPACING = 8; // roughly one node per 8x8 patch of drivable surface
+const MAX_STEP = 1.5; // height difference a car can drive over between neighbouring nodes
+const LINK_DISTANCE = NODE_SPACING * 1.6; // covers diagonals and tiles of slightly different sizes
+
+// Waypoint graph for bots, derived from the map's blocks: nodes sit on top of every block a car
+// can drive on, and neighbouring nodes at about the same height are linked when the ground
+// between them is solid. Blocks can be switched off (sumo's shrinking arena); their nodes are
+// skipped while isBlockEnabled(index) says so.
+export class NavGraph {
+  constructor(mapData, isBlockEnabled = () => true) {
+    this.isBlockEnabled = isBlockEnabled;
+    this.blocks = (mapData?.blocks || []).map((block, index) => ({
+      index,
+      position: block.position,
+      size: block.size,
+      rotation: block.rotation,
+      top: block.position[1] + block.size[1] / 2,
+    }));
+    this.nodes = []; // { x, y, z, blockIndex, links: [node index] }
+    this.build();
+  }
+
+  build() {
+    this.blocks.forEach((block) => {
+      // Tilted blocks (ramps) have no flat top to put nodes on
+      if (block.rotation?.[0] || block.rotation?.[2]) return;
+      const countX = Math.max(1, Math.round(block.size[0] / NODE_SPACING));
+      const countZ = Math.max(1, Math.round(block.size[2] / NODE_SPACING));
+      const yaw = block.rotation?.[1] || 0;
+      const cos = Math.cos(yaw);
+      const sin = Math.sin(yaw);
+      for (let i = 0; i < countX; i++) {
+        for (let j = 0; j < countZ; j++) {
+          const localX = -block.size[0] / 2 + (i + 0.5) * block.size[0] / countX;
+          const localZ = -block.size[2] / 2 + (j + 0.5) * block.size[2] / countZ;
+          // Inverse of the rotation insideVolume applies
+          const node = {
+            x: block.position[0] + localX * cos + localZ * sin,
+            y: block.top,
+            z: block.position[2] - localX * sin + localZ * cos,
+            blockIndex: block.index,
+            links: [],
+          };
+          if (!this.isObstructed(node)) this.nodes.push(node);
+        }
+      }
+    });
+
+    for (let a = 0; a < this.nodes.length; a++) {
+      for (let b = a + 1; b < this.nodes.length; b++) {
+        const nodeA = this.nodes[a];
+        const nodeB = this.nodes[b];
+        if (Math.abs(nodeA.y - nodeB.y) > MAX_STEP) continue;
+        if (Math.hypot(nodeA.x - nodeB.x, nodeA.z - nodeB.z) > LINK_DISTANCE) continue;
+        const middle = {
+          x: (nodeA.x + nodeB.x) / 2,
+          y: Math.max(nodeA.y, nodeB.y),
+          z: (nodeA.z + nodeB.z) / 2,
+        };
+        if (this.groundHeight(middle, { ignoreDisabled: true }) == null || this.isObstructed(middle)) continue;
+        nodeA.links.push(b);
+        nodeB.links.push(a);
+      }
+    }
+  }
+
+  // Does another block fill the space a car would occupy at this point (a wall, a pillar)?
+  isObstructed(point) {
+    const probe = { x: point.x, y: point.y + 1, z: point.z };
+    return this.blocks.some((block) => insideVolume(probe, block));
+  }
+
+  // Top of the highest block under the point that the car could be standing on, or null when
+  // there's nothing but the void below
+  groundHeight(point, { ignoreDisabled = false } = {}) {
+    let best = null;
+    this.blocks.forEach((block) => {
+      if (!ignoreDisabled && !this.isBlockEnabled(block.index)) return;
+      if (block.top > point.y + MAX_STEP) return;
+      const onTop = { x: point.x, y: block.position[1], z: point.z };
+      if (!insideVolume(onTop, block)) return;
+      if (best == null || block.top > best) best = block.top;
+    });
+    return best;
+  }
+
+  isNodeEnabled(index) {
+    return this.isBlockEnabled(this.nodes[index].blockIndex);
+  }
+
+  // Closest usable node; height differences count double so a car under a platform doesn't
+  // pick a node on top of it
+  nearestNode(point) {
+    let best = -1;
+    let bestCost = Infinity;
+    this.nodes.forEach((node, index) => {
+      if (!this.isNodeEnabled(index)) return;
+      const cost = Math.hypot(node.x - point.x, node.z - point.z) + Math.abs(node.y - point.y) * 2;
+      if (cost < bestCost) {
+        best = index;
+        bestCost = cost;
+      }
+    });
+    return best;
+  }
+
+  randomNode() {
+    const enabled = this.nodes.filter((node, index) => this.isNodeEnabled(index));
+    return enabled.length > 0 ? enabled[Math.floor(Math.random() * enabled.length)] : null;
+  }
+
+  // A* from the node nearest `from` to the node nearest `to`. Returns the waypoints ({ x, y, z })
+  // to drive through, ending at `to` itself. When that node can't be reached (the top of a
+  // pillar) the path leads to the reachable node closest to it instead.
+  findPath(from, to) {
+    const start = this.nearestNode(from);
+    let goal = this.nearestNode(to);
+    if (start < 0 || goal < 0) return [];
+
+    const distance = (a, b) => Math.hypot(this.nodes[a].x - this.nodes[b].x, this.nodes[a].z - this.nodes[b].z);
+    const cameFrom = new Map();
+    const cost = new Map([[start, 0]]);
+    const open = new Map([[start, distance(start, goal)]]); // node -> estimated total cost
+
+    while (open.size > 0) {
+      let current = -1;
+      let lowest = Infinity;
+      open.forEach((estimate, index) => {
+        if (estimate < lowest) {
+          current = index;
+          lowest = estimate;
+        }
+      });
+      if (current === goal) break;
+      open.delete(current);
+
+      this.nodes[current].links.forEach((next) => {
+        if (!this.isNodeEnabled(next)) return;
+        const nextCost = cost.get(current) + distance(current, next);
+        if (nextCost >= (cost.get(next) ?? Infinity)) return;
+        cameFrom.set(next, current);
+        cost.set(next, nextCost);
+        open.set(next, nextCost + distance(next, goal));
+      });
+    }
+    if (!cost.has(goal)) {
+      let closest = start;
+      cost.forEach((_, index) => {
+        if (distance(index, goal) < distance(closest, goal)) closest = index;
+      });
+      goal = closest;
+    }
+
+    const path = [{ x: to.x, y: to.y, z: to.z }];
+    for (let index = goal; index !== undefined && index !== start; index = cameFrom.get(index)) {
+      const node = this.nodes[index];
+      path.unshift({ x: node.x, y: node.y, z: node.z });
+    }
+    return path;
+  }
+}
@@ -0,0 +1,164 @@
+import { MapLibrary } from './mapLibrary.js';
+
+// Every event a client can send goes through here before a handler sees it: the payload is
+// type-checked (finite numbers, bounded strings and sizes) and each event has its own rate
+// limit per socket. Handlers can rely on the shapes below; anything else is dropped and
+// reported through onRejected(event, reason).
+
+const MAX_NAME_INPUT = 64; // longer than GAME.MAX_NAME_LENGTH: names are trimmed, not rejected
+const MAX_ID_LENGTH = 64; // socket ids, bot ids, session tokens
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_MAP_BYTES = 256 * 1024; // serialized custom map
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isShortString = (value, maxLength) => typeof value === 'string' && value.length <= maxLength;
+
+// Payloads that are allowed to be missing (older clients send nothing)
+const optionalObject = (data) => (data === undefined || data === null ? {} : data);
+
+function noPayload() {
+  return { value: undefined };
+}
+
+function joinPayload(data) {
+  const options = optionalObject(data);
+  if (!isObject(options)) return { error: 'options must be an object' };
+  if (options.name != null && !isShortString(options.name, MAX_NAME_INPUT)) return { error: 'bad name' };
+  if (options.password != null && !isShortString(options.password, MAX_PASSWORD_LENGTH)) return { error: 'bad password' };
+  if (options.spectate != null && typeof options.spectate !== 'boolean') return { error: 'bad spectate flag' };
+  return { value: { name: options.name, password: options.password, spectate: options.spectate } };
+}
+
+function inputPayload(data) {
+  if (!isObject(data)) return { error: 'input must be an object' };
+  const value = {};
+  for (const [key, min, max] of [['throttle', -1, 1], ['brake', 0, 1], ['steer', -1, 1]]) {
+    const raw = data[key] ?? 0;
+    if (typeof raw !== 'number' || !Number.isFinite(raw)) return { error: `${key} is not a finite number` };
+    value[key] = Math.max(min, Math.min(max, raw));
+  }
+  // Sequence number from clients that predict their car (see GameServer.handlePlayerInput)
+  if (data.seq !== undefined) {
+    if (!Number.isInteger(data.seq) || data.seq < 1 || data.seq > 0xffffffff) return { error: 'bad input sequence' };
+    value.seq = data.seq;
+  }
+  return { value };
+}
+
+// { [key]: string } with a length cap, e.g. { playerId } or { token }
+function stringField(key, maxLength) {
+  return (data) => {
+    if (!isObject(data) || !isShortString(data[key], maxLength)) return { error: `${key} must be a string` };
+    return { value: data[key] };
+  };
+}
+
+function teamPayload(data) {
+  if (data === undefined || data === null || data === '') return { value: null };
+  if (data === 'red' || data === 'blue') return { value: data };
+  return { error: 'unknown team' };
+}
+
+function matchOptionsPayload(data) {
+  if (!isObject(data)) return { error: 'options must be an object' };
+  if (data.autoBalance !== undefined && typeof data.autoBalance !== 'boolean') return { error: 'bad autoBalance' };
+  if (data.mapVote !== undefined && typeof data.mapVote !== 'boolean') return { error: 'bad mapVote' };
+  if (data.mode !== undefined && !isShortString(data.mode, 32)) return { error: 'bad mode' };
+  if (data.mapId != null && !MapLibrary.isValidId(data.mapId)) return { error: 'bad map id' };
+  // Setting values are range-checked by validateMatchSettings
+  if (data.settings !== undefined && !isObject(data.settings)) return { error: 'settings must be an object' };
+  return { value: { autoBalance: data.autoBalance, mapVote: data.mapVote, mode: data.mode, mapId: data.mapId, settings: data.settings } };
+}
+
+function mapIdPayload(data) {
+  if (!isObject(data) || !MapLibrary.isValidId(data.mapId)) return { error: 'bad map id' };
+  return { value: data.mapId };
+}
+
+function tickPayload(data) {
+  if (!isObject(data) || !Number.isInteger(data.tick) || data.tick < 0 || data.tick > 0xffffffff) return { error: 'bad tick' };
+  return { value: data.tick };
+}
+
+function difficultyPayload(data) {
+  const options = optionalObject(data);
+  if (!isObject(options)) return { error: 'options must be an object' };
+  if (options.difficulty != null && !isShortString(options.difficulty, 16)) return { error: 'bad difficulty' };
+  return { value: options.difficulty };
+}
+
+// { map, mapId?, editToken? }: mapId names an uploaded map to save a new version of, editToken
+// is the token the host got when uploading it (see MapLibrary.canEdit). The map's contents
+// are checked against shared/mapSchema.js by the handler, which reports the problems back to
+// the host; here we only keep out non-objects and oversized payloads.
+function customMapPayload(data) {
+  if (!isObject(data) || !isObject(data.map)) return { error: 'map must be an object' };
+  if (data.mapId != null && !MapLibrary.isValidId(data.mapId)) return { error: 'bad map id' };
+  if (data.editToken != null && (typeof data.editToken !== 'string' || data.editToken.length > MAX_ID_LENGTH)) {
+    return { error: 'bad edit token' };
+  }
+  if (JSON.stringify(data.map).length > MAX_MAP_BYTES) return { error: 'map is too large' };
+  return { value: { map: data.map, mapId: data.mapId ?? null, editToken: data.editToken ?? null } };
+}
+
+// limit events per windowMs for each socket. Inputs come 60 times a second on two event names.
+export const EVENT_RULES = {
+  joinGame: { limit: 3, windowMs: 5000, validate: joinPayload },
+  resumeSession: { limit: 3, windowMs: 5000, validate: stringField('token', MAX_ID_LENGTH) },
+  playerInput: { limit: 90, windowMs: 1000, validate: inputPayload },
+  input: { limit: 90, windowMs: 1000, validate: inputPayload },
+  snapshotAck: { limit: 30, windowMs: 1000, validate: tickPayload },
+  playerFall: { limit: 2, windowMs: 1000, validate: noPayload },
+  playerReady: { limit: 5, windowMs: 1000, validate: noPayload },
+  selectTeam: { limit: 5, windowMs: 1000, validate: teamPayload },
+  setMatchOptions: { limit: 10, windowMs: 1000, validate: matchOptionsPayload },
+  kickPlayer: { limit: 5, windowMs: 1000, validate: stringField('playerId', MAX_ID_LENGTH) },
+  transferHost: { limit: 5, windowMs: 1000, validate: stringField('playerId', MAX_ID_LENGTH) },
+  addBot: { limit: 10, windowMs: 1000, validate: difficultyPayload },
+  fillBots: { limit: 3, windowMs: 1000, validate: difficultyPayload },
+  forceStart: { limit: 2, windowMs: 1000, validate: noPayload },
+  selectMap: { limit: 5, windowMs: 1000, validate: mapIdPayload },
+  voteMap: { limit: 5, windowMs: 1000, validate: mapIdPayload },
+  // Slow enough that guessing the host password isn't practical
+  claimHost: { limit: 5, windowMs: 60000, validate: stringField('password', MAX_PASSWORD_LENGTH) },
+  customMap: { limit: 2, windowMs: 10000, validate: customMapPayload },
+  respawnRequest: { limit: 2, windowMs: 1000, validate: noPayload },
+};
+
+// Wraps one socket: guard.on(event, handler) registers a handler that only runs for
+// well-formed payloads within the event's rate limit.
+export class EventGuard {
+  constructor(socket, onRejected = () => {}) {
+    this.socket = socket;
+    this.onRejected = onRejected; // (event, reason)
+    this.windows = new Map(); // event -> { startedAt, count }
+  }
+
+  on(event, handler) {
+    const rule = EVENT_RULES[event];
+    if (!rule) throw new Error(`No EVENT_RULES entry for "${event}"`);
+    this.socket.on(event, (data) => {
+      if (!this.withinRateLimit(event, rule)) {
+        this.onRejected(event, 'rate limit');
+        return;
+      }
+      const { value, error } = rule.validate(data);
+      if (error) {
+        this.onRejected(event, error);
+        return;
+      }
+      handler(value);
+    });
+  }
+
+  withinRateLimit(event, rule) {
+    const now = Date.now();
+    let window = this.windows.get(event);
+    if (!window || now - window.startedAt >= rule.windowMs) {
+      window = { startedAt: now, count: 0 };
+      this.windows.set(event, window);
+    }
+    window.count += 1;
+    return window.count <= rule.limit;
+  }
+}
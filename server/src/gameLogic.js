@@ -1,12 +1,50 @@
+import { randomUUID } from 'crypto';
 import { PhysicsWorld } from './physicsWorld.js';
 import { PlayerManager } from './playerManager.js';
-import { GAME, NETWORK } from '../../shared/constants.js';
+import { BOTS, GAME, MAP_VOTE, NETWORK, PHYSICS } from '../../shared/constants.js';
+import { defaultMatchSettings, validateMatchSettings } from '../../shared/matchSettings.js';
+import { formatMapErrors } from '../../shared/mapSchema.js';
+import { describeMapColliders, createBlockCollider } from '../../shared/mapColliders.js';
+import { createGameMode, listGameModes, isGameMode, modeSupportsMap, DEFAULT_MODE } from './modes/index.js';
+import { BotDriver } from './bots/botDriver.js';
+import { NavGraph } from './bots/navGraph.js';
+import { DEFAULT_MAP_ID } from './mapLibrary.js';
+import { MapVote } from './mapVote.js';
+import { SnapshotStream } from './snapshotStream.js';
+import { TickLoop, secondsToTicks } from './tickLoop.js';
+import { SNAPSHOT_EVENT, encodeOwnCar } from '../../shared/snapshotCodec.js';
 
 let RAPIER = null;
 
+// Optional shared secret: joining (or claiming) with it makes you the lobby host
+const HOST_PASSWORD = process.env.HOST_PASSWORD || null;
+// A client's fall report only counts once our own copy of the car is this close to the death
+// line (it is rendering snapshots that are a few ticks old)
+const FALL_REPORT_TOLERANCE = 10;
+const TICK_MS = PHYSICS.FIXED_TIMESTEP * 1000; // one tick = one physics step
+const OVERRUN_LOG_INTERVAL_MS = 5000;
+// Pauses between match phases, in seconds
+const START_DELAY = 2; // cars spawned -> match starts
+const WIN_PAUSE = 1; // winner found -> match ends, so everyone sees the last score
+const RESULTS_DURATION = 10; // match ended -> room goes back to the lobby
+
+// Display names come straight from clients: strip control chars, collapse whitespace, cap length.
+function sanitizePlayerName(rawName) {
+  if (typeof rawName !== 'string') return '';
+  return rawName
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, GAME.MAX_NAME_LENGTH);
+}
+
 export class GameServer {
-  constructor(io) {
+  constructor(io, roomId = 'default') {
     this.io = io;
+    this.roomId = roomId; // Socket.IO room all of this match's broadcasts go to
+    this.destroyed = false;
+    // Rules for this match; updated in place so PlayerManager's reference stays current
+    this.settings = defaultMatchSettings();
     this.physicsWorld = new PhysicsWorld();
     // Initialize physics world asynchronously
     this.physicsWorld.init().then(() => {
@@ -14,44 +52,89 @@ export class GameServer {
     }).catch(err => {
       console.error('❌ Failed to initialize physics world:', err);
     });
-    this.playerManager = new PlayerManager(this.physicsWorld);
+    this.playerManager = this.createPlayerManager();
     
-    this.gameState = 'lobby'; // lobby, waiting, playing, ended
+    this.gameState = 'lobby'; // lobby, voting (on the map), waiting, playing, ended
     this.players = new Map(); // socketId -> playerId
     this.waitingPlayers = new Set();
     this.readyPlayers = new Set(); // socketId -> ready state
+    this.spectators = new Set(); // socketIds watching without a car
+    // Server-driven cars added by the host; they get a car (and a BotDriver) when the match starts
+    this.bots = new Map(); // playerId -> difficulty
+    this.botCounter = 0;
+    // Resumable sessions: a dropped player can rebind a new socket to their car.
+    this.sessions = new Map(); // sessionToken -> { playerId, socketId, expireTimer }
+    this.playerNames = new Map(); // playerId -> display name
+    this.pings = new Map(); // playerId -> round trip ms
+    this.rejectedEvents = new Map(); // playerId (socketId before joining) -> { event: count }
+    this.teamChoices = new Map(); // playerId -> 'red' | 'blue', lobby picks in pick order
+    this.autoBalance = false; // ignore picks and shuffle teams at start
+    this.mapVoteEnabled = true; // vote on the map when everyone is ready
+    this.mapVote = null; // MapVote while gameState is 'voting'
+    this.mapVoteTimer = null;
+    this.onSessionExpired = null; // set by RoomManager (room may now be empty)
+    this.hostPlayerId = null; // lobby host: kick, force start, map + match options
+    this.mapLibrary = null; // set by RoomManager
+    this.mapId = DEFAULT_MAP_ID; // MapLibrary id of the current map
+    this.mapName = DEFAULT_MAP_ID; // its display name
     this.mapData = null;
+    this.mapBodies = []; // fixed bodies of the current map, removed when the map changes
+    this.mapGeneration = 0;
     this.mapCollidersCreated = false;
     this.mapCollidersPromise = null;
+    this.navGraph = null; // bot waypoints for the current map, built on first use
     this.lastDebug = {
       mapColliders: null,
       startGameWorld: null,
     };
     
     this.scores = { red: 0, blue: 0 };
-    this.flags = {
-      red: { position: null, carriedBy: null },
-      blue: { position: null, carriedBy: null },
-    };
+    // Match clock (only when settings.timeLimit > 0): phase is 'regulation' | 'overtime' | 'suddenDeath'
+    this.clock = null;
+    // Rules of play (CTF, ...) live in a game mode; a fresh instance is created for every match
+    this.modeId = DEFAULT_MODE;
+    this.mode = createGameMode(this.modeId, this);
+    this.pendingWinner = null; // set during the short pause between the winning score and gameEnd
     
-    // Store custom map (most recent one uploaded)
-    this.customMap = null;
-    
-    this.lastUpdate = Date.now();
-    this.gameLoopInterval = null;
+    this.tickLoop = null;
+    this.lastOverrunLog = 0;
 
-    // Server clock for snapshot interpolation (monotonic, based on tick rate)
+    // Simulation clock: the last tick run and its time (tick × fixed step). Snapshots and
+    // events carry the tick; the match clock and snapshot interpolation use the time.
     this.serverTick = 0;
     this.serverTickMs = 0;
+    // Next match phase change (start, end, back to lobby): { tick, change }, run by runTick
+    this.phaseChange = null;
+    this.snapshots = new SnapshotStream(); // binary per-client deltas of the player states
     
     // Start game loop
     this.startGameLoop();
   }
 
+  // Event payloads (plain objects) say which tick they happened on
+  stampTick(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+    return { ...data, tick: this.serverTick };
+  }
+
+  // Emit to every socket in this match's room (never to other rooms).
+  broadcast(event, data) {
+    this.io?.to(this.roomId).emit(event, this.stampTick(data));
+  }
+
+  // Emit to one socket (replies, rejections, catch-up state), stamped like broadcast()
+  emitTo(socket, event, data) {
+    socket.emit(event, this.stampTick(data));
+  }
+
   setMap(mapData) {
+    this.removeMapColliders();
     this.mapData = mapData;
+    this.applyMapSettings(mapData);
+    this.mapGeneration += 1;
+    this.navGraph = null;
     this.mapCollidersCreated = false;
-    this.mapCollidersPromise = this.createMapColliders()
+    this.mapCollidersPromise = this.createMapColliders(this.mapGeneration)
       .then(() => {
         this.mapCollidersCreated = true;
       })
@@ -59,14 +142,50 @@ export class GameServer {
         console.error('Error creating map colliders:', err);
         this.mapCollidersCreated = false;
       });
-    this.initializeFlags();
   }
 
-  setCustomMap(mapData) {
-    console.log('🗺️ Setting custom map as active map');
-    this.customMap = mapData;
-    // Update the active map immediately
-    this.setMap(mapData);
+  // Switch to a MapLibrary entry
+  useLibraryMap(entry) {
+    this.mapId = entry.id;
+    this.mapName = entry.name;
+    this.setMap(entry.data);
+    console.log(`🗺️ Room ${this.roomId} map: ${entry.name} (${entry.id})`);
+  }
+
+  // Why the mode can't be played on the map (it has no flags, hills, checkpoints... the mode
+  // needs), or null if it can
+  getMapMismatch(modeId, mapData, mapName) {
+    if (modeSupportsMap(modeId, mapData)) return null;
+    const label = listGameModes().find((mode) => mode.id === modeId)?.label || modeId;
+    return `${label} can't be played on ${mapName || 'this map'}`;
+  }
+
+  // The library for lobbies, with the modes each map can be played in
+  listMaps() {
+    if (!this.mapLibrary) return [];
+    const modes = listGameModes();
+    return this.mapLibrary.list().map((map) => {
+      const { data } = this.mapLibrary.get(map.id);
+      return { ...map, modes: modes.filter((mode) => modeSupportsMap(mode.id, data)).map((mode) => mode.id) };
+    });
+  }
+
+  // Maps may carry their own rules, e.g. "settings": { "winScore": 5 }
+  applyMapSettings(mapData) {
+    if (!mapData?.settings) return;
+    const { settings, errors } = validateMatchSettings(mapData.settings);
+    if (errors.length > 0) {
+      console.warn('⚠️ Ignoring invalid map settings:', errors);
+    }
+    Object.assign(this.settings, settings);
+  }
+
+  removeMapColliders() {
+    const world = this.physicsWorld.getWorld?.();
+    if (world) {
+      this.mapBodies.forEach((body) => world.removeRigidBody(body));
+    }
+    this.mapBodies = [];
   }
 
   async ensureMapReady() {
@@ -82,13 +201,15 @@ export class GameServer {
     }
   }
 
-  async createMapColliders() {
+  async createMapColliders(generation = this.mapGeneration) {
     if (!this.mapData || !this.mapData.blocks) return;
     
     // Wait for physics world to be initialized
     if (!this.physicsWorld.rapierLoaded) {
       await this.physicsWorld.init();
     }
+    // The map was swapped again while we waited
+    if (generation !== this.mapGeneration) return;
     
     if (!RAPIER) {
       RAPIER = this.physicsWorld.getRAPIER();
@@ -100,58 +221,10 @@ export class GameServer {
       return;
     }
     
-    this.mapData.blocks.forEach((block) => {
-      const rotation = block.rotation || [0, 0, 0];
-      // Simple Euler to Quaternion for Y-axis rotation (most common for map blocks)
-      const cy = Math.cos(rotation[1] * 0.5);
-      const sy = Math.sin(rotation[1] * 0.5);
-      const cp = Math.cos(rotation[0] * 0.5);
-      const sp = Math.sin(rotation[0] * 0.5);
-      const cr = Math.cos(rotation[2] * 0.5);
-      const sr = Math.sin(rotation[2] * 0.5);
-
-      const q = {
-        w: cr * cp * cy + sr * sp * sy,
-        x: sr * cp * cy - cr * sp * sy,
-        y: cr * sp * cy + sr * cp * sy,
-        z: cr * cp * sy - sr * sp * cy
-      };
-
-      const bodyDesc = RAPIER.RigidBodyDesc.fixed()
-        .setTranslation(
-          block.position[0],
-          block.position[1],
-          block.position[2]
-        )
-        .setRotation(q);
-      const body = world.createRigidBody(bodyDesc);
-      
-      const colliderDesc = RAPIER.ColliderDesc.cuboid(
-        block.size[0] / 2,
-        block.size[1] / 2,
-        block.size[2] / 2
-      );
-      
-      // Set physics properties based on block type
-      if (block.type === 'obstacle') {
-        // Obstacles: solid collisions like real life - cars hit and stop/bounce realistically
-        colliderDesc.setFriction(0.5); // Moderate friction - cars can slide but also grip
-        colliderDesc.setRestitution(0.5); // Higher bounciness - cars bounce back further
-      } else {
-        // Platforms: lower friction to prevent sticking, especially for vertical surfaces
-        // If platform is tall (height > 1), treat it more like an obstacle
-        const isTallBlock = block.size[1] > 1;
-        if (isTallBlock) {
-          colliderDesc.setFriction(0.3); // Lower friction for tall blocks - cars slide off
-          colliderDesc.setRestitution(0.5); // Higher bounce for tall blocks - cars bounce back further
-        } else {
-          // Flat platforms: normal friction for driving
-          colliderDesc.setFriction(0.7);
-          colliderDesc.setRestitution(0.1);
-        }
-      }
-      
-      world.createCollider(colliderDesc, body);
+    // Same descriptions the client builds its colliders from (shared/mapColliders.js)
+    describeMapColliders(this.mapData).forEach((description) => {
+      const { body } = createBlockCollider(RAPIER, world, description);
+      this.mapBodies.push(body);
     });
 
     // Debug: verify colliders are actually created in the active world.
@@ -163,34 +236,18 @@ export class GameServer {
       console.log('🧱 Map colliders created:', info);
       this.lastDebug.mapColliders = info;
       // Also send to clients so it’s visible in the browser console.
-      this.io?.emit?.('serverDebug', { type: 'mapColliders', ...info });
+      this.broadcast('serverDebug', { type: 'mapColliders', ...info });
     } catch (e) {
       console.warn('Map collider count debug failed:', e?.message);
     }
   }
 
-  initializeFlags() {
-    if (!this.mapData || !this.mapData.flags) {
-      console.log('⚠️ No flags in map data');
-      return;
-    }
-    
-    this.flags.red.position = [...this.mapData.flags.red.position];
-    this.flags.blue.position = [...this.mapData.flags.blue.position];
-    this.flags.red.carriedBy = null;
-    this.flags.blue.carriedBy = null;
-    console.log('🚩 Flags initialized:', {
-      red: this.flags.red.position,
-      blue: this.flags.blue.position
-    });
-  }
-
   handleConnection(socket) {
     // Player connects but hasn't joined game yet
     // Always send a debug ping so we know the client is receiving serverDebug.
     try {
       const world = this.physicsWorld.getWorld();
-      socket.emit('serverDebug', {
+      this.emitTo(socket, 'serverDebug', {
         type: 'connectPing',
         rapierLoaded: !!this.physicsWorld.rapierLoaded,
         hasWorld: !!world,
@@ -202,43 +259,626 @@ export class GameServer {
 
       // If map colliders were created before this client connected, resend that info too.
       if (this.lastDebug.mapColliders) {
-        socket.emit('serverDebug', { type: 'mapColliders', ...this.lastDebug.mapColliders });
+        this.emitTo(socket, 'serverDebug', { type: 'mapColliders', ...this.lastDebug.mapColliders });
       }
       if (this.lastDebug.startGameWorld) {
-        socket.emit('serverDebug', { type: 'startGameWorld', ...this.lastDebug.startGameWorld });
+        this.emitTo(socket, 'serverDebug', { type: 'startGameWorld', ...this.lastDebug.startGameWorld });
       }
     } catch (e) {
       // If even this fails, at least tell the client something.
-      socket.emit('serverDebug', { type: 'connectPingError', message: e?.message || String(e) });
+      this.emitTo(socket, 'serverDebug', { type: 'connectPingError', message: e?.message || String(e) });
     }
   }
 
   handleDisconnection(socketId) {
+    this.spectators.delete(socketId);
+    this.snapshots.removeClient(socketId);
     const playerId = this.players.get(socketId);
+    const rejected = this.rejectedEvents.get(playerId || socketId);
+    if (rejected) {
+      console.log(`🚫 ${this.getPlayerName(playerId || socketId)} left room ${this.roomId} with rejected events:`, rejected);
+      this.rejectedEvents.delete(playerId || socketId);
+    }
     if (playerId) {
       this.waitingPlayers.delete(socketId);
       this.readyPlayers.delete(socketId);
-      this.playerManager.removePlayer(playerId);
       this.players.delete(socketId);
-      
-      // If game was playing and player count drops, handle appropriately
-      if (this.gameState === 'playing') {
-        this.checkGameEnd();
+
+      // Mid-match: keep the car around for a while so the player can reconnect to it.
+      const session = this.getSessionForPlayer(playerId);
+      const player = this.playerManager.getPlayer(playerId);
+      if (session && player && (this.gameState === 'playing' || this.gameState === 'waiting')) {
+        this.holdSession(session, player);
+      } else {
+        if (session) this.sessions.delete(session.token);
+        this.removePlayerFromMatch(playerId);
       }
     }
     
     this.broadcastGameState();
   }
 
-  handleJoinGame(socket) {
+  createPlayerManager() {
+    const playerManager = new PlayerManager(this.physicsWorld, this.settings);
+    playerManager.onPlayerEliminated = (player) => this.mode.onPlayerEliminated(player);
+    playerManager.onPlayerRespawned = (player) => this.mode.onPlayerSpawn(player);
+    playerManager.chooseSpawn = (player) => this.mode.getSpawnPoint(player);
+    playerManager.getTick = () => this.serverTick;
+    return playerManager;
+  }
+
+  removePlayerFromMatch(playerId) {
+    this.mode.onPlayerRemoved(playerId);
+    this.playerManager.removePlayer(playerId);
+    this.playerNames.delete(playerId);
+    this.pings.delete(playerId);
+    this.teamChoices.delete(playerId);
+    if (this.hostPlayerId === playerId) {
+      this.passHostOn();
+    }
+    
+    // If game was playing and player count drops, handle appropriately
+    if (this.gameState === 'playing') {
+      this.rebalanceTeams();
+      this.checkGameEnd();
+    }
+    if (this.gameState === 'voting') {
+      this.mapVote.removeVoter(playerId);
+      this.checkMapVote();
+    }
+  }
+
+  // Lobby: pick a side (null clears the pick). Mid-match: switch to the other team.
+  // Either way the server refuses anything that would leave the teams too uneven.
+  handleSelectTeam(socket, team) {
+    const playerId = this.players.get(socket.id);
+    if (!playerId) return;
+    if (team !== 'red' && team !== 'blue' && team !== null) {
+      this.emitTo(socket, 'teamRejected', { reason: 'Unknown team' });
+      return;
+    }
+
+    if (this.gameState === 'lobby') {
+      if (this.autoBalance && team) {
+        this.emitTo(socket, 'teamRejected', { reason: 'Teams are auto-balanced for this match' });
+        return;
+      }
+      const choices = new Map(this.teamChoices);
+      choices.delete(playerId);
+      if (team) choices.set(playerId, team);
+
+      // Players without a pick get placed on the smaller team, so they can even things out
+      const counts = { red: 0, blue: 0 };
+      choices.forEach((t) => counts[t]++);
+      const unpicked = this.getPlayerCount() - choices.size;
+      if (Math.abs(counts.red - counts.blue) - unpicked > GAME.MAX_TEAM_IMBALANCE) {
+        this.emitTo(socket, 'teamRejected', { reason: `${team} team is full` });
+        return;
+      }
+
+      this.teamChoices = choices;
+      console.log(`🎽 ${this.getPlayerName(playerId)} picked ${team || 'no'} team`);
+      this.broadcastGameState();
+      return;
+    }
+
+    if (this.gameState === 'playing') {
+      const player = this.playerManager.getPlayer(playerId);
+      if (!player || !team || player.team === team) return;
+      if (!this.mode.canSwitchTeam(player)) {
+        this.emitTo(socket, 'teamRejected', { reason: `Teams can't be switched during ${this.mode.constructor.label}` });
+        return;
+      }
+      const counts = this.playerManager.getTeamCounts();
+      if ((counts[team] + 1) - (counts[player.team] - 1) > GAME.MAX_TEAM_IMBALANCE) {
+        this.emitTo(socket, 'teamRejected', { reason: `${team} team is full` });
+        return;
+      }
+      this.movePlayerToTeam(playerId, team, 'switch');
+      return;
+    }
+
+    this.emitTo(socket, 'teamRejected', { reason: 'Teams are locked while the match starts' });
+  }
+
+  // Tally of events we refused per player (malformed, flooding, not allowed right now). The
+  // first rejection of each kind is logged, then every 100th so a flood can't flood the log.
+  logRejectedEvent(socketId, event, reason) {
+    const key = this.players.get(socketId) || socketId;
+    const counts = this.rejectedEvents.get(key) || {};
+    counts[event] = (counts[event] || 0) + 1;
+    this.rejectedEvents.set(key, counts);
+    if (counts[event] === 1 || counts[event] % 100 === 0) {
+      console.log(`🚫 Rejected ${event} from ${this.getPlayerName(key)} in room ${this.roomId}: ${reason} (${counts[event]} so far)`);
+    }
+  }
+
+  // ---- Host controls ----
+
+  isHost(socketId) {
+    const playerId = this.players.get(socketId);
+    return !!playerId && playerId === this.hostPlayerId;
+  }
+
+  // Every privileged event goes through here; everyone else gets a permissionDenied.
+  requireHost(socket, action) {
+    if (this.isHost(socket.id)) return true;
+    this.logRejectedEvent(socket.id, action, 'not the host');
+    this.emitTo(socket, 'permissionDenied', { action });
+    return false;
+  }
+
+  setHost(playerId) {
+    this.hostPlayerId = playerId;
+    console.log(`👑 Host of room ${this.roomId} is now ${playerId ? this.getPlayerName(playerId) : 'nobody'}`);
+  }
+
+  // Host left: the longest-connected remaining player takes over
+  passHostOn() {
+    const next = Array.from(this.players.values()).find((id) => id !== this.hostPlayerId) || null;
+    this.setHost(next);
+  }
+
+  // First joiner becomes host; the password (if configured) takes it over
+  claimHostOnJoin(playerId, password) {
+    if (!this.hostPlayerId || (HOST_PASSWORD && password === HOST_PASSWORD)) {
+      this.setHost(playerId);
+    }
+  }
+
+  handleClaimHost(socket, password) {
+    const playerId = this.players.get(socket.id);
+    if (!playerId) return;
+    if (!HOST_PASSWORD || password !== HOST_PASSWORD) {
+      this.logRejectedEvent(socket.id, 'claimHost', 'wrong host password');
+      this.emitTo(socket, 'permissionDenied', { action: 'claimHost' });
+      return;
+    }
+    this.setHost(playerId);
+    this.broadcastGameState();
+  }
+
+  handleTransferHost(socket, targetPlayerId) {
+    if (!this.requireHost(socket, 'transferHost')) return;
+    if (!Array.from(this.players.values()).includes(targetPlayerId)) return;
+    this.setHost(targetPlayerId);
+    this.broadcastGameState();
+  }
+
+  handleKickPlayer(socket, targetPlayerId) {
+    if (!this.requireHost(socket, 'kick')) return;
+    if (!targetPlayerId || targetPlayerId === this.hostPlayerId) return;
+    if (this.bots.has(targetPlayerId)) {
+      this.removeBot(targetPlayerId);
+      return;
+    }
+
+    // Drop the session first so the kicked player can't resume their car
+    const session = this.getSessionForPlayer(targetPlayerId);
+    if (session) {
+      if (session.expireTimer) clearTimeout(session.expireTimer);
+      this.sessions.delete(session.token);
+    }
+
+    const targetSocketId = Array.from(this.players.entries()).find(([, id]) => id === targetPlayerId)?.[0];
+    console.log(`👢 ${this.getPlayerName(targetPlayerId)} kicked from room ${this.roomId}`);
+    const targetSocket = targetSocketId ? this.io?.sockets?.sockets?.get(targetSocketId) : null;
+    if (targetSocket) {
+      // The disconnect handler does the usual cleanup (no session left, so nothing is held)
+      this.emitTo(targetSocket, 'kicked', { roomId: this.roomId });
+      targetSocket.disconnect(true);
+    } else if (targetSocketId) {
+      this.handleDisconnection(targetSocketId);
+    } else if (this.playerManager.getPlayer(targetPlayerId)) {
+      // Held car of a player who's currently disconnected
+      this.removePlayerFromMatch(targetPlayerId);
+      this.broadcastGameState();
+      this.onSessionExpired?.();
+    }
+  }
+
+  // Start without waiting for everyone to ready up
+  handleForceStart(socket) {
+    if (!this.requireHost(socket, 'forceStart')) return;
+    if (this.gameState !== 'lobby' || this.getPlayerCount() < this.settings.minPlayers) {
+      this.emitTo(socket, 'permissionDenied', { action: 'forceStart', reason: `Need at least ${this.settings.minPlayers} players` });
+      return;
+    }
+    console.log(`⏩ Host force-started room ${this.roomId}`);
+    this.beginMatch();
+  }
+
+  // ---- Map vote ----
+
+  // Everyone is ready (or the host forced the start): vote on the map first if that's on and
+  // there's more than one map to choose from, otherwise start right away
+  beginMatch() {
+    // The lobby checks this on every map and mode change; a map can still lose its features if
+    // its owner uploads a new version
+    const mismatch = this.getMapMismatch(this.modeId, this.mapData, this.mapName);
+    if (mismatch) {
+      console.log(`🚫 Not starting room ${this.roomId}: ${mismatch}`);
+      this.emitToPlayer(this.hostPlayerId, 'settingsRejected', { errors: [`${mismatch}, pick another map or mode`] });
+      return;
+    }
+    if (this.mapVoteEnabled && this.startMapVote()) return;
+    this.startGame().catch((err) => console.error('startGame failed:', err));
+  }
+
+  // The host's pick plus random other maps that suit the mode
+  pickMapCandidates() {
+    if (!this.mapLibrary) return [];
+    const current = this.mapLibrary.get(this.mapId);
+    const others = this.mapLibrary.list()
+      .filter((map) => map.id !== this.mapId && modeSupportsMap(this.modeId, this.mapLibrary.get(map.id).data));
+    for (let i = others.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [others[i], others[j]] = [others[j], others[i]];
+    }
+    const candidates = current ? [current, ...others] : others;
+    return candidates.slice(0, MAP_VOTE.CANDIDATES).map(({ id, name, author }) => ({ id, name, author }));
+  }
+
+  startMapVote() {
+    const candidates = this.pickMapCandidates();
+    if (candidates.length < 2) return false;
+    this.gameState = 'voting';
+    this.mapVote = new MapVote(candidates, MAP_VOTE.DURATION * 1000);
+    this.mapVoteTimer = setTimeout(() => this.finishMapVote(), MAP_VOTE.DURATION * 1000);
+    console.log(`🗳️ Map vote in room ${this.roomId}:`, candidates.map((candidate) => candidate.id).join(', '));
+    this.broadcastGameState();
+    return true;
+  }
+
+  handleMapVote(socket, mapId) {
+    const playerId = this.players.get(socket.id);
+    if (this.gameState !== 'voting' || !playerId || !this.waitingPlayers.has(socket.id)) {
+      this.logRejectedEvent(socket.id, 'voteMap', 'no vote running');
+      return;
+    }
+    if (!this.mapVote.vote(playerId, mapId)) {
+      this.logRejectedEvent(socket.id, 'voteMap', 'not on the ballot');
+      return;
+    }
+    console.log(`🗳️ ${this.getPlayerName(playerId)} voted for ${mapId}`);
+    this.broadcastGameState();
+    this.checkMapVote();
+  }
+
+  // After a vote or a player leaving: too few players calls the vote off, and it closes as
+  // soon as everyone still here has voted
+  checkMapVote() {
+    if (this.gameState !== 'voting') return;
+    if (this.getPlayerCount() < this.settings.minPlayers) {
+      console.log(`🗳️ Map vote in room ${this.roomId} called off, not enough players`);
+      this.stopMapVote();
+      this.gameState = 'lobby';
+      this.broadcastGameState();
+      return;
+    }
+    const voters = Array.from(this.waitingPlayers).map((socketId) => this.players.get(socketId)).filter(Boolean);
+    if (this.mapVote.hasEveryoneVoted(voters)) this.finishMapVote();
+  }
+
+  finishMapVote() {
+    if (this.gameState !== 'voting' || !this.mapVote) return;
+    const winner = this.mapVote.getWinner();
+    const votes = this.mapVote.countVotes(winner.id);
+    this.stopMapVote();
+    const entry = this.mapLibrary.get(winner.id);
+    if (entry && entry.id !== this.mapId) this.useLibraryMap(entry);
+    console.log(`🗳️ Room ${this.roomId} voted for ${winner.name} (${votes} votes)`);
+    this.broadcast('mapVoteResult', { mapId: winner.id, name: winner.name, votes });
+    this.startGame().catch((err) => console.error('startGame failed:', err));
+  }
+
+  stopMapVote() {
+    clearTimeout(this.mapVoteTimer);
+    this.mapVoteTimer = null;
+    this.mapVote = null;
+  }
+
+  // ---- Bots ----
+
+  // Everyone who'll get a car in the lobby's next match: joined players plus bots
+  getPlayerCount() {
+    return this.waitingPlayers.size + this.bots.size;
+  }
+
+  handleAddBot(socket, difficulty) {
+    if (!this.requireHost(socket, 'addBot')) return;
+    if (this.gameState !== 'lobby') return;
+    if (this.getPlayerCount() >= GAME.MAX_PLAYERS) {
+      this.emitTo(socket, 'permissionDenied', { action: 'addBot', reason: 'Lobby is full' });
+      return;
+    }
+    this.addBot(difficulty);
+    this.broadcastGameState();
+  }
+
+  // Top the lobby up with bots until there are enough players to start and the teams are even
+  handleFillBots(socket, difficulty) {
+    if (!this.requireHost(socket, 'fillBots')) return;
+    if (this.gameState !== 'lobby') return;
+    while (this.getPlayerCount() < GAME.MAX_PLAYERS &&
+      (this.getPlayerCount() < this.settings.minPlayers || this.getPlayerCount() % 2 === 1)) {
+      this.addBot(difficulty);
+    }
+    this.broadcastGameState();
+  }
+
+  addBot(difficulty) {
+    const level = BOTS.DIFFICULTIES.includes(difficulty) ? difficulty : BOTS.DEFAULT_DIFFICULTY;
+    const botId = `bot-${++this.botCounter}`;
+    this.bots.set(botId, level);
+    const name = this.assignPlayerName(botId, 'Bot');
+    console.log(`🤖 Added ${name} (${level}) to room ${this.roomId}`);
+    return botId;
+  }
+
+  removeBot(botId) {
+    console.log(`🤖 Removed ${this.getPlayerName(botId)} from room ${this.roomId}`);
+    this.bots.delete(botId);
+    if (this.playerManager.getPlayer(botId)) {
+      this.removePlayerFromMatch(botId);
+    } else {
+      this.playerNames.delete(botId);
+      this.teamChoices.delete(botId);
+    }
+    this.broadcastGameState();
+  }
+
+  getNavGraph() {
+    if (!this.navGraph && this.mapData) {
+      this.navGraph = new NavGraph(this.mapData, (index) => this.mapBodies[index]?.isEnabled?.() ?? true);
+    }
+    return this.navGraph;
+  }
+
+  handleSelectMap(socket, mapId) {
+    if (!this.requireHost(socket, 'selectMap')) return;
+    if (this.gameState !== 'lobby' || !this.mapLibrary) return;
+    const entry = this.mapLibrary.get(mapId);
+    if (!entry) {
+      this.emitTo(socket, 'permissionDenied', { action: 'selectMap', reason: 'Unknown map' });
+      return;
+    }
+    const mismatch = this.getMapMismatch(this.modeId, entry.data, entry.name);
+    if (mismatch) {
+      this.emitTo(socket, 'permissionDenied', { action: 'selectMap', reason: mismatch });
+      return;
+    }
+    this.useLibraryMap(entry);
+    this.broadcastGameState();
+  }
+
+  // mapId + editToken: a map this host uploaded before, saved as its next version (see
+  // MapLibrary). Without the map's token the upload becomes a new map instead, so a host can't
+  // rewrite someone else's map.
+  handleCustomMap(socket, mapData, mapId = null, editToken = null) {
+    if (!this.requireHost(socket, 'customMap')) return;
+    if (this.gameState !== 'lobby') {
+      this.emitTo(socket, 'permissionDenied', { action: 'customMap', reason: 'Maps can only be changed in the lobby' });
+      return;
+    }
+    if (!this.mapLibrary) return;
+    const mismatch = this.getMapMismatch(this.modeId, mapData, mapData.name);
+    if (mismatch) {
+      this.emitTo(socket, 'permissionDenied', { action: 'customMap', reason: mismatch });
+      return;
+    }
+    // Maps played from the editor go into the library, so they can be picked again later
+    const author = this.getPlayerName(this.players.get(socket.id));
+    const ownsMap = this.mapLibrary.get(mapId)?.source === 'uploaded' && this.mapLibrary.canEdit(mapId, editToken);
+    if (mapId && !ownsMap) {
+      console.log(`🗺️ ${author} has no edit token for map ${mapId}, saving their upload as a new map`);
+    }
+    const { entry, errors, editToken: newToken } = ownsMap
+      ? this.mapLibrary.update(mapId, mapData, { author })
+      : this.mapLibrary.add(mapData, { author });
+    if (errors) {
+      this.logRejectedEvent(socket.id, 'customMap', `invalid map (${errors.length} problems, first: ${formatMapErrors(errors, 1)[0]})`);
+      this.emitTo(socket, 'mapRejected', { errors });
+      return;
+    }
+    // The token goes to the uploader only, and only when the map is new
+    this.emitTo(socket, 'mapSaved', { ...this.mapLibrary.describe(entry), ...(newToken ? { editToken: newToken } : {}) });
+    this.useLibraryMap(entry);
+    this.broadcastGameState();
+  }
+
+  handleSetMatchOptions(socket, options = {}) {
+    if (!this.requireHost(socket, 'setMatchOptions')) return;
+    if (this.gameState !== 'lobby') return;
+    if (typeof options?.autoBalance === 'boolean') {
+      this.autoBalance = options.autoBalance;
+      console.log(`⚖️ Auto-balance ${this.autoBalance ? 'on' : 'off'} in room ${this.roomId}`);
+    }
+    if (typeof options?.mapVote === 'boolean') {
+      this.mapVoteEnabled = options.mapVote;
+      console.log(`🗳️ Map vote ${this.mapVoteEnabled ? 'on' : 'off'} in room ${this.roomId}`);
+    }
+    if (options?.mode !== undefined) {
+      this.setModeAndMap(socket, options.mode, options.mapId);
+    }
+    if (options?.settings !== undefined) {
+      // Apply what's valid, tell the host about the rest
+      const { settings, errors } = validateMatchSettings(options.settings);
+      Object.assign(this.settings, settings);
+      if (errors.length > 0) {
+        this.emitTo(socket, 'settingsRejected', { errors });
+      }
+      console.log(`📋 Match settings for room ${this.roomId}:`, this.settings);
+    }
+    this.broadcastGameState();
+  }
+
+  // A mode change may bring a map along (mapId), for when the current map doesn't suit the new
+  // mode; the two only change together if the mode can be played on the map
+  setModeAndMap(socket, modeId, mapId = null) {
+    if (!isGameMode(modeId)) {
+      this.emitTo(socket, 'settingsRejected', { errors: [`Unknown game mode "${modeId}"`] });
+      return;
+    }
+    const entry = mapId != null ? this.mapLibrary?.get(mapId) : null;
+    if (mapId != null && !entry) {
+      this.emitTo(socket, 'settingsRejected', { errors: ['Unknown map'] });
+      return;
+    }
+    const mismatch = entry
+      ? this.getMapMismatch(modeId, entry.data, entry.name)
+      : this.getMapMismatch(modeId, this.mapData, this.mapName);
+    if (mismatch) {
+      this.emitTo(socket, 'settingsRejected', { errors: [mismatch] });
+      return;
+    }
+    if (entry && entry.id !== this.mapId) this.useLibraryMap(entry);
+    this.modeId = modeId;
+    this.mode = createGameMode(this.modeId, this);
+    console.log(`🎲 Room ${this.roomId} mode: ${this.modeId}`);
+  }
+
+  // Change a player's team mid-match: drop any flag and send the car to the new team's base.
+  movePlayerToTeam(playerId, team, reason) {
+    const player = this.playerManager.getPlayer(playerId);
+    if (!player) return;
+    const previousTeam = player.team;
+    this.playerManager.setPlayerTeam(playerId, team);
+    this.mode.onPlayerTeamChanged(player, previousTeam);
+
+    const spawn = this.chooseSpawn(player);
+    if (spawn && !player.eliminated) {
+      player.car.respawn(spawn.position, spawn.rotation);
+      this.mode.onPlayerSpawn(player);
+      this.broadcast('spawn', {
+        playerId,
+        name: this.getPlayerName(playerId),
+        team,
+        position: spawn.position,
+        rotation: spawn.rotation,
+      });
+    }
+
+    console.log(`🎽 ${this.getPlayerName(playerId)} moved to ${team} team (${reason})`);
+    this.broadcast('teamChanged', { playerId, team, reason });
+    this.broadcastGameState();
+  }
+
+  // Someone left mid-match: if the teams are now too uneven, move the newest arrival over.
+  rebalanceTeams() {
+    const move = this.playerManager.getRebalanceMove();
+    if (move) {
+      this.movePlayerToTeam(move.playerId, move.team, 'rebalance');
+    }
+  }
+
+  createSession(socketId, playerId) {
+    const token = randomUUID();
+    this.sessions.set(token, { token, playerId, socketId, expireTimer: null });
+    return token;
+  }
+
+  getSessionForPlayer(playerId) {
+    for (const session of this.sessions.values()) {
+      if (session.playerId === playerId) return session;
+    }
+    return null;
+  }
+
+  hasHeldSessions() {
+    for (const session of this.sessions.values()) {
+      if (!session.socketId) return true;
+    }
+    return false;
+  }
+
+  // Freeze the car of a dropped player until they resume or the grace window runs out.
+  holdSession(session, player) {
+    session.socketId = null;
+    player.disconnected = true;
+    player.car.setInput(0, 0, 0);
+    console.log(`⏸️ Holding car for ${player.id} for ${GAME.RECONNECT_GRACE}s`);
+
+    clearTimeout(session.expireTimer);
+    session.expireTimer = setTimeout(() => {
+      this.expireSession(session.token);
+    }, GAME.RECONNECT_GRACE * 1000);
+  }
+
+  expireSession(token) {
+    const session = this.sessions.get(token);
+    if (!session || session.socketId) return;
+    this.sessions.delete(token);
+    console.log(`⌛ Session expired for ${session.playerId}, removing car`);
+    this.removePlayerFromMatch(session.playerId);
+    this.broadcastGameState();
+    this.onSessionExpired?.();
+  }
+
+  handleResumeSession(socket, token) {
+    const session = typeof token === 'string' ? this.sessions.get(token) : null;
+    const player = session ? this.playerManager.getPlayer(session.playerId) : null;
+    if (!session || !player) {
+      console.log(`⚠️ Socket ${socket.id} tried to resume an unknown session`);
+      this.emitTo(socket, 'sessionExpired', {});
+      return;
+    }
+
+    // If the old socket is somehow still connected (second tab), the newest socket wins.
+    if (session.socketId && session.socketId !== socket.id) {
+      this.players.delete(session.socketId);
+      this.waitingPlayers.delete(session.socketId);
+      this.readyPlayers.delete(session.socketId);
+    }
+
+    clearTimeout(session.expireTimer);
+    session.expireTimer = null;
+    session.socketId = socket.id;
+    player.disconnected = false;
+    this.playerManager.resetInputs(player);
+
+    this.spectators.delete(socket.id);
+    this.players.set(socket.id, session.playerId);
+    this.waitingPlayers.add(socket.id);
+    console.log(`▶️ Player ${session.playerId} resumed on socket ${socket.id}`);
+
+    this.emitTo(socket, 'sessionResumed', {
+      playerId: session.playerId,
+      sessionToken: token,
+      name: this.getPlayerName(session.playerId),
+      team: player.team,
+      captures: player.captures,
+    });
+    if (this.gameState === 'playing') {
+      this.sendMatchState(socket, { resumed: true });
+    }
+    this.broadcastGameState();
+  }
+
+  handleJoinGame(socket, options = {}) {
     console.log(`🎮 handleJoinGame called for socket: ${socket.id}`);
     console.log(`  - Current game state: ${this.gameState}`);
     console.log(`  - Already waiting: ${this.waitingPlayers.has(socket.id)}`);
     console.log(`  - Current waiting players: ${this.waitingPlayers.size}`);
     
-    if (this.gameState === 'playing') {
-      console.log('⚠️ Game already in progress, rejecting join');
-      socket.emit('error', { message: 'Game already in progress' });
+    if (this.players.has(socket.id) || this.spectators.has(socket.id)) {
+      console.log('⚠️ Socket already joined');
+      return;
+    }
+
+    // Spectators can come in at any time; in the lobby they just wait for gameStart.
+    if (options?.spectate) {
+      this.addSpectator(socket);
+      return;
+    }
+
+    if (this.gameState === 'playing' || this.gameState === 'waiting') {
+      // Match in progress: join the smaller team, or watch if the match is already full.
+      if (this.players.size + this.bots.size >= GAME.MAX_PLAYERS) {
+        this.addSpectator(socket);
+      } else {
+        this.handleLateJoin(socket, options);
+      }
       return;
     }
 
@@ -247,12 +887,21 @@ export class GameServer {
       return; // Already waiting
     }
 
+    // Bots only fill empty slots: the newest one makes room for a real player
+    if (this.getPlayerCount() >= GAME.MAX_PLAYERS && this.bots.size > 0) {
+      this.removeBot(Array.from(this.bots.keys()).pop());
+    }
+
     this.waitingPlayers.add(socket.id);
     const playerId = socket.id;
     this.players.set(socket.id, playerId);
     
-    console.log(`✅ Player ${playerId} joined. Total players: ${this.waitingPlayers.size}`);
-    socket.emit('playerId', { playerId });
+    const sessionToken = this.createSession(socket.id, playerId);
+    const name = this.assignPlayerName(playerId, options?.name);
+    this.claimHostOnJoin(playerId, options?.password);
+    
+    console.log(`✅ Player ${playerId} (${name}) joined. Total players: ${this.waitingPlayers.size}`);
+    this.emitTo(socket, 'playerId', { playerId, sessionToken, name });
     console.log(`📤 Sent playerId to socket ${socket.id}`);
     
     // Broadcast immediately after player joins
@@ -260,6 +909,89 @@ export class GameServer {
     console.log('📢 Broadcasted game state');
   }
 
+  handleLateJoin(socket, options = {}) {
+    const playerId = socket.id;
+    const team = this.playerManager.getSmallerTeam();
+    this.waitingPlayers.add(socket.id);
+    this.players.set(socket.id, playerId);
+
+    const sessionToken = this.createSession(socket.id, playerId);
+    const name = this.assignPlayerName(playerId, options?.name);
+    this.claimHostOnJoin(playerId, options?.password);
+
+    console.log(`✅ Late joiner ${playerId} (${name}) placed on ${team} team`);
+    this.emitTo(socket, 'playerId', { playerId, sessionToken, name, lateJoin: true });
+
+    // While 'waiting' the room-wide gameStart is still on its way; once 'playing' we have to
+    // bring this socket up to speed ourselves.
+    if (this.gameState === 'playing') {
+      this.sendMatchState(socket);
+    }
+
+    const spawnData = this.spawnPlayer(playerId, team);
+    if (spawnData) {
+      this.broadcast('spawn', spawnData);
+    }
+    this.broadcastGameState();
+  }
+
+  // Validate the requested name and make it unique in this room ("Alex" -> "Alex 2").
+  // Falls back to "Player N" when nothing usable was sent.
+  assignPlayerName(playerId, requestedName) {
+    const taken = new Set(this.playerNames.values());
+    let base = sanitizePlayerName(requestedName);
+    if (!base) {
+      let n = this.playerNames.size + 1;
+      while (taken.has(`Player ${n}`)) n++;
+      base = `Player ${n}`;
+    }
+
+    let name = base;
+    for (let suffix = 2; taken.has(name); suffix++) {
+      const tail = ` ${suffix}`;
+      name = base.slice(0, GAME.MAX_NAME_LENGTH - tail.length) + tail;
+    }
+
+    this.playerNames.set(playerId, name);
+    return name;
+  }
+
+  getPlayerName(playerId) {
+    return this.playerNames.get(playerId) || playerId;
+  }
+
+  addSpectator(socket) {
+    this.spectators.add(socket.id);
+    console.log(`👀 Spectator ${socket.id} joined. Spectators: ${this.spectators.size}`);
+    this.emitTo(socket, 'spectating', { roomId: this.roomId });
+
+    if (this.gameState === 'playing') {
+      this.sendMatchState(socket);
+    }
+    this.broadcastGameState();
+  }
+
+  // Send a socket that arrives mid-match everything the room already received:
+  // gameStart (map + scores), a spawn for every car on the field, and the mode's state (flags...).
+  sendMatchState(socket, extra = {}) {
+    this.emitTo(socket, 'gameStart', this.stampTick({ ...this.getGameStartPayload(), ...extra }));
+
+    this.playerManager.getAllPlayers().forEach((player) => {
+      const position = player.car.getPosition();
+      const rotation = player.car.getRotation();
+      this.emitTo(socket, 'spawn', {
+        playerId: player.id,
+        name: this.getPlayerName(player.id),
+        team: player.team,
+        position: [position.x, position.y, position.z],
+        // Quaternion (x, y, z, w), same as snapshots
+        rotation: [rotation.x, rotation.y, rotation.z, rotation.w],
+      });
+    });
+
+    this.mode.syncClient(socket);
+  }
+
   handlePlayerReady(socketId) {
     if (this.gameState !== 'lobby' && this.gameState !== 'waiting') {
       return; // Can't ready up if game is playing or ended
@@ -281,13 +1013,13 @@ export class GameServer {
 
     this.broadcastGameState();
 
-    // Check if all players are ready and we have minimum players
-    if (this.waitingPlayers.size >= GAME.MIN_PLAYERS && 
-        this.waitingPlayers.size <= GAME.MAX_PLAYERS &&
+    // Check if all players are ready and we have minimum players (bots are always ready)
+    if (this.getPlayerCount() >= this.settings.minPlayers && 
+        this.getPlayerCount() <= GAME.MAX_PLAYERS &&
         this.readyPlayers.size === this.waitingPlayers.size &&
         this.readyPlayers.size > 0) {
       console.log(`All players ready! Starting game...`);
-      this.startGame().catch((err) => console.error('startGame failed:', err));
+      this.beginMatch();
     }
   }
 
@@ -309,7 +1041,7 @@ export class GameServer {
       };
       console.log('🎮 startGame physics world:', info);
       this.lastDebug.startGameWorld = info;
-      this.io?.emit?.('serverDebug', { type: 'startGameWorld', ...info });
+      this.broadcast('serverDebug', { type: 'startGameWorld', ...info });
     } catch (e) {
       console.warn('startGame collider count debug failed:', e?.message);
     }
@@ -317,9 +1049,13 @@ export class GameServer {
     this.gameState = 'waiting';
     this.broadcastGameState();
     
-    // Assign teams
+    // Assign teams (lobby picks unless auto-balance is on)
     const playerIds = Array.from(this.waitingPlayers);
-    this.playerManager.assignTeams(playerIds);
+    const botIds = Array.from(this.bots.keys());
+    this.playerManager.assignTeams(
+      [...playerIds.map((socketId) => this.players.get(socketId)).filter(Boolean), ...botIds],
+      this.autoBalance ? null : this.teamChoices
+    );
     
     // Collect all spawn data first
     const allSpawns = [];
@@ -336,52 +1072,197 @@ export class GameServer {
         playerTeam = playerIds.indexOf(socketId) % 2 === 0 ? 'red' : 'blue';
       }
       
-      const spawns = this.mapData.spawnPoints[playerTeam];
-      if (!spawns || spawns.length === 0) return;
-      
-      const spawn = spawns[Math.floor(Math.random() * spawns.length)];
-      
-      // Add player if not exists
-      if (!this.playerManager.getPlayer(playerId)) {
-        this.playerManager.addPlayer(
-          playerId,
-          playerTeam,
-          spawn.position,
-          spawn.rotation
-        );
-      }
-      
       // Store spawn data for broadcasting
-      allSpawns.push({
-        playerId,
-        team: playerTeam,
-        position: spawn.position,
-        rotation: spawn.rotation,
-      });
+      const spawnData = this.spawnPlayer(playerId, playerTeam);
+      if (spawnData) {
+        allSpawns.push(spawnData);
+      }
+    });
+    
+    botIds.forEach((botId) => {
+      const spawnData = this.spawnPlayer(botId, this.playerManager.getTeamForPlayer(botId) || 'red');
+      const player = this.playerManager.getPlayer(botId);
+      if (!spawnData || !player) return;
+      player.bot = new BotDriver(this, player, this.bots.get(botId));
+      allSpawns.push(spawnData);
     });
     
     // Broadcast ALL spawns to ALL clients so everyone sees all players
     allSpawns.forEach((spawnData) => {
-      this.io.emit('spawn', spawnData);
+      this.broadcast('spawn', spawnData);
       console.log(`📢 Broadcasted spawn for player ${spawnData.playerId} (${spawnData.team} team) to all clients`);
     });
     
     // Start game after brief delay
-    setTimeout(() => {
+    this.schedulePhaseChange(START_DELAY, () => {
       this.gameState = 'playing';
       this.scores = { red: 0, blue: 0 };
+      this.pendingWinner = null;
+      this.snapshots.reset(); // everyone starts the match from a keyframe
+      this.mode.onStart();
+      this.startMatchClock();
       this.broadcastGameState();
       
-      // Use custom map if available, otherwise default
-      const mapToUse = this.customMap ? 'customMap' : 'defaultMap.json';
-      console.log(`🎮 Starting game with map: ${mapToUse}`);
+      const payload = this.getGameStartPayload();
+      console.log(`🎮 Starting game with map: ${payload.map}`);
       
-      this.io.emit('gameStart', {
-        map: mapToUse,
-        scores: this.scores,
-        mapData: this.customMap || null, // Send custom map data directly
-      });
-    }, 2000);
+      this.broadcast('gameStart', payload);
+    });
+  }
+
+  getGameStartPayload() {
+    // Use custom map if available, otherwise default
+    return {
+      map: this.mapId,
+      scores: this.scores,
+      // The client only ships the default map, so send anything else directly
+      mapData: this.mapId === DEFAULT_MAP_ID ? null : this.mapData,
+      settings: this.settings,
+      clock: this.getClockState(),
+      mode: this.modeId,
+      hud: this.mode.getHudState(),
+    };
+  }
+
+  // ---- Game mode helpers (called by the active mode) ----
+
+  // log: false for modes that score continuously (one point per second on a hill)
+  addScore(team, points = 1, { log = true } = {}) {
+    this.scores[team] += points;
+    if (log) {
+      console.log(`🏆 ${team} team scored! Score: Red ${this.scores.red} - Blue ${this.scores.blue}`);
+    }
+    this.broadcast('scoreUpdate', this.scores);
+  }
+
+  // Switch a map block's collider on or off (e.g. a shrinking arena); index into mapData.blocks
+  setMapBlockEnabled(index, enabled) {
+    this.mapBodies[index]?.setEnabled(enabled);
+  }
+
+  // Send to one player's current socket (sessions can move a player to a new socket)
+  emitToPlayer(playerId, event, data) {
+    const socketId = this.getSessionForPlayer(playerId)?.socketId;
+    if (socketId) {
+      this.io?.to(socketId).emit(event, this.stampTick(data));
+    }
+  }
+
+  broadcastHud() {
+    this.broadcast('hudUpdate', { mode: this.modeId, ...this.mode.getHudState() });
+  }
+
+  // Winner found: short pause so everyone sees the last score, then end the match
+  checkModeWin() {
+    if (this.pendingWinner) return;
+    const winner = this.mode.checkWin();
+    if (!winner) return;
+    this.pendingWinner = winner;
+    this.schedulePhaseChange(WIN_PAUSE, () => {
+      if (this.gameState !== 'playing') return;
+      this.endGame(winner);
+    });
+  }
+
+  // ---- Match clock ----
+  // Runs on server tick time so it advances exactly with the simulation.
+
+  startMatchClock() {
+    this.clock = null;
+    if (this.settings.timeLimit > 0) {
+      this.setClockPhase('regulation', this.settings.timeLimit * 60 * 1000);
+    }
+  }
+
+  setClockPhase(phase, durationMs = null) {
+    this.clock = {
+      phase,
+      endsAt: durationMs == null ? null : this.serverTickMs + durationMs,
+      lastSentSeconds: null,
+    };
+    console.log(`⏱️ Room ${this.roomId}: ${phase}${durationMs == null ? '' : ` (${durationMs / 1000}s)`}`);
+    this.broadcastTimeUpdate();
+  }
+
+  getClockState() {
+    if (!this.clock) return null;
+    const remainingMs = this.clock.endsAt == null ? null : Math.max(0, this.clock.endsAt - this.serverTickMs);
+    return {
+      phase: this.clock.phase,
+      remaining: remainingMs == null ? null : Math.ceil(remainingMs / 1000),
+    };
+  }
+
+  broadcastTimeUpdate() {
+    const state = this.getClockState();
+    if (!state) return;
+    this.clock.lastSentSeconds = state.remaining;
+    this.broadcast('timeUpdate', state);
+  }
+
+  updateMatchClock() {
+    if (!this.clock || this.clock.endsAt == null) return;
+    if (this.serverTickMs >= this.clock.endsAt) {
+      this.resolveTimeUp();
+      return;
+    }
+    // HUD only needs whole seconds
+    const remaining = Math.ceil((this.clock.endsAt - this.serverTickMs) / 1000);
+    if (remaining !== this.clock.lastSentSeconds) {
+      this.broadcastTimeUpdate();
+    }
+  }
+
+  // Time's up: leader wins; a tie goes to overtime (if configured), then sudden death.
+  resolveTimeUp() {
+    const { red, blue } = this.scores;
+    if (red !== blue) {
+      this.endGame(red > blue ? 'red' : 'blue');
+      return;
+    }
+    if (this.clock.phase === 'regulation' && this.settings.overtime > 0) {
+      this.setClockPhase('overtime', this.settings.overtime * 1000);
+    } else {
+      this.setClockPhase('suddenDeath');
+    }
+  }
+
+  // Where a car appears: the mode's pick (last race checkpoint, free-for-all spawns, ...),
+  // else a random spawn point of the player's team. `player` may be a { id, team } stub for
+  // a car that doesn't exist yet.
+  chooseSpawn(player) {
+    const custom = this.mode.getSpawnPoint(player);
+    if (custom) return custom;
+    const spawns = this.mapData?.spawnPoints?.[player.team];
+    if (!spawns || spawns.length === 0) return null;
+    return spawns[Math.floor(Math.random() * spawns.length)];
+  }
+
+  // Create a car for the player at a spawn point (see chooseSpawn).
+  // Returns the spawn event payload, or null if the map has no spawn for that team.
+  spawnPlayer(playerId, team) {
+    const spawn = this.chooseSpawn(this.playerManager.getPlayer(playerId) || { id: playerId, team });
+    if (!spawn) return null;
+    
+    // Add player if not exists
+    if (!this.playerManager.getPlayer(playerId)) {
+      this.playerManager.addPlayer(
+        playerId,
+        team,
+        spawn.position,
+        spawn.rotation
+      );
+    }
+    const player = this.playerManager.getPlayer(playerId);
+    if (player) this.mode.onPlayerSpawn(player);
+    
+    return {
+      playerId,
+      name: this.getPlayerName(playerId),
+      team,
+      position: spawn.position,
+      rotation: spawn.rotation,
+    };
   }
 
   handlePlayerInput(socketId, inputState) {
@@ -393,6 +1274,12 @@ export class GameServer {
     const player = this.playerManager.getPlayer(playerId);
     if (!player || player.eliminated) return;
     
+    // Predicting clients number their inputs: each is scheduled for a tick of its own and the
+    // last applied number goes back with the snapshots so the client can replay the ones after it
+    if (inputState.seq !== undefined) {
+      this.playerManager.queueInput(player, inputState, this.serverTick);
+      return;
+    }
     player.car.setInput(
       inputState.throttle || 0,
       inputState.brake || 0,
@@ -404,19 +1291,18 @@ export class GameServer {
     if (this.gameState !== 'playing') return;
     
     const playerId = this.players.get(socketId);
-    if (!playerId) return;
-    
-    // Always check if player was carrying a flag and drop it
-    const wasCarryingRedFlag = this.flags.red.carriedBy === playerId;
-    const wasCarryingBlueFlag = this.flags.blue.carriedBy === playerId;
-    
-    if (wasCarryingRedFlag || wasCarryingBlueFlag) {
-      console.log(`🚩 Player ${playerId} died while carrying flag, returning it`);
-      this.handleFlagDrop(playerId);
+    const player = playerId ? this.playerManager.getPlayer(playerId) : null;
+    if (!player || player.eliminated) return;
+
+    // The server decides who fell: the report only speeds things up for a car that's going anyway
+    if (player.car.getPosition().y > PHYSICS.DEATH_THRESHOLD + FALL_REPORT_TOLERANCE) {
+      this.logRejectedEvent(socketId, 'playerFall', 'car is not falling');
+      return;
     }
     
+    // The mode hears about it through PlayerManager.onPlayerEliminated (drops a carried flag etc.)
     this.playerManager.eliminatePlayer(playerId);
-    this.io.to(socketId).emit('eliminated', {});
+    this.io.to(socketId).emit('eliminated', this.stampTick({}));
   }
 
   handleRespawnRequest(socketId) {
@@ -426,274 +1312,334 @@ export class GameServer {
     if (!playerId) return;
     
     const player = this.playerManager.getPlayer(playerId);
-    if (!player || !this.mapData) return;
-    
-    // Get spawn point for player's team
-    const spawns = this.mapData.spawnPoints[player.team];
-    if (!spawns || spawns.length === 0) return;
+    if (!player) return;
+    // Knocked-out cars come back on the respawn timer, not through here
+    if (player.eliminated) {
+      this.logRejectedEvent(socketId, 'respawnRequest', 'car is knocked out');
+      return;
+    }
+    if (this.serverTick < player.nextRespawnRequestAt) {
+      this.logRejectedEvent(socketId, 'respawnRequest', 'cooldown');
+      this.io.to(socketId).emit('respawnRejected', this.stampTick({
+        reason: 'cooldown',
+        retryIn: Math.ceil((player.nextRespawnRequestAt - this.serverTick) / NETWORK.TICK_RATE),
+      }));
+      return;
+    }
+    player.nextRespawnRequestAt = this.serverTick + secondsToTicks(GAME.RESPAWN_REQUEST_COOLDOWN);
+    this.resetCarToSpawn(player);
+  }
+
+  // The flipped-car button (bots press it too): put the car back at a spawn point
+  resetCarToSpawn(player) {
+    if (!this.mapData || !this.mode.canRespawn(player)) return;
     
-    const spawn = spawns[Math.floor(Math.random() * spawns.length)];
+    const spawn = this.chooseSpawn(player);
+    if (!spawn) return;
     
     // Teleport player back to spawn
     player.car.respawn(spawn.position, spawn.rotation);
+    this.mode.onPlayerSpawn(player);
     
     // Broadcast spawn event to all clients so they see the teleport
-    this.io.emit('spawn', {
-      playerId: playerId,
+    this.broadcast('spawn', {
+      playerId: player.id,
+      name: this.getPlayerName(player.id),
       team: player.team,
       position: spawn.position,
       rotation: spawn.rotation,
     });
     
-    console.log(`📢 Player ${playerId} teleported back to spawn`);
-  }
-
-  handleFlagPickup(playerId, flagTeam) {
-    const player = this.playerManager.getPlayer(playerId);
-    if (!player || player.eliminated || player.hasFlag) return false;
-    
-    // Can only pick up enemy flag
-    if (player.team === flagTeam) return false;
-    
-    // Check distance to flag
-    const flag = this.flags[flagTeam];
-    if (!flag.position || flag.carriedBy) return false;
-    
-    const playerPos = player.car.getPosition();
-    const distance = Math.sqrt(
-      (playerPos.x - flag.position[0]) ** 2 +
-      (playerPos.y - flag.position[1]) ** 2 +
-      (playerPos.z - flag.position[2]) ** 2
-    );
-    
-    if (distance < 5) { // Pickup radius
-      player.hasFlag = true;
-      flag.carriedBy = playerId;
-      player.car.hasFlag = true;
-      
-      // Broadcast flag pickup
-      this.io.emit('flagUpdate', {
-        team: flagTeam,
-        carriedBy: playerId,
-        position: null, // Flag is being carried, not at a position
-      });
-      console.log(`🚩 ${playerId} picked up ${flagTeam} flag!`);
-      return true;
-    }
-    
-    return false;
-  }
-
-  handleFlagDrop(playerId) {
-    const player = this.playerManager.getPlayer(playerId);
-    if (!player) return;
-    
-    // Find which flag they're carrying
-    let flagTeam = null;
-    if (this.flags.red.carriedBy === playerId) {
-      flagTeam = 'red';
-    } else if (this.flags.blue.carriedBy === playerId) {
-      flagTeam = 'blue';
-    }
-    
-    if (flagTeam) {
-      if (player.hasFlag) {
-        player.hasFlag = false;
-      }
-      if (player.car) {
-        player.car.hasFlag = false;
-      }
-      this.flags[flagTeam].carriedBy = null;
-      // Flag returns to base
-      this.flags[flagTeam].position = [...this.mapData.flags[flagTeam].position];
-      
-      // Broadcast flag return
-      this.io.emit('flagUpdate', {
-        team: flagTeam,
-        carriedBy: null,
-        position: this.flags[flagTeam].position,
-      });
-      console.log(`🚩 ${flagTeam} flag returned to base!`);
-    }
-  }
-
-  checkFlagCapture(playerId) {
-    const player = this.playerManager.getPlayer(playerId);
-    if (!player || !player.hasFlag || player.eliminated) return false;
-    
-    // Check if player is at their own base with enemy flag
-    const enemyTeam = player.team === 'red' ? 'blue' : 'red';
-    const flag = this.flags[enemyTeam];
-    
-    if (flag.carriedBy !== playerId) return false;
-    
-    // Check if at own base (use bases field if available, otherwise spawn points)
-    let basePos;
-    if (this.mapData.bases && this.mapData.bases[player.team]) {
-      basePos = this.mapData.bases[player.team].position;
-    } else {
-      const baseSpawns = this.mapData.spawnPoints[player.team];
-      if (!baseSpawns || baseSpawns.length === 0) return false;
-      basePos = baseSpawns[0].position;
-    }
-    
-    const playerPos = player.car.getPosition();
-    const distance = Math.sqrt(
-      (playerPos.x - basePos[0]) ** 2 +
-      (playerPos.z - basePos[2]) ** 2  // Only check X and Z (horizontal distance)
-    );
-    
-    if (distance < 10) { // Capture radius (must be in own base area)
-      // Score!
-      this.scores[player.team]++;
-      console.log(`🏆 ${player.team} team scored! Score: Red ${this.scores.red} - Blue ${this.scores.blue}`);
-      
-      // Reset flag
-      player.hasFlag = false;
-      player.car.hasFlag = false;
-      flag.carriedBy = null;
-      flag.position = [...this.mapData.flags[enemyTeam].position];
-      
-      // Broadcast flag return and score
-      this.io.emit('flagUpdate', {
-        team: enemyTeam,
-        carriedBy: null,
-        position: flag.position,
-      });
-      this.io.emit('scoreUpdate', this.scores);
-      
-      // Check win condition
-      if (this.scores[player.team] >= GAME.WIN_SCORE) {
-        // Wait 1 second before ending game
-        setTimeout(() => {
-          this.endGame(player.team);
-        }, 1000);
-      }
-      
-      return true;
-    }
-    
-    return false;
+    console.log(`📢 Player ${player.id} teleported back to spawn`);
   }
 
   checkGameEnd() {
-    // Check if game should end due to insufficient players
-    const activePlayers = this.playerManager.getAllPlayers().filter(p => !p.eliminated);
-    if (activePlayers.length < 2) {
+    // Check if game should end due to insufficient players. Knocked-out players still count:
+    // in round-based modes they are only waiting for the next round. Bots don't play on their own.
+    const players = this.playerManager.getAllPlayers();
+    if (players.length < 2 || players.every((player) => player.bot)) {
       // End game if too few players
       this.endGame(null);
     }
   }
 
   endGame(winner) {
+    if (this.gameState === 'ended') return; // e.g. clock ran out during the post-capture delay
     this.gameState = 'ended';
+    this.clock = null;
+    const results = this.mode.getResults();
+    this.mode.onEnd();
     
-    this.io.emit('gameEnd', {
+    this.broadcast('gameEnd', {
       winner: winner || 'none',
       scores: this.scores,
+      results,
     });
     
     // Reset after delay
-    setTimeout(() => {
-      this.resetGame();
-    }, 10000);
+    this.schedulePhaseChange(RESULTS_DURATION, () => this.resetGame());
   }
 
   resetGame() {
+    if (this.destroyed) return;
     this.gameState = 'lobby';
+    this.stopMapVote();
     this.waitingPlayers.clear();
     this.readyPlayers.clear();
+    this.spectators.clear();
+    this.clearSessions();
     this.players.clear();
-    this.playerManager = new PlayerManager(this.physicsWorld);
+    this.playerNames.clear();
+    this.pings.clear();
+    this.teamChoices.clear();
+    this.rejectedEvents.clear();
+    this.bots.clear();
+    this.hostPlayerId = null;
+    this.playerManager = this.createPlayerManager();
     this.scores = { red: 0, blue: 0 };
-    this.initializeFlags();
+    this.pendingWinner = null;
+    this.mode = createGameMode(this.modeId, this);
     this.broadcastGameState();
   }
 
+  // Lobby roster: everyone in the match, including players inside their reconnect window.
+  getRoster() {
+    const roster = [];
+    this.waitingPlayers.forEach((socketId) => {
+      const playerId = this.players.get(socketId);
+      if (!playerId) return;
+      roster.push({
+        playerId,
+        name: this.getPlayerName(playerId),
+        team: this.playerManager.getTeamForPlayer(playerId) || this.teamChoices.get(playerId) || null,
+        ready: this.readyPlayers.has(socketId),
+        ping: this.pings.get(playerId) ?? null,
+        disconnected: false,
+      });
+    });
+    this.bots.forEach((difficulty, playerId) => {
+      roster.push({
+        playerId,
+        name: this.getPlayerName(playerId),
+        team: this.playerManager.getTeamForPlayer(playerId) || this.teamChoices.get(playerId) || null,
+        ready: true,
+        ping: null,
+        disconnected: false,
+        bot: true,
+        difficulty,
+      });
+    });
+    this.sessions.forEach((session) => {
+      if (session.socketId) return;
+      const player = this.playerManager.getPlayer(session.playerId);
+      if (!player) return;
+      roster.push({
+        playerId: session.playerId,
+        name: this.getPlayerName(session.playerId),
+        team: player.team,
+        ready: false,
+        ping: null,
+        disconnected: true,
+      });
+    });
+    return roster;
+  }
+
+  // Round-trip time per player via Socket.IO acks; shown in the lobby roster.
+  measurePings() {
+    const sockets = this.io?.sockets?.sockets;
+    if (!sockets) return;
+    this.players.forEach((playerId, socketId) => {
+      const socket = sockets.get(socketId);
+      if (!socket) return;
+      const sentAt = Date.now();
+      socket.emit('pingCheck', sentAt, () => {
+        this.pings.set(playerId, Date.now() - sentAt);
+      });
+    });
+  }
+
   broadcastGameState() {
     const state = {
       state: this.gameState,
-      playerCount: this.waitingPlayers.size,
+      playerCount: this.getPlayerCount(),
       maxPlayers: GAME.MAX_PLAYERS,
-      readyCount: this.readyPlayers.size,
-      canReady: this.waitingPlayers.size >= GAME.MIN_PLAYERS && 
-                this.waitingPlayers.size <= GAME.MAX_PLAYERS &&
+      readyCount: this.readyPlayers.size + this.bots.size, // bots are always ready
+      spectatorCount: this.spectators.size,
+      roster: this.getRoster(),
+      autoBalance: this.autoBalance,
+      mapVoteEnabled: this.mapVoteEnabled,
+      mapVote: this.mapVote?.getState() || null,
+      settings: this.settings,
+      mode: this.modeId,
+      availableModes: listGameModes(),
+      hostId: this.hostPlayerId,
+      hostPasswordEnabled: !!HOST_PASSWORD,
+      mapId: this.mapId,
+      mapName: this.mapName,
+      availableMaps: this.listMaps(),
+      canReady: this.getPlayerCount() >= this.settings.minPlayers && 
+                this.getPlayerCount() <= GAME.MAX_PLAYERS &&
                 (this.gameState === 'lobby' || this.gameState === 'waiting'),
     };
     console.log('Broadcasting game state:', state);
-    this.io.emit('gameState', state);
+    this.broadcast('gameState', state);
   }
 
   startGameLoop() {
-    const targetFPS = NETWORK.TICK_RATE;
-    const interval = 1000 / targetFPS;
-    
-    this.gameLoopInterval = setInterval(() => {
-      const now = Date.now();
-      const deltaTime = (now - this.lastUpdate) / 1000;
-      this.lastUpdate = now;
+    this.tickLoop = new TickLoop({
+      stepMs: TICK_MS,
+      onTick: (tick) => this.runTick(tick),
+      onOverrun: (overrun) => this.reportOverrun(overrun),
+    });
+    this.tickLoop.start();
+  }
 
-      this.serverTick += 1;
-      this.serverTickMs += interval;
-      
-      if (this.gameState === 'playing') {
-        // Update physics
-        this.physicsWorld.update(deltaTime);
-        
-        // Create reverse map: playerId -> socketId
-        const playerSocketMap = new Map();
-        this.players.forEach((playerId, socketId) => {
-          playerSocketMap.set(playerId, socketId);
-        });
-        
-        // Update players (pass io for respawn broadcasts and elimination events)
-        this.playerManager.update(deltaTime, this.mapData, this.io, playerSocketMap);
-
-        // If a player gets eliminated by server-side physics (falling), ensure any carried flag
-        // returns immediately. (PlayerManager can eliminate without going through handlePlayerFall.)
-        this.playerManager.getAllPlayers().forEach((player) => {
-          if (!player?.eliminated) return;
-          if (this.flags.red.carriedBy === player.id || this.flags.blue.carriedBy === player.id) {
-            this.handleFlagDrop(player.id);
-          }
-        });
-        
-        // Check flag interactions
-        this.playerManager.getAllPlayers().forEach((player) => {
-          if (player.eliminated) return;
-          
-          // Check flag pickup
-          this.handleFlagPickup(player.id, 'red');
-          this.handleFlagPickup(player.id, 'blue');
-          
-          // Check flag capture
-          this.checkFlagCapture(player.id);
-        });
-        
-        // Broadcast player states with flag info
-        const playerStates = this.playerManager.getPlayerStates();
-        const t = this.serverTickMs;
-        Object.entries(playerStates).forEach(([playerId, s]) => {
-          s.t = t;
-          // Add flag carrier info
-          if (this.flags.red.carriedBy === playerId) {
-            s.carryingFlag = 'red';
-          } else if (this.flags.blue.carriedBy === playerId) {
-            s.carryingFlag = 'blue';
-          } else {
-            s.carryingFlag = null;
-          }
-        });
-        this.io.emit('playerUpdate', playerStates);
-        this.io.emit('snapshot', playerStates);
+  // Run change() at the start of the tick `seconds` from now, so the phase it begins is stamped
+  // with that tick. Replaces a change that's still pending (e.g. the match ended during the
+  // pause after a win).
+  schedulePhaseChange(seconds, change) {
+    this.phaseChange = { tick: this.serverTick + secondsToTicks(seconds), change };
+  }
+
+  // One fixed step of the room: tick numbers the step, and everything it does (inputs applied,
+  // physics, mode rules, the snapshot and the events it sends) belongs to that tick
+  runTick(tick) {
+    const deltaTime = PHYSICS.FIXED_TIMESTEP;
+    this.serverTick = tick;
+    this.serverTickMs = tick * TICK_MS;
+
+    if (this.phaseChange && tick >= this.phaseChange.tick) {
+      const { change } = this.phaseChange;
+      this.phaseChange = null;
+      change();
+    }
+
+    // Refresh pings every couple of seconds and push the roster so the lobby list stays current
+    if (tick % (NETWORK.TICK_RATE * 2) === 0) {
+      this.measurePings();
+      if (this.players.size > 0) {
+        this.broadcast('roster', this.getRoster());
       }
-    }, interval);
+    }
+
+    if (this.gameState !== 'playing') return;
+
+    // Update physics (exactly one step per tick)
+    this.physicsWorld.step();
+
+    // Car-to-car contacts (tagging) for the mode
+    this.physicsWorld.drainCollisionStarts().forEach(([handle1, handle2]) => {
+      const a = this.playerManager.getPlayerByColliderHandle(handle1);
+      const b = this.playerManager.getPlayerByColliderHandle(handle2);
+      if (a && b) this.mode.onCarContact(a, b);
+    });
+
+    // Create reverse map: playerId -> socketId
+    const playerSocketMap = new Map();
+    this.players.forEach((playerId, socketId) => {
+      playerSocketMap.set(playerId, socketId);
+    });
+
+    // Update players (pass io + room for respawn broadcasts and elimination events)
+    this.playerManager.update(deltaTime, this.mapData, this.io, playerSocketMap, this.roomId, tick);
+
+    // Mode rules (flag pickups/captures, ...), then see if someone has won
+    this.mode.onTick(deltaTime);
+    this.checkModeWin();
+
+    if (!this.pendingWinner) {
+      this.updateMatchClock();
+    }
+    if (this.gameState !== 'playing') return;
+
+    // Send player states plus whatever the mode adds (flag carrier, ball, ...)
+    const playerStates = this.playerManager.getPlayerStates();
+    Object.entries(playerStates).forEach(([playerId, s]) => {
+      const player = this.playerManager.getPlayer(playerId);
+      if (player) this.mode.decoratePlayerState(player, s);
+    });
+    this.mode.decorateSnapshot(playerStates);
+    this.sendSnapshot(playerStates);
   }
 
-  stopGameLoop() {
-    if (this.gameLoopInterval) {
-      clearInterval(this.gameLoopInterval);
-      this.gameLoopInterval = null;
+  // The room couldn't keep up: a tick took longer than its step or ticks had to be skipped.
+  // Logged at most every few seconds per room; the totals show up in GET /rooms.
+  reportOverrun({ tick, ranTicks, skippedTicks, slowestTickMs }) {
+    const now = Date.now();
+    if (now - this.lastOverrunLog < OVERRUN_LOG_INTERVAL_MS) return;
+    this.lastOverrunLog = now;
+    console.warn(`🐢 Room ${this.roomId} overran at tick ${tick}: slowest of ${ranTicks} ticks took ${slowestTickMs.toFixed(1)} ms` +
+      (skippedTicks > 0 ? `, skipped ${skippedTicks}` : '') +
+      ` (${this.tickLoop.overruns.count} overruns so far)`);
+  }
+
+  // Every socket in the room gets this tick's snapshot, delta-encoded against the last one it
+  // acknowledged (see SnapshotStream). Players also get their own car at full precision.
+  sendSnapshot(playerStates) {
+    const socketIds = this.io?.sockets?.adapter?.rooms?.get(this.roomId);
+    if (!socketIds || socketIds.size === 0) return;
+    this.snapshots.publish(this.serverTick, this.serverTickMs, playerStates, socketIds, (socketId, data) => {
+      const player = this.playerManager.getPlayer(this.players.get(socketId));
+      this.io.sockets.sockets.get(socketId)?.emit(SNAPSHOT_EVENT, data, player ? this.getOwnCarState(player) : null);
+    });
+  }
+
+  // What client-side prediction rewinds to: the car's body state after the last input applied
+  getOwnCarState(player) {
+    const body = player.car.rigidBody;
+    if (!body) return null;
+    const p = body.translation();
+    const q = body.rotation();
+    const v = body.linvel();
+    const w = body.angvel();
+    return encodeOwnCar({
+      inputSeq: player.lastInputSeq,
+      position: [p.x, p.y, p.z],
+      rotation: [q.x, q.y, q.z, q.w],
+      linvel: [v.x, v.y, v.z],
+      angvel: [w.x, w.y, w.z],
+    });
+  }
+
+  handleSnapshotAck(socketId, tick) {
+    if (!this.snapshots.acknowledge(socketId, tick) && tick > this.serverTick) {
+      this.logRejectedEvent(socketId, 'snapshotAck', 'tick from the future');
     }
   }
+
+  stopGameLoop() {
+    this.tickLoop?.stop();
+  }
+
+  clearSessions() {
+    this.sessions.forEach((session) => clearTimeout(session.expireTimer));
+    this.sessions.clear();
+  }
+
+  getSummary() {
+    return {
+      state: this.gameState,
+      playerCount: this.getPlayerCount(),
+      maxPlayers: GAME.MAX_PLAYERS,
+      scores: this.scores,
+      mapId: this.mapId,
+      snapshotBytes: this.snapshots.bytesSent,
+      tick: this.serverTick,
+      overruns: this.tickLoop?.overruns ?? null,
+    };
+  }
+
+  // Called by RoomManager when the room is empty. Stops the loop and frees the physics world.
+  destroy() {
+    this.destroyed = true;
+    this.stopGameLoop();
+    this.stopMapVote();
+    this.players.clear();
+    this.waitingPlayers.clear();
+    this.readyPlayers.clear();
+    this.spectators.clear();
+    this.clearSessions();
+    this.physicsWorld.destroy();
+  }
 }
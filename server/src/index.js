@@ -1,13 +1,47 @@
 import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
-import { GameServer } from './gameLogic.js';
-import { MapLoader } from './mapLoader.js';
+import { RoomManager } from './roomManager.js';
+import { EventGuard } from './eventGuard.js';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 
 const execAsync = promisify(exec);
 
+const CLIENT_ORIGIN = 'http://localhost:3000';
+const MAX_MAP_UPLOAD = '256kb';
+// Map writes (uploads, new versions, rollbacks) go to disk, so each address gets a few per window
+const MAP_WRITES_PER_IP = 10;
+const MAP_WRITE_WINDOW_MS = 10 * 60 * 1000;
+const MAX_TRACKED_IPS = 1000; // above this, expired windows are swept before counting
+
+// Fixed-window rate limit per client address, like EventGuard's per-socket limits. Requests
+// over the limit get a 429 with Retry-After.
+function limitPerIp({ limit, windowMs }) {
+  const windows = new Map(); // ip -> { startedAt, count }
+  return (req, res, next) => {
+    const now = Date.now();
+    if (windows.size > MAX_TRACKED_IPS) {
+      windows.forEach((window, ip) => {
+        if (now - window.startedAt >= windowMs) windows.delete(ip);
+      });
+    }
+    let window = windows.get(req.ip);
+    if (!window || now - window.startedAt >= windowMs) {
+      window = { startedAt: now, count: 0 };
+      windows.set(req.ip, window);
+    }
+    window.count += 1;
+    if (window.count > limit) {
+      console.log(`🚫 Rejected ${req.method} ${req.path} from ${req.ip}: rate limit`);
+      res.set('Retry-After', String(Math.ceil((window.startedAt + windowMs - now) / 1000)));
+      res.status(429).json({ error: 'Too many map changes, try again later' });
+      return;
+    }
+    next();
+  };
+}
+
 const app = express();
 
 // Root endpoint - helpful message
@@ -28,35 +62,144 @@ app.get('/status', (req, res) => {
 const httpServer = createServer(app);
 const io = new Server(httpServer, {
   cors: {
-    origin: 'http://localhost:3000',
+    origin: CLIENT_ORIGIN,
     methods: ['GET', 'POST'],
     credentials: true,
   },
   allowEIO3: true, // Allow Engine.IO v3 clients
 });
 
-const gameServer = new GameServer(io);
-const mapLoader = new MapLoader();
+const roomManager = new RoomManager(io);
 
-// Initialize server - wait for physics and map to load
-(async () => {
-  try {
-    // Wait for physics world to initialize
-    await gameServer.physicsWorld.init();
-    console.log('✅ Physics world ready');
-    
-    // Load map
-    const mapData = await mapLoader.loadMap('defaultMap.json');
-    gameServer.setMap(mapData);
-    console.log('✅ Map loaded successfully');
-  } catch (error) {
-    console.error('❌ Error initializing server:', error);
+// List active rooms (one GameServer per room)
+app.get('/rooms', (req, res) => {
+  res.json({ rooms: roomManager.listRooms() });
+});
+
+// ---- Map library (see mapLibrary.js) ----
+
+const limitMapWrites = limitPerIp({ limit: MAP_WRITES_PER_IP, windowMs: MAP_WRITE_WINDOW_MS });
+
+// The web client is served from another origin
+app.use('/maps', (req, res, next) => {
+  res.set('Access-Control-Allow-Origin', CLIENT_ORIGIN);
+  res.set('Access-Control-Allow-Methods', 'GET, POST, PUT');
+  res.set('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') {
+    res.sendStatus(204);
+    return;
   }
-})();
+  next();
+});
+
+// Every map a lobby can pick, without the map data
+app.get('/maps', (req, res) => {
+  res.json({ maps: roomManager.mapLibrary.list() });
+});
+
+// Latest version, or an older one with ?version=N
+app.get('/maps/:id', (req, res) => {
+  const entry = roomManager.mapLibrary.get(req.params.id);
+  if (!entry) {
+    res.status(404).json({ error: 'Unknown map' });
+    return;
+  }
+  if (req.query.version !== undefined) {
+    const version = roomManager.mapLibrary.getVersion(entry.id, Number(req.query.version));
+    if (!version) {
+      res.status(404).json({ error: 'Unknown version' });
+      return;
+    }
+    res.json({ ...roomManager.mapLibrary.describe(entry), version: version.version, hash: version.hash, map: version.data });
+    return;
+  }
+  res.json({ ...roomManager.mapLibrary.describe(entry), map: entry.data });
+});
+
+app.get('/maps/:id/versions', (req, res) => {
+  const entry = roomManager.mapLibrary.get(req.params.id);
+  if (!entry) {
+    res.status(404).json({ error: 'Unknown map' });
+    return;
+  }
+  res.json({ versions: roomManager.mapLibrary.describeVersions(entry) });
+});
+
+// Body: { map, name?, author? }. Answers 201 with the new entry and its editToken (keep it: it
+// is needed to change the map later and isn't shown again) or 400 with the schema errors.
+app.post('/maps', limitMapWrites, express.json({ limit: MAX_MAP_UPLOAD }), (req, res) => {
+  const { map, name, author } = req.body || {};
+  const { entry, editToken, errors } = roomManager.mapLibrary.add(map, { name, author });
+  if (errors) {
+    res.status(400).json({ errors });
+    return;
+  }
+  res.status(201).json({ map: roomManager.mapLibrary.describe(entry), ...(editToken ? { editToken } : {}) });
+});
+
+// Uploaded maps whose edit token the caller has (body.editToken): 404 for unknown maps,
+// 403 for built-in ones and for anyone without the token
+function findEditableMap(req, res) {
+  const entry = roomManager.mapLibrary.get(req.params.id);
+  if (!entry) {
+    res.status(404).json({ error: 'Unknown map' });
+  } else if (entry.source !== 'uploaded') {
+    res.status(403).json({ error: 'Built-in maps are read-only' });
+  } else if (!roomManager.mapLibrary.canEdit(entry.id, req.body?.editToken)) {
+    res.status(403).json({ error: 'Only the map\'s uploader (with its editToken) can change it' });
+  } else {
+    return entry;
+  }
+  return null;
+}
+
+// Body: { map, editToken, name?, author? }. Saves a new version.
+app.put('/maps/:id', limitMapWrites, express.json({ limit: MAX_MAP_UPLOAD }), (req, res) => {
+  const existing = findEditableMap(req, res);
+  if (!existing) return;
+  const { map, name, author } = req.body || {};
+  const { entry, errors } = roomManager.mapLibrary.update(existing.id, map, { name, author });
+  if (errors) {
+    res.status(400).json({ errors });
+    return;
+  }
+  res.json({ map: roomManager.mapLibrary.describe(entry) });
+});
+
+// Body: { version, editToken, author? }. Brings that version back as the newest one.
+app.post('/maps/:id/rollback', limitMapWrites, express.json(), (req, res) => {
+  const existing = findEditableMap(req, res);
+  if (!existing) return;
+  const { version, author } = req.body || {};
+  const { entry, errors } = roomManager.mapLibrary.rollback(existing.id, Number(version), { author });
+  if (errors) {
+    res.status(400).json({ errors });
+    return;
+  }
+  res.json({ map: roomManager.mapLibrary.describe(entry) });
+});
+
+// Malformed or oversized JSON bodies (errors from express.json carry a type)
+app.use('/maps', (error, req, res, next) => {
+  if (!error.type) {
+    next(error);
+    return;
+  }
+  res.status(error.status || 400).json({ error: error.type === 'entity.too.large' ? 'Map is too large' : 'Invalid JSON' });
+});
 
 io.on('connection', (socket) => {
   console.log('✅ Client connected:', socket.id);
-  
+
+  // Clients pick a room with ?roomId=... on the Socket.IO handshake (defaults to 'default').
+  const gameServer = roomManager.joinRoom(socket, socket.handshake.query?.roomId);
+  if (!gameServer) {
+    socket.emit('error', { message: 'Server is full, no more rooms available' });
+    socket.disconnect(true);
+    return;
+  }
+  gameServer.emitTo(socket, 'roomJoined', { roomId: gameServer.roomId });
+
   gameServer.handleConnection(socket);
   
   // Send initial game state to newly connected client
@@ -64,37 +207,90 @@ io.on('connection', (socket) => {
 
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
-    gameServer.handleDisconnection(socket.id);
+    roomManager.leaveRoom(socket.id);
   });
 
-  socket.on('joinGame', () => {
+  // Everything below is validated and rate limited first (see eventGuard.js)
+  const guard = new EventGuard(socket, (event, reason) => gameServer.logRejectedEvent(socket.id, event, reason));
+
+  guard.on('joinGame', (options) => {
     console.log('📥 Received joinGame event from socket:', socket.id);
-    gameServer.handleJoinGame(socket);
+    gameServer.handleJoinGame(socket, options);
+  });
+
+  guard.on('resumeSession', (token) => {
+    console.log('📥 Received resumeSession from socket:', socket.id);
+    gameServer.handleResumeSession(socket, token);
   });
 
-  socket.on('playerInput', (inputState) => {
+  guard.on('playerInput', (inputState) => {
     gameServer.handlePlayerInput(socket.id, inputState);
   });
   
   // Minimal-style input event (same data shape)
-  socket.on('input', (inputState) => {
+  guard.on('input', (inputState) => {
     gameServer.handlePlayerInput(socket.id, inputState);
   });
 
-  socket.on('playerFall', () => {
+  guard.on('playerFall', () => {
     gameServer.handlePlayerFall(socket.id);
   });
 
-  socket.on('playerReady', () => {
+  guard.on('playerReady', () => {
     gameServer.handlePlayerReady(socket.id);
   });
 
-  socket.on('customMap', (mapData) => {
+  guard.on('selectTeam', (team) => {
+    gameServer.handleSelectTeam(socket, team);
+  });
+
+  guard.on('voteMap', (mapId) => {
+    gameServer.handleMapVote(socket, mapId);
+  });
+
+  guard.on('snapshotAck', (tick) => {
+    gameServer.handleSnapshotAck(socket.id, tick);
+  });
+
+  // Host-only events (GameServer checks the sender is the lobby host)
+  guard.on('setMatchOptions', (options) => {
+    gameServer.handleSetMatchOptions(socket, options);
+  });
+
+  guard.on('kickPlayer', (playerId) => {
+    gameServer.handleKickPlayer(socket, playerId);
+  });
+
+  guard.on('transferHost', (playerId) => {
+    gameServer.handleTransferHost(socket, playerId);
+  });
+
+  guard.on('addBot', (difficulty) => {
+    gameServer.handleAddBot(socket, difficulty);
+  });
+
+  guard.on('fillBots', (difficulty) => {
+    gameServer.handleFillBots(socket, difficulty);
+  });
+
+  guard.on('forceStart', () => {
+    gameServer.handleForceStart(socket);
+  });
+
+  guard.on('selectMap', (mapId) => {
+    gameServer.handleSelectMap(socket, mapId);
+  });
+
+  guard.on('claimHost', (password) => {
+    gameServer.handleClaimHost(socket, password);
+  });
+
+  guard.on('customMap', ({ map, mapId, editToken }) => {
     console.log('📥 Received custom map from client:', socket.id);
-    gameServer.setCustomMap(mapData);
+    gameServer.handleCustomMap(socket, map, mapId, editToken);
   });
 
-  socket.on('respawnRequest', () => {
+  guard.on('respawnRequest', () => {
     console.log('📥 Received respawnRequest from socket:', socket.id);
     gameServer.handleRespawnRequest(socket.id);
   });
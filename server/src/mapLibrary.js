@@ -0,0 +1,230 @@
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { validateMap } from '../../shared/mapSchema.js';
+
+export const DEFAULT_MAP_ID = 'defaultMap';
+const MAX_UPLOADED_MAPS = 500; // uploads are refused beyond this
+const MAX_VERSIONS = 50; // per map; the oldest versions are dropped first
+const MAX_LABEL_LENGTH = 40; // map names and author names
+const MAP_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Trimmed, length-capped display string, or the fallback
+function cleanLabel(value, fallback) {
+  if (typeof value !== 'string') return fallback;
+  const trimmed = value.trim().slice(0, MAX_LABEL_LENGTH);
+  return trimmed || fallback;
+}
+
+// Identifies a map's content: the same blocks, spawns... give the same hash
+export function hashMap(mapData) {
+  return createHash('sha256').update(JSON.stringify(mapData)).digest('hex').slice(0, 16);
+}
+
+// Edit tokens are only kept as hashes, on disk too
+const hashEditToken = (token) => createHash('sha256').update(token).digest();
+
+// Every map a lobby can play: the files shipped in shared/maps (id = file name without .json)
+// plus maps uploaded from the editor or over REST. Shared by all rooms; onChange lets the
+// RoomManager refresh lobbies when the list changes.
+//
+// An entry is { id, name, author, source, createdAt, updatedAt, versions, data, editTokenHash }:
+// versions (oldest first) are { version, hash, author, createdAt, rolledBackFrom?, data } and
+// data is the latest version's map. Uploaded entries are saved through the MapStore on every
+// change.
+//
+// Whoever uploads a map gets its edit token (once, from add); new versions and rollbacks need
+// it, so nobody else can rewrite the map's history. Maps stored without a token stay read-only.
+export class MapLibrary {
+  constructor(mapLoader, mapStore = null) {
+    this.mapLoader = mapLoader;
+    this.mapStore = mapStore;
+    this.maps = new Map(); // id -> entry
+    this.onChange = null;
+    this.indexBuiltinMaps();
+    this.loadStoredMaps();
+  }
+
+  indexBuiltinMaps() {
+    this.mapLoader.listMaps().forEach((file) => {
+      const id = file.replace(/\.json$/, '');
+      try {
+        const data = this.mapLoader.readMap(file);
+        this.maps.set(id, {
+          id,
+          name: cleanLabel(data.name, id),
+          author: 'Ragetrack',
+          source: 'builtin',
+          createdAt: null,
+          updatedAt: null,
+          versions: [{ version: 1, hash: hashMap(data), author: 'Ragetrack', createdAt: null, data }],
+          data,
+        });
+      } catch (error) {
+        console.error(`❌ Skipping map ${file}:`, error.message);
+      }
+    });
+    console.log(`🗺️ Map library: ${this.maps.size} built-in maps`);
+  }
+
+  loadStoredMaps() {
+    if (!this.mapStore) return;
+    let loaded = 0;
+    this.mapStore.loadAll().forEach((record) => {
+      if (this.maps.has(record.id)) {
+        console.error(`❌ Stored map ${record.id} clashes with a built-in map, skipping it`);
+        return;
+      }
+      const latest = record.versions[record.versions.length - 1];
+      const { errors } = validateMap(latest.data);
+      if (errors.length > 0) {
+        console.error(`❌ Stored map ${record.id} fails the map schema, skipping it`);
+        return;
+      }
+      this.maps.set(record.id, { ...record, source: 'uploaded', data: latest.data });
+      loaded += 1;
+    });
+    console.log(`🗺️ Map library: ${loaded} uploaded maps loaded from ${this.mapStore.dir}`);
+  }
+
+  static isValidId(id) {
+    return typeof id === 'string' && MAP_ID_PATTERN.test(id);
+  }
+
+  // Does this token let its holder change the map (an upload's token, see add)?
+  canEdit(id, token) {
+    const entry = this.get(id);
+    if (!entry?.editTokenHash || typeof token !== 'string' || token.length === 0) return false;
+    const expected = Buffer.from(entry.editTokenHash, 'hex');
+    const actual = hashEditToken(token);
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+  }
+
+  has(id) {
+    return this.maps.has(id);
+  }
+
+  get(id) {
+    return this.maps.get(id) || null;
+  }
+
+  getVersion(id, version) {
+    return this.get(id)?.versions.find((entry) => entry.version === version) || null;
+  }
+
+  // Entry without the map data (what lists and lobbies show)
+  describe(entry) {
+    const latest = entry.versions[entry.versions.length - 1];
+    return {
+      id: entry.id,
+      name: entry.name,
+      author: entry.author,
+      source: entry.source,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt,
+      version: latest.version,
+      hash: latest.hash,
+      versionCount: entry.versions.length,
+      blockCount: entry.data.blocks.length,
+    };
+  }
+
+  describeVersions(entry) {
+    return entry.versions.map(({ data, ...version }) => ({ ...version, blockCount: data.blocks.length }));
+  }
+
+  list() {
+    return Array.from(this.maps.values()).map((entry) => this.describe(entry));
+  }
+
+  // Adds an uploaded map. Returns { entry, editToken } or { errors } (schema problems, see
+  // mapSchema.js). Uploading exactly the content of an existing upload returns that map instead
+  // of a copy, without its token.
+  add(mapData, { name, author } = {}) {
+    const { errors } = validateMap(mapData);
+    if (errors.length > 0) return { errors };
+
+    const hash = hashMap(mapData);
+    const existing = Array.from(this.maps.values())
+      .find((entry) => entry.source === 'uploaded' && entry.versions[entry.versions.length - 1].hash === hash);
+    if (existing) return { entry: existing };
+
+    const uploads = Array.from(this.maps.values()).filter((entry) => entry.source === 'uploaded').length;
+    if (uploads >= MAX_UPLOADED_MAPS) {
+      return { errors: [{ path: 'map', message: 'cannot be saved, the map library is full' }] };
+    }
+
+    const now = new Date().toISOString();
+    const cleanAuthor = cleanLabel(author, 'anonymous');
+    const editToken = randomBytes(16).toString('hex');
+    const entry = {
+      id: `map-${randomUUID().slice(0, 8)}`,
+      name: cleanLabel(name ?? mapData.name, `${cleanAuthor}'s map`),
+      author: cleanAuthor,
+      source: 'uploaded',
+      createdAt: now,
+      updatedAt: now,
+      versions: [{ version: 1, hash, author: cleanAuthor, createdAt: now, data: mapData }],
+      data: mapData,
+      editTokenHash: hashEditToken(editToken).toString('hex'),
+    };
+    this.maps.set(entry.id, entry);
+    this.persist(entry);
+    console.log(`🗺️ Map uploaded: ${entry.id} "${entry.name}" by ${entry.author}`);
+    this.onChange?.();
+    return { entry, editToken };
+  }
+
+  // New version of an uploaded map (built-in maps are read-only, check entry.source first;
+  // callers check canEdit). Returns { entry } or { errors }; unchanged content doesn't add a
+  // version.
+  update(id, mapData, { name, author } = {}) {
+    const entry = this.get(id);
+    if (!entry || entry.source !== 'uploaded') return { errors: [{ path: 'map', message: 'is not an uploaded map' }] };
+    const { errors } = validateMap(mapData);
+    if (errors.length > 0) return { errors };
+
+    const hash = hashMap(mapData);
+    if (hash !== entry.versions[entry.versions.length - 1].hash) {
+      this.addVersion(entry, { hash, author: cleanLabel(author, 'anonymous'), data: mapData });
+    }
+    if (name !== undefined) entry.name = cleanLabel(name, entry.name);
+    this.persist(entry);
+    console.log(`🗺️ Map updated: ${entry.id} "${entry.name}" is at version ${this.describe(entry).version}`);
+    this.onChange?.();
+    return { entry };
+  }
+
+  // Brings back an old version as a new one, so the history shows the rollback too (callers
+  // check canEdit). Returns { entry } or { errors }.
+  rollback(id, version, { author } = {}) {
+    const entry = this.get(id);
+    if (!entry || entry.source !== 'uploaded') return { errors: [{ path: 'map', message: 'is not an uploaded map' }] };
+    const target = this.getVersion(id, version);
+    if (!target) return { errors: [{ path: 'version', message: `${version} doesn't exist (or is too old to keep)` }] };
+
+    this.addVersion(entry, { hash: target.hash, author: cleanLabel(author, 'anonymous'), data: target.data, rolledBackFrom: version });
+    this.persist(entry);
+    console.log(`⏪ Map ${entry.id} rolled back to version ${version}`);
+    this.onChange?.();
+    return { entry };
+  }
+
+  addVersion(entry, { hash, author, data, rolledBackFrom }) {
+    const now = new Date().toISOString();
+    const version = entry.versions[entry.versions.length - 1].version + 1;
+    entry.versions.push({ version, hash, author, createdAt: now, ...(rolledBackFrom ? { rolledBackFrom } : {}), data });
+    if (entry.versions.length > MAX_VERSIONS) entry.versions.splice(0, entry.versions.length - MAX_VERSIONS);
+    entry.data = data;
+    entry.updatedAt = now;
+  }
+
+  // A failed write keeps the map for this session; it's just not on disk
+  persist(entry) {
+    if (!this.mapStore) return;
+    try {
+      const { data, source, ...record } = entry;
+      this.mapStore.save(record);
+    } catch (error) {
+      console.error(`❌ Couldn't save map ${entry.id}:`, error.message);
+    }
+  }
+}
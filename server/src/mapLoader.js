@@ -1,6 +1,7 @@
-import { readFileSync } from 'fs';
+import { readFileSync, readdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { validateMap, formatMapErrors } from '../../shared/mapSchema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -10,10 +11,20 @@ export class MapLoader {
     this.loadedMap = null;
   }
 
+  // Reads a map file from shared/maps; throws when it's missing, isn't JSON or fails the schema
+  readMap(mapName) {
+    const mapPath = join(__dirname, '../../shared/maps', mapName);
+    const mapData = JSON.parse(readFileSync(mapPath, 'utf-8'));
+    const { errors } = validateMap(mapData);
+    if (errors.length > 0) {
+      throw new Error(`Map ${mapName} is invalid:\n  ${formatMapErrors(errors).join('\n  ')}`);
+    }
+    return mapData;
+  }
+
   async loadMap(mapName) {
     try {
-      const mapPath = join(__dirname, '../../shared/maps', mapName);
-      const mapData = JSON.parse(readFileSync(mapPath, 'utf-8'));
+      const mapData = this.readMap(mapName);
       this.loadedMap = mapData;
       return mapData;
     } catch (error) {
@@ -22,6 +33,18 @@ export class MapLoader {
     }
   }
 
+  // Map files shipped in shared/maps (what a lobby host can pick from)
+  listMaps() {
+    try {
+      return readdirSync(join(__dirname, '../../shared/maps'))
+        .filter((file) => file.endsWith('.json'))
+        .sort();
+    } catch (error) {
+      console.error('Error listing maps:', error);
+      return [];
+    }
+  }
+
   loadDefaultMap() {
     // Matches shared/maps/defaultMap.json
     const defaultMap = {
@@ -36,7 +59,17 @@ export class MapLoader {
       spawnPoints: {
         red: [{ position: [-75, 2, 0], rotation: [0, Math.PI * 3 / 2, 0] }],
         blue: [{ position: [75, 2, 0], rotation: [0, Math.PI / 2, 0] }],
+        // Free-for-all modes (infection) spawn anywhere
+        any: [
+          { position: [-60, 2, -25], rotation: [0, 4.3176, 0] },
+          { position: [-60, 2, 25], rotation: [0, 5.10718, 0] },
+          { position: [0, 2, -30], rotation: [0, 3.14159, 0] },
+          { position: [0, 2, 30], rotation: [0, 0, 0] },
+          { position: [60, 2, -25], rotation: [0, 1.96559, 0] },
+          { position: [60, 2, 25], rotation: [0, 1.17601, 0] }
+        ],
       },
+      hills: [{ position: [0, 3, 0], size: [16, 6, 16] }],
       flags: {
         red: { position: [-80, 1, 0] },
         blue: { position: [80, 1, 0] },
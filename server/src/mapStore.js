@@ -0,0 +1,53 @@
+import { mkdirSync, readdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Uploaded maps live here unless MAP_STORE_DIR says otherwise
+const DEFAULT_STORE_DIR = join(__dirname, '../data/maps');
+const RECORD_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Keeps uploaded maps on disk, one JSON file per map holding its metadata and every version
+// (see MapLibrary for the record layout), so they survive a server restart.
+export class MapStore {
+  constructor(dir = process.env.MAP_STORE_DIR || DEFAULT_STORE_DIR) {
+    this.dir = dir;
+  }
+
+  // Every stored record; unreadable files are skipped (and left alone for someone to look at)
+  loadAll() {
+    let files;
+    try {
+      mkdirSync(this.dir, { recursive: true });
+      files = readdirSync(this.dir).filter((file) => file.endsWith('.json'));
+    } catch (error) {
+      console.error(`❌ Can't read map store ${this.dir}:`, error.message);
+      return [];
+    }
+    const records = [];
+    files.forEach((file) => {
+      try {
+        const record = JSON.parse(readFileSync(join(this.dir, file), 'utf-8'));
+        if (!RECORD_ID_PATTERN.test(record?.id) || !Array.isArray(record.versions) || record.versions.length === 0) {
+          throw new Error('not a map record');
+        }
+        records.push(record);
+      } catch (error) {
+        console.error(`❌ Skipping stored map ${file}:`, error.message);
+      }
+    });
+    return records;
+  }
+
+  // Written to a temp file first so a crash mid-write can't leave half a map behind
+  save(record) {
+    if (!RECORD_ID_PATTERN.test(record.id)) throw new Error(`Bad map id "${record.id}"`);
+    mkdirSync(this.dir, { recursive: true });
+    const path = join(this.dir, `${record.id}.json`);
+    const tempPath = `${path}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(record, null, 2));
+    renameSync(tempPath, path);
+  }
+}
@@ -0,0 +1,60 @@
+// One pre-match map vote: a fixed list of candidate maps and one vote per player, which they
+// can change until the vote closes. Ties go to the candidate listed first (GameServer lists
+// the host's pick first), so the result never depends on timing or chance.
+export class MapVote {
+  constructor(candidates, durationMs, now = Date.now()) {
+    this.candidates = candidates; // [{ id, name, author }]
+    this.votes = new Map(); // playerId -> map id
+    this.endsAt = now + durationMs;
+  }
+
+  isCandidate(mapId) {
+    return this.candidates.some((candidate) => candidate.id === mapId);
+  }
+
+  // Returns false for maps that aren't on the ballot
+  vote(playerId, mapId) {
+    if (!this.isCandidate(mapId)) return false;
+    this.votes.set(playerId, mapId);
+    return true;
+  }
+
+  removeVoter(playerId) {
+    this.votes.delete(playerId);
+  }
+
+  hasEveryoneVoted(playerIds) {
+    return playerIds.length > 0 && playerIds.every((playerId) => this.votes.has(playerId));
+  }
+
+  countVotes(mapId) {
+    let count = 0;
+    this.votes.forEach((votedFor) => {
+      if (votedFor === mapId) count++;
+    });
+    return count;
+  }
+
+  // Most votes wins; only a strictly higher count beats an earlier candidate
+  getWinner() {
+    let winner = this.candidates[0];
+    let best = this.countVotes(winner.id);
+    this.candidates.slice(1).forEach((candidate) => {
+      const count = this.countVotes(candidate.id);
+      if (count > best) {
+        winner = candidate;
+        best = count;
+      }
+    });
+    return winner;
+  }
+
+  // What lobbies show: candidates with their vote counts, who voted for what, time left
+  getState(now = Date.now()) {
+    return {
+      candidates: this.candidates.map((candidate) => ({ ...candidate, votes: this.countVotes(candidate.id) })),
+      ballots: Object.fromEntries(this.votes),
+      endsIn: Math.max(0, Math.ceil((this.endsAt - now) / 1000)),
+    };
+  }
+}
@@ -14,6 +14,9 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { PhysicsWorld } from './physicsWorld.js';
+import { createCarBody, driveCar } from '../../shared/carController.js';
+import { PHYSICS } from '../../shared/constants.js';
 
 const execAsync = promisify(exec);
 
@@ -27,58 +30,21 @@ const TICK_INTERVAL = 1000 / TICK_RATE;
 // ============================================
 // PLAYER STORAGE
 // ============================================
-const players = new Map(); // socket.id -> { state, input }
+const players = new Map(); // socket.id -> { body, input }
 
 // ============================================
-// CAR UPDATE FUNCTION (plug in your physics here)
+// PHYSICS (the full game's car controller on a flat floor)
 // ============================================
-function updateCar(state, input, dt) {
-  // This is where your physics logic goes
-  // For now, simple integration example:
-  
-  const acceleration = 50;
-  const steerSpeed = 2;
-  const friction = 0.98;
-  const maxSpeed = 100;
-  
-  // Apply input
-  if (input.throttle) {
-    state.vx += Math.sin(state.rotation) * acceleration * dt;
-    state.vz += Math.cos(state.rotation) * acceleration * dt;
-  }
-  if (input.brake) {
-    state.vx *= 0.95;
-    state.vz *= 0.95;
-  }
-  if (input.steer !== 0) {
-    const speed = Math.sqrt(state.vx * state.vx + state.vz * state.vz);
-    if (speed > 0.1) {
-      // Check if moving backward for steering inversion
-      const forwardX = Math.sin(state.rotation);
-      const forwardZ = Math.cos(state.rotation);
-      const dot = state.vx * forwardX + state.vz * forwardZ;
-      const steerDir = dot < 0 ? -1 : 1; // Invert when reversing
-      state.rotation += input.steer * steerSpeed * steerDir * dt;
-    }
-  }
-  
-  // Apply friction
-  state.vx *= friction;
-  state.vz *= friction;
-  
-  // Clamp speed
-  const speed = Math.sqrt(state.vx * state.vx + state.vz * state.vz);
-  if (speed > maxSpeed) {
-    const scale = maxSpeed / speed;
-    state.vx *= scale;
-    state.vz *= scale;
-  }
-  
-  // Update position
-  state.x += state.vx * dt;
-  state.z += state.vz * dt;
-  
-  return state;
+const physicsWorld = new PhysicsWorld();
+await physicsWorld.init();
+const RAPIER = physicsWorld.getRAPIER();
+const world = physicsWorld.getWorld();
+const floorBody = world.createRigidBody(RAPIER.RigidBodyDesc.fixed().setTranslation(0, -0.5, 0));
+world.createCollider(RAPIER.ColliderDesc.cuboid(500, 0.5, 500).setFriction(0.7), floorBody);
+
+// Heading around Y for the snapshot (0 = facing -Z)
+function getYaw(q) {
+  return Math.atan2(2 * (q.w * q.y + q.x * q.z), 1 - 2 * (q.x * q.x + q.y * q.y));
 }
 
 // ============================================
@@ -108,16 +74,10 @@ app.get('/', (req, res) => {
 io.on('connection', (socket) => {
   console.log(`[+] Player connected: ${socket.id}`);
   
-  // Initialize player state
+  // Initialize player car, side by side so they don't spawn inside each other
+  const spawn = { x: (players.size % 8) * 6, y: 2, z: 0 };
   players.set(socket.id, {
-    state: {
-      x: 0,
-      y: 2,
-      z: 0,
-      rotation: 0,
-      vx: 0,
-      vz: 0,
-    },
+    body: createCarBody(RAPIER, world, spawn, { x: 0, y: 0, z: 0, w: 1 }).rigidBody,
     input: {
       throttle: 0,
       brake: 0,
@@ -143,6 +103,8 @@ io.on('connection', (socket) => {
   // Handle disconnect
   socket.on('disconnect', () => {
     console.log(`[-] Player disconnected: ${socket.id}`);
+    const player = players.get(socket.id);
+    if (player) world.removeRigidBody(player.body);
     players.delete(socket.id);
   });
 });
@@ -150,26 +112,23 @@ io.on('connection', (socket) => {
 // ============================================
 // SERVER LOOP (60Hz)
 // ============================================
-let lastTime = Date.now();
-
 function serverLoop() {
-  const now = Date.now();
-  const dt = (now - lastTime) / 1000;
-  lastTime = now;
-  
-  // Update each player
-  players.forEach((player, id) => {
-    player.state = updateCar(player.state, player.input, dt);
+  // One fixed step per tick, then each car applies its input (same order as the full game)
+  world.timestep = PHYSICS.FIXED_TIMESTEP;
+  world.step();
+  players.forEach((player) => {
+    driveCar(player.body, player.input, PHYSICS.FIXED_TIMESTEP);
   });
   
   // Build snapshot (only state, no input)
   const snapshot = {};
   players.forEach((player, id) => {
+    const position = player.body.translation();
     snapshot[id] = {
-      x: player.state.x,
-      y: player.state.y,
-      z: player.state.z,
-      rotation: player.state.rotation,
+      x: position.x,
+      y: position.y,
+      z: position.z,
+      rotation: getYaw(player.body.rotation()),
     };
   });
   
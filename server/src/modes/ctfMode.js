@@ -0,0 +1,267 @@
+import { GameMode } from './gameMode.js';
+
+// Capture the flag: grab the enemy flag and drive it back to your own base.
+export class CtfMode extends GameMode {
+  static id = 'ctf';
+  static label = 'Capture the Flag';
+
+  static supportsMap(mapData) {
+    return !!(mapData.flags?.red && mapData.flags?.blue);
+  }
+
+  constructor(server) {
+    super(server);
+    this.flags = {
+      red: { position: null, carriedBy: null },
+      blue: { position: null, carriedBy: null },
+    };
+  }
+
+  onStart() {
+    this.initializeFlags();
+  }
+
+  initializeFlags() {
+    const mapData = this.server.mapData;
+    if (!mapData || !mapData.flags) {
+      console.log('⚠️ No flags in map data');
+      return;
+    }
+
+    this.flags.red.position = [...mapData.flags.red.position];
+    this.flags.blue.position = [...mapData.flags.blue.position];
+    this.flags.red.carriedBy = null;
+    this.flags.blue.carriedBy = null;
+    console.log('🚩 Flags initialized:', {
+      red: this.flags.red.position,
+      blue: this.flags.blue.position
+    });
+  }
+
+  onTick() {
+    this.server.playerManager.getAllPlayers().forEach((player) => {
+      if (player.eliminated) return;
+
+      // Check flag pickup
+      this.handleFlagPickup(player.id, 'red');
+      this.handleFlagPickup(player.id, 'blue');
+
+      // Check flag capture
+      this.checkFlagCapture(player.id);
+    });
+  }
+
+  onPlayerEliminated(player) {
+    if (this.isCarrier(player.id)) {
+      console.log(`🚩 Player ${player.id} died while carrying flag, returning it`);
+      this.handleFlagDrop(player.id);
+    }
+  }
+
+  // A carrier put back at a spawn point (the back-to-spawn button) must not bring the flag
+  // along, or the button would be an instant capture
+  onPlayerSpawn(player) {
+    if (this.isCarrier(player.id)) {
+      this.handleFlagDrop(player.id);
+    }
+  }
+
+  onPlayerRemoved(playerId) {
+    // Return a carried flag before the car disappears
+    if (this.isCarrier(playerId)) {
+      this.handleFlagDrop(playerId);
+    }
+  }
+
+  // A carrier switching sides can't take the flag along
+  onPlayerTeamChanged(player) {
+    if (this.isCarrier(player.id)) {
+      this.handleFlagDrop(player.id);
+    }
+  }
+
+  isCarrier(playerId) {
+    return this.flags.red.carriedBy === playerId || this.flags.blue.carriedBy === playerId;
+  }
+
+  decoratePlayerState(player, state) {
+    if (this.flags.red.carriedBy === player.id) {
+      state.carryingFlag = 'red';
+    } else if (this.flags.blue.carriedBy === player.id) {
+      state.carryingFlag = 'blue';
+    } else {
+      state.carryingFlag = null;
+    }
+  }
+
+  syncClient(socket) {
+    ['red', 'blue'].forEach((team) => {
+      const flag = this.flags[team];
+      this.server.emitTo(socket, 'flagUpdate', {
+        team,
+        carriedBy: flag.carriedBy,
+        position: flag.carriedBy ? null : flag.position,
+      });
+    });
+  }
+
+  getHudState() {
+    return {
+      flags: {
+        red: { carriedBy: this.flags.red.carriedBy },
+        blue: { carriedBy: this.flags.blue.carriedBy },
+      },
+    };
+  }
+
+  // First to the flag target; in sudden death any lead wins
+  checkWin() {
+    const { scores, settings, clock } = this.server;
+    const winner = ['red', 'blue'].find((team) => scores[team] >= settings.winScore);
+    if (winner) return winner;
+    if (clock?.phase === 'suddenDeath' && scores.red !== scores.blue) {
+      return scores.red > scores.blue ? 'red' : 'blue';
+    }
+    return null;
+  }
+
+  // Where a team captures (use bases field if available, otherwise spawn points)
+  getBasePosition(team) {
+    const mapData = this.server.mapData;
+    if (mapData.bases && mapData.bases[team]) {
+      return mapData.bases[team].position;
+    }
+    const baseSpawns = mapData.spawnPoints[team];
+    if (!baseSpawns || baseSpawns.length === 0) return null;
+    return baseSpawns[0].position;
+  }
+
+  // Carrying the flag: head home. Our flag taken: chase the carrier. Otherwise go for the
+  // enemy flag, or hunt enemies while a teammate brings it back.
+  getBotTarget(player) {
+    const enemyTeam = player.team === 'red' ? 'blue' : 'red';
+    const toPoint = (position) => (position ? { x: position[0], y: position[1], z: position[2] } : null);
+
+    if (this.isCarrier(player.id)) return toPoint(this.getBasePosition(player.team));
+    const ownFlag = this.flags[player.team];
+    if (ownFlag.carriedBy) {
+      const carrier = this.server.playerManager.getPlayer(ownFlag.carriedBy);
+      if (carrier) return carrier.car.getPosition();
+    }
+    const enemyFlag = this.flags[enemyTeam];
+    if (!enemyFlag.carriedBy && enemyFlag.position) return toPoint(enemyFlag.position);
+    return super.getBotTarget(player);
+  }
+
+  handleFlagPickup(playerId, flagTeam) {
+    const player = this.server.playerManager.getPlayer(playerId);
+    if (!player || player.eliminated || player.hasFlag) return false;
+
+    // Can only pick up enemy flag
+    if (player.team === flagTeam) return false;
+
+    // Check distance to flag
+    const flag = this.flags[flagTeam];
+    if (!flag.position || flag.carriedBy) return false;
+
+    const playerPos = player.car.getPosition();
+    const distance = Math.sqrt(
+      (playerPos.x - flag.position[0]) ** 2 +
+      (playerPos.y - flag.position[1]) ** 2 +
+      (playerPos.z - flag.position[2]) ** 2
+    );
+
+    if (distance < this.server.settings.flagPickupRadius) {
+      player.hasFlag = true;
+      flag.carriedBy = playerId;
+      player.car.hasFlag = true;
+
+      // Broadcast flag pickup
+      this.server.broadcast('flagUpdate', {
+        team: flagTeam,
+        carriedBy: playerId,
+        position: null, // Flag is being carried, not at a position
+      });
+      console.log(`🚩 ${playerId} picked up ${flagTeam} flag!`);
+      return true;
+    }
+
+    return false;
+  }
+
+  handleFlagDrop(playerId) {
+    const player = this.server.playerManager.getPlayer(playerId);
+    if (!player) return;
+
+    // Find which flag they're carrying
+    let flagTeam = null;
+    if (this.flags.red.carriedBy === playerId) {
+      flagTeam = 'red';
+    } else if (this.flags.blue.carriedBy === playerId) {
+      flagTeam = 'blue';
+    }
+
+    if (flagTeam) {
+      if (player.hasFlag) {
+        player.hasFlag = false;
+      }
+      if (player.car) {
+        player.car.hasFlag = false;
+      }
+      this.flags[flagTeam].carriedBy = null;
+      // Flag returns to base
+      this.flags[flagTeam].position = [...this.server.mapData.flags[flagTeam].position];
+
+      // Broadcast flag return
+      this.server.broadcast('flagUpdate', {
+        team: flagTeam,
+        carriedBy: null,
+        position: this.flags[flagTeam].position,
+      });
+      console.log(`🚩 ${flagTeam} flag returned to base!`);
+    }
+  }
+
+  checkFlagCapture(playerId) {
+    const player = this.server.playerManager.getPlayer(playerId);
+    if (!player || !player.hasFlag || player.eliminated) return false;
+
+    // Check if player is at their own base with enemy flag
+    const enemyTeam = player.team === 'red' ? 'blue' : 'red';
+    const flag = this.flags[enemyTeam];
+
+    if (flag.carriedBy !== playerId) return false;
+
+    const mapData = this.server.mapData;
+    const basePos = this.getBasePosition(player.team);
+    if (!basePos) return false;
+
+    const playerPos = player.car.getPosition();
+    const distance = Math.sqrt(
+      (playerPos.x - basePos[0]) ** 2 +
+      (playerPos.z - basePos[2]) ** 2  // Only check X and Z (horizontal distance)
+    );
+
+    if (distance < this.server.settings.flagCaptureRadius) { // Must be in own base area
+      // Score!
+      player.captures++;
+
+      // Reset flag
+      player.hasFlag = false;
+      player.car.hasFlag = false;
+      flag.carriedBy = null;
+      flag.position = [...mapData.flags[enemyTeam].position];
+
+      // Broadcast flag return and score
+      this.server.broadcast('flagUpdate', {
+        team: enemyTeam,
+        carriedBy: null,
+        position: flag.position,
+      });
+      this.server.addScore(player.team);
+      return true;
+    }
+
+    return false;
+  }
+}
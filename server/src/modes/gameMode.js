@@ -0,0 +1,117 @@
+// Base class for game modes.
+// GameServer owns the players, physics, match clock and team scores; a mode decides what
+// scores points, what ends the match and which extra state clients need. Every hook has a
+// no-op default so a mode only implements what it uses.
+export class GameMode {
+  static id = 'base';
+  static label = 'Base mode';
+
+  constructor(server) {
+    this.server = server; // GameServer running this match
+  }
+
+  get id() {
+    return this.constructor.id;
+  }
+
+  // Does the map have what this mode needs (flags, hills, checkpoints...)? Map votes only
+  // offer maps that do.
+  static supportsMap(mapData) {
+    return true;
+  }
+
+  // Cars are spawned and scores reset; set up mode state here
+  onStart() {}
+
+  // Every server tick while the match is playing
+  onTick(deltaTime) {}
+
+  // A car fell off / was knocked out (server- or client-reported)
+  onPlayerEliminated(player) {}
+
+  // A car was placed at a spawn point (match start, respawn, late join, team switch)
+  onPlayerSpawn(player) {}
+
+  // Two cars started touching (each is a PlayerManager player)
+  onCarContact(playerA, playerB) {}
+
+  // The player is leaving the match: give back anything they hold and forget them
+  onPlayerRemoved(playerId) {}
+
+  // The player was moved to another team mid-match (their choice or a rebalance). By default
+  // that counts as leaving and rejoining; modes with per-player progress that should survive a
+  // team change override this.
+  onPlayerTeamChanged(player, previousTeam) {
+    this.onPlayerRemoved(player.id);
+  }
+
+  // May this player pick the other team mid-match? Modes where teams only add up the score
+  // (every car for itself) can refuse
+  canSwitchTeam(player) {
+    return true;
+  }
+
+  // May this player reset their car to a spawn point (the flipped-car button)?
+  canRespawn(player) {
+    return true;
+  }
+
+  // Where to put this player's car when it spawns or respawns ({ position, rotation }), or
+  // null for a random spawn point of their team. `player` may be a { id, team } stub.
+  getSpawnPoint(player) {
+    return null;
+  }
+
+  // Where a bot should drive ({ x, y, z }), or null to let it roam. By default bots go after
+  // the nearest car of the other team.
+  getBotTarget(player) {
+    return this.nearestCar(player, (other) => other.team !== player.team);
+  }
+
+  // Position of the closest car (still in play) that passes the filter, or null
+  nearestCar(player, filter = () => true) {
+    const from = player.car.getPosition();
+    let nearest = null;
+    let nearestDistance = Infinity;
+    this.server.playerManager.getAllPlayers().forEach((other) => {
+      if (other.id === player.id || other.eliminated || !filter(other)) return;
+      const position = other.car.getPosition();
+      const distance = Math.hypot(position.x - from.x, position.z - from.z);
+      if (distance < nearestDistance) {
+        nearest = position;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  // Add mode-specific fields to a car's snapshot state
+  decoratePlayerState(player, state) {}
+
+  // Add non-car entities to the snapshot under "_"-prefixed keys (e.g. _ball); clients
+  // treat every other key as a player id. Only position and rotation reach the client
+  // (see shared/snapshotCodec.js), and car states carry the fields the codec knows about
+  decorateSnapshot(snapshot) {}
+
+  // Bring a late joiner or spectator up to date with events the room already saw (send with
+  // this.server.emitTo so they carry the tick)
+  syncClient(socket) {}
+
+  // Mode-specific HUD data, sent with gameStart and on every hudUpdate
+  getHudState() {
+    return {};
+  }
+
+  // Winning team, 'none' for a draw, or null while the match goes on
+  checkWin() {
+    return null;
+  }
+
+  // Extra end-of-match data for the results screen (sent with gameEnd)
+  getResults() {
+    return null;
+  }
+
+  // Match ended (won, time up or abandoned)
+  onEnd() {}
+}
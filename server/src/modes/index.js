@@ -0,0 +1,29 @@
+import { CtfMode } from './ctfMode.js';
+import { SumoMode } from './sumoMode.js';
+import { RaceMode } from './raceMode.js';
+import { KothMode } from './kothMode.js';
+import { SoccerMode } from './soccerMode.js';
+import { InfectionMode } from './infectionMode.js';
+
+// Every mode a lobby host can pick. Add new modes here.
+const MODES = [CtfMode, SumoMode, RaceMode, KothMode, SoccerMode, InfectionMode];
+
+export const DEFAULT_MODE = CtfMode.id;
+
+export function isGameMode(modeId) {
+  return MODES.some((Mode) => Mode.id === modeId);
+}
+
+export function listGameModes() {
+  return MODES.map((Mode) => ({ id: Mode.id, label: Mode.label }));
+}
+
+export function modeSupportsMap(modeId, mapData) {
+  const Mode = MODES.find((m) => m.id === modeId) || CtfMode;
+  return Mode.supportsMap(mapData);
+}
+
+export function createGameMode(modeId, server) {
+  const Mode = MODES.find((m) => m.id === modeId) || CtfMode;
+  return new Mode(server);
+}
@@ -0,0 +1,214 @@
+import { GameMode } from './gameMode.js';
+
+// A car that just passed "it" on can't be tagged straight back
+const TAG_BACK_IMMUNITY_MS = 2000;
+// Bots on the run aim this far away from the car chasing them
+const FLEE_DISTANCE = 30;
+
+// Infection / tag, every car for itself: one random car starts infected and tags others by
+// driving into them. With "spreads" on, tagged cars join the infected; otherwise "it" passes
+// to the tagged car. Healthy cars earn a survival point per second (their team scores it too)
+// and the first car to the target wins the match for its team.
+export class InfectionMode extends GameMode {
+  static id = 'infection';
+  static label = 'Infection';
+
+  constructor(server) {
+    super(server);
+    this.infected = new Set(); // playerIds
+    this.points = new Map(); // playerId -> survival seconds, fractional
+    this.immuneUntil = new Map(); // playerId -> server tick time
+    this.round = 1;
+    this.lastTag = null; // { by, to } names, for the HUD message
+  }
+
+  get spreads() {
+    return this.server.settings.infectionSpreads === 1;
+  }
+
+  onStart() {
+    this.infected.clear();
+    this.points.clear();
+    this.pickPatientZero();
+    this.server.broadcastHud();
+  }
+
+  // Connected cars still in the match
+  activePlayers() {
+    return this.server.playerManager.getAllPlayers().filter((player) => !player.disconnected);
+  }
+
+  pickPatientZero(exceptId = null) {
+    const players = this.activePlayers();
+    const candidates = players.filter((player) => player.id !== exceptId);
+    const pool = candidates.length > 0 ? candidates : players;
+    if (pool.length === 0) return;
+    const patientZero = pool[Math.floor(Math.random() * pool.length)];
+    this.infected.add(patientZero.id);
+    console.log(`🦠 ${this.server.getPlayerName(patientZero.id)} starts infected`);
+  }
+
+  onCarContact(playerA, playerB) {
+    const aInfected = this.infected.has(playerA.id);
+    const bInfected = this.infected.has(playerB.id);
+    if (aInfected === bInfected) return;
+    const [tagger, target] = aInfected ? [playerA, playerB] : [playerB, playerA];
+    if (tagger.eliminated || target.eliminated) return;
+
+    const now = this.server.serverTickMs;
+    if ((this.immuneUntil.get(target.id) || 0) > now) return;
+
+    this.infected.add(target.id);
+    if (!this.spreads) {
+      this.infected.delete(tagger.id);
+      this.immuneUntil.set(tagger.id, now + TAG_BACK_IMMUNITY_MS);
+    }
+    this.lastTag = {
+      by: this.server.getPlayerName(tagger.id),
+      byId: tagger.id,
+      to: this.server.getPlayerName(target.id),
+      toId: target.id,
+    };
+    console.log(`🦠 ${this.lastTag.by} tagged ${this.lastTag.to}`);
+    this.server.broadcastHud();
+  }
+
+  onTick(deltaTime) {
+    const players = this.activePlayers();
+    if (players.length === 0) return;
+    let changed = false;
+
+    // "It" left or dropped: somebody else has to be it
+    if (!players.some((player) => this.infected.has(player.id))) {
+      this.pickPatientZero();
+      changed = true;
+    }
+
+    // Everybody caught: cure them all and start over with a new patient zero
+    if (this.spreads && players.length > 1 && players.every((player) => this.infected.has(player.id))) {
+      const lastCaught = this.lastTag?.toId;
+      this.infected.clear();
+      this.round += 1;
+      console.log(`🦠 Everyone is infected, round ${this.round}`);
+      this.pickPatientZero(lastCaught);
+      changed = true;
+    }
+
+    players.forEach((player) => {
+      if (player.eliminated || this.infected.has(player.id)) return;
+      const before = this.points.get(player.id) || 0;
+      const after = before + deltaTime;
+      this.points.set(player.id, after);
+      const gained = Math.floor(after) - Math.floor(before);
+      if (gained > 0) {
+        this.server.addScore(player.team, gained, { log: false });
+        changed = true;
+      }
+    });
+
+    if (changed) this.server.broadcastHud();
+  }
+
+  // Free-for-all: use the map's "any" spawns (or every team spawn), as far from other cars as possible
+  getSpawnPoint(player) {
+    const spawnPoints = this.server.mapData?.spawnPoints || {};
+    const pool = spawnPoints.any?.length
+      ? spawnPoints.any
+      : [...(spawnPoints.red || []), ...(spawnPoints.blue || [])];
+    if (pool.length === 0) return null;
+
+    const others = this.server.playerManager.getAllPlayers()
+      .filter((other) => other.id !== player.id && !other.eliminated)
+      .map((other) => other.car.getPosition());
+    if (others.length === 0) return pool[Math.floor(Math.random() * pool.length)];
+
+    let best = pool[0];
+    let bestDistance = -1;
+    pool.forEach((spawn) => {
+      const nearest = Math.min(...others.map((pos) =>
+        Math.hypot(pos.x - spawn.position[0], pos.z - spawn.position[2])));
+      if (nearest > bestDistance) {
+        best = spawn;
+        bestDistance = nearest;
+      }
+    });
+    return best;
+  }
+
+  // Teams only add up survival points here, and switching would put the car at a fresh spawn
+  canSwitchTeam() {
+    return false;
+  }
+
+  // A rebalance still moves cars between teams; infection and points stay with the car
+  onPlayerTeamChanged() {}
+
+  onPlayerRemoved(playerId) {
+    this.infected.delete(playerId);
+    this.points.delete(playerId);
+    this.immuneUntil.delete(playerId);
+  }
+
+  // "It" chases the nearest healthy car; everyone else drives away from the nearest infected one
+  getBotTarget(player) {
+    if (this.infected.has(player.id)) {
+      return this.nearestCar(player, (other) => !this.infected.has(other.id));
+    }
+    const threat = this.nearestCar(player, (other) => this.infected.has(other.id));
+    if (!threat) return null;
+    const position = player.car.getPosition();
+    const awayX = position.x - threat.x;
+    const awayZ = position.z - threat.z;
+    const length = Math.hypot(awayX, awayZ) || 1;
+    return {
+      x: position.x + (awayX / length) * FLEE_DISTANCE,
+      y: position.y,
+      z: position.z + (awayZ / length) * FLEE_DISTANCE,
+    };
+  }
+
+  decoratePlayerState(player, state) {
+    state.infected = this.infected.has(player.id);
+  }
+
+  getStandings() {
+    return this.server.playerManager.getAllPlayers()
+      .map((player) => ({
+        playerId: player.id,
+        name: this.server.getPlayerName(player.id),
+        team: player.team,
+        points: Math.floor(this.points.get(player.id) || 0),
+        infected: this.infected.has(player.id),
+      }))
+      .sort((a, b) => b.points - a.points)
+      .map((entry, index) => ({ ...entry, position: index + 1 }));
+  }
+
+  getHudState() {
+    return {
+      spreads: this.spreads,
+      target: this.server.settings.survivalTarget,
+      round: this.round,
+      lastTag: this.lastTag,
+      standings: this.getStandings(),
+    };
+  }
+
+  // First car to the survival target wins for its team; in sudden death any team lead wins
+  checkWin() {
+    const { scores, settings, clock } = this.server;
+    const leader = this.getStandings()[0];
+    if (leader && leader.points >= settings.survivalTarget) return leader.team;
+    if (clock?.phase === 'suddenDeath' && scores.red !== scores.blue) {
+      return scores.red > scores.blue ? 'red' : 'blue';
+    }
+    return null;
+  }
+
+  getResults() {
+    return {
+      type: 'infection',
+      standings: this.getStandings(),
+    };
+  }
+}
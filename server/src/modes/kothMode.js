@@ -0,0 +1,95 @@
+import { GameMode } from './gameMode.js';
+import { insideVolume } from './volumes.js';
+
+// King of the hill: maps declare "hills" volumes. A team alone on a hill earns a point per
+// second it holds it; a hill with both teams on it is contested and scores for nobody.
+export class KothMode extends GameMode {
+  static id = 'koth';
+  static label = 'King of the Hill';
+
+  static supportsMap(mapData) {
+    return mapData.hills?.length > 0;
+  }
+
+  constructor(server) {
+    super(server);
+    this.hills = [];
+    this.held = { red: 0, blue: 0 }; // seconds held, fractional; scores are the whole seconds
+  }
+
+  onStart() {
+    const hills = this.server.mapData?.hills || [];
+    if (hills.length === 0) {
+      console.log('⚠️ Map has no hills, nobody can score in King of the Hill');
+    }
+    this.hills = hills.map((volume) => ({ volume, holder: null, contested: false, cars: { red: 0, blue: 0 } }));
+    this.held = { red: 0, blue: 0 };
+    this.server.broadcastHud();
+  }
+
+  onTick(deltaTime) {
+    let changed = false;
+    const players = this.server.playerManager.getAllPlayers()
+      .filter((player) => !player.eliminated && !player.disconnected);
+
+    this.hills.forEach((hill) => {
+      const cars = { red: 0, blue: 0 };
+      players.forEach((player) => {
+        if (insideVolume(player.car.getPosition(), hill.volume)) cars[player.team]++;
+      });
+      const contested = cars.red > 0 && cars.blue > 0;
+      const holder = contested ? null : cars.red > 0 ? 'red' : cars.blue > 0 ? 'blue' : null;
+      if (holder !== hill.holder || contested !== hill.contested ||
+          cars.red !== hill.cars.red || cars.blue !== hill.cars.blue) {
+        changed = true;
+      }
+      Object.assign(hill, { holder, contested, cars });
+
+      if (holder) {
+        this.held[holder] += deltaTime;
+        const whole = Math.floor(this.held[holder]);
+        if (whole > this.server.scores[holder]) {
+          this.server.addScore(holder, whole - this.server.scores[holder], { log: false });
+          changed = true;
+        }
+      }
+    });
+
+    if (changed) this.server.broadcastHud();
+  }
+
+  // Nearest hill our team doesn't already hold on its own
+  getBotTarget(player) {
+    const from = player.car.getPosition();
+    const candidates = this.hills.filter((hill) => hill.holder !== player.team);
+    let best = null;
+    let bestDistance = Infinity;
+    (candidates.length > 0 ? candidates : this.hills).forEach(({ volume }) => {
+      const distance = Math.hypot(volume.position[0] - from.x, volume.position[2] - from.z);
+      if (distance < bestDistance) {
+        best = { x: volume.position[0], y: volume.position[1], z: volume.position[2] };
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  getHudState() {
+    return {
+      target: this.server.settings.hillTarget,
+      points: { ...this.server.scores },
+      hills: this.hills.map(({ holder, contested, cars }) => ({ holder, contested, cars })),
+    };
+  }
+
+  // First to the target; in sudden death any lead wins
+  checkWin() {
+    const { scores, settings, clock } = this.server;
+    const winner = ['red', 'blue'].find((team) => scores[team] >= settings.hillTarget);
+    if (winner) return winner;
+    if (clock?.phase === 'suddenDeath' && scores.red !== scores.blue) {
+      return scores.red > scores.blue ? 'red' : 'blue';
+    }
+    return null;
+  }
+}
@@ -0,0 +1,240 @@
+import { GameMode } from './gameMode.js';
+import { insideVolume } from './volumes.js';
+
+// Once the winner is in, everyone else has this long to finish
+const FINISH_GRACE_MS = 30000;
+// Standings are pushed to the HUD this often (server ticks)
+const STANDINGS_EVERY_TICKS = 30;
+
+// Race: maps define ordered "checkpoints" and a "startLine" (start/finish). A lap only counts
+// when every checkpoint was passed in order. Each lap a car completes scores a point for its
+// team; the team of the first car to finish all laps wins.
+export class RaceMode extends GameMode {
+  static id = 'race';
+  static label = 'Race';
+
+  static supportsMap(mapData) {
+    return !!mapData.startLine && mapData.checkpoints?.length > 0;
+  }
+
+  constructor(server) {
+    super(server);
+    this.checkpoints = [];
+    this.startLine = null;
+    this.startedAt = 0; // server tick time the race started
+    this.progress = new Map(); // playerId -> lap, next checkpoint, split and lap times
+    this.finishOrder = []; // playerIds in the order they finished
+    this.firstFinishAt = null;
+    this.finished = false;
+  }
+
+  onStart() {
+    const mapData = this.server.mapData || {};
+    this.checkpoints = mapData.checkpoints || [];
+    this.startLine = mapData.startLine || null;
+    if (!this.startLine) {
+      console.log('⚠️ Map has no startLine, race laps cannot be counted');
+    }
+    this.startedAt = this.server.serverTickMs;
+    this.server.playerManager.getAllPlayers().forEach((player) => this.getProgress(player.id));
+    this.server.broadcastHud();
+  }
+
+  getProgress(playerId) {
+    if (!this.progress.has(playerId)) {
+      this.progress.set(playerId, {
+        lap: 0, // completed laps
+        nextCheckpoint: 0,
+        lapStartedAt: this.startedAt,
+        splits: [], // time into the current lap at each checkpoint
+        lapTimes: [],
+        bestLap: null,
+        finishTime: null, // total race time once all laps are done
+        onStartLine: true, // must leave the start line before crossing it counts
+      });
+    }
+    return this.progress.get(playerId);
+  }
+
+  // Next checkpoint, or the start line once they're all passed
+  getBotTarget(player) {
+    const progress = this.progress.get(player.id);
+    if (!progress || progress.finishTime != null) return null;
+    const volume = this.checkpoints[progress.nextCheckpoint] || this.startLine;
+    return volume ? { x: volume.position[0], y: volume.position[1], z: volume.position[2] } : null;
+  }
+
+  onTick() {
+    if (this.finished) return;
+    this.server.playerManager.getAllPlayers().forEach((player) => {
+      if (player.eliminated || player.disconnected) return;
+      this.updateProgress(player);
+    });
+
+    const now = this.server.serverTickMs;
+    if (this.firstFinishAt != null && (now - this.firstFinishAt >= FINISH_GRACE_MS || this.everyoneFinished())) {
+      this.finished = true;
+      console.log(`🏁 Race over in room ${this.server.roomId}`);
+    }
+    if (this.server.serverTick % STANDINGS_EVERY_TICKS === 0 || this.finished) {
+      this.server.broadcastHud();
+    }
+  }
+
+  updateProgress(player) {
+    const progress = this.getProgress(player.id);
+    if (progress.finishTime != null) return;
+    const position = player.car.getPosition();
+    const now = this.server.serverTickMs;
+
+    const checkpoint = this.checkpoints[progress.nextCheckpoint];
+    if (checkpoint && insideVolume(position, checkpoint)) {
+      const split = now - progress.lapStartedAt;
+      progress.splits.push(split);
+      progress.nextCheckpoint += 1;
+      this.server.emitToPlayer(player.id, 'raceProgress', {
+        checkpoint: progress.nextCheckpoint,
+        checkpoints: this.checkpoints.length,
+        split,
+        lap: progress.lap + 1,
+      });
+    }
+
+    if (!this.startLine) return;
+    const onStartLine = insideVolume(position, this.startLine);
+    const crossed = onStartLine && !progress.onStartLine;
+    progress.onStartLine = onStartLine;
+    if (!crossed) return;
+
+    // Rolling over the line at the start (or backwards) is not a lap
+    if (progress.nextCheckpoint === 0 && this.checkpoints.length > 0) return;
+    if (progress.nextCheckpoint < this.checkpoints.length) {
+      this.server.emitToPlayer(player.id, 'raceProgress', {
+        missedCheckpoint: progress.nextCheckpoint + 1,
+        checkpoints: this.checkpoints.length,
+      });
+      return;
+    }
+    this.completeLap(player, progress, now);
+  }
+
+  completeLap(player, progress, now) {
+    const lapTime = now - progress.lapStartedAt;
+    progress.lap += 1;
+    progress.lapTimes.push(lapTime);
+    progress.bestLap = progress.bestLap == null ? lapTime : Math.min(progress.bestLap, lapTime);
+    progress.nextCheckpoint = 0;
+    progress.splits = [];
+    progress.lapStartedAt = now;
+    this.server.addScore(player.team);
+
+    const name = this.server.getPlayerName(player.id);
+    if (progress.lap >= this.server.settings.laps) {
+      progress.finishTime = now - this.startedAt;
+      this.finishOrder.push(player.id);
+      if (this.firstFinishAt == null) this.firstFinishAt = now;
+      console.log(`🏁 ${name} finished P${this.finishOrder.length} in ${progress.finishTime}ms`);
+    } else {
+      console.log(`⏱️ ${name} lap ${progress.lap}: ${lapTime}ms`);
+    }
+    this.server.emitToPlayer(player.id, 'raceProgress', {
+      lapCompleted: progress.lap,
+      laps: this.server.settings.laps,
+      lapTime,
+      bestLap: progress.bestLap,
+      finished: progress.finishTime != null,
+      position: progress.finishTime != null ? this.finishOrder.length : null,
+    });
+    this.server.broadcastHud();
+  }
+
+  everyoneFinished() {
+    return this.server.playerManager.getAllPlayers()
+      .every((player) => player.disconnected || this.getProgress(player.id).finishTime != null);
+  }
+
+  // Race order: finishers first, then by laps, checkpoints and distance to the next checkpoint
+  getStandings() {
+    const standings = this.server.playerManager.getAllPlayers().map((player) => {
+      const progress = this.getProgress(player.id);
+      const target = this.checkpoints[progress.nextCheckpoint] || this.startLine;
+      let distance = 0;
+      if (target) {
+        const position = player.car.getPosition();
+        distance = Math.hypot(position.x - target.position[0], position.z - target.position[2]);
+      }
+      return {
+        playerId: player.id,
+        name: this.server.getPlayerName(player.id),
+        team: player.team,
+        lap: progress.lap,
+        checkpoint: progress.nextCheckpoint,
+        bestLap: progress.bestLap,
+        finishTime: progress.finishTime,
+        finishPosition: progress.finishTime != null ? this.finishOrder.indexOf(player.id) + 1 : null,
+        distance,
+      };
+    });
+    standings.sort((a, b) => {
+      if (a.finishPosition || b.finishPosition) {
+        return (a.finishPosition || Infinity) - (b.finishPosition || Infinity);
+      }
+      return b.lap - a.lap || b.checkpoint - a.checkpoint || a.distance - b.distance;
+    });
+    return standings.map(({ distance, ...entry }, index) => ({ ...entry, position: index + 1 }));
+  }
+
+  // Put fallen or flipped cars back at the last checkpoint they passed, facing the next one
+  getSpawnPoint(player) {
+    const progress = this.progress.get(player.id);
+    if (!progress || progress.nextCheckpoint === 0) return null;
+    const from = this.checkpoints[progress.nextCheckpoint - 1];
+    const to = this.checkpoints[progress.nextCheckpoint] || this.startLine;
+    if (!from) return null;
+    let yaw = from.rotation?.[1] || 0;
+    if (to) {
+      // Car forward is -Z rotated by yaw
+      yaw = Math.atan2(-(to.position[0] - from.position[0]), -(to.position[2] - from.position[2]));
+    }
+    return { position: [...from.position], rotation: [0, yaw, 0] };
+  }
+
+  // A racer who changes teams keeps laps, splits and finish position
+  onPlayerTeamChanged() {}
+
+  onPlayerRemoved(playerId) {
+    this.progress.delete(playerId);
+    this.finishOrder = this.finishOrder.filter((id) => id !== playerId);
+  }
+
+  getHudState() {
+    return {
+      laps: this.server.settings.laps,
+      checkpoints: this.checkpoints.length,
+      standings: this.getStandings(),
+    };
+  }
+
+  // Team of the first car home once the race is over; in sudden death any lead in laps wins
+  checkWin() {
+    const { scores, clock } = this.server;
+    if (this.finished) {
+      const winner = this.server.playerManager.getPlayer(this.finishOrder[0]);
+      if (winner) return winner.team;
+      // Every finisher left before the race was over: most laps wins
+      if (scores.red === scores.blue) return 'none';
+      return scores.red > scores.blue ? 'red' : 'blue';
+    }
+    if (clock?.phase === 'suddenDeath' && scores.red !== scores.blue) {
+      return scores.red > scores.blue ? 'red' : 'blue';
+    }
+    return null;
+  }
+
+  getResults() {
+    return {
+      type: 'race',
+      standings: this.getStandings(),
+    };
+  }
+}
@@ -0,0 +1,208 @@
+import { GameMode } from './gameMode.js';
+import { insideVolume } from './volumes.js';
+import { BALL, PHYSICS } from '../../../shared/constants.js';
+
+// Time between a goal and the kickoff that follows it
+const GOAL_CELEBRATION_MS = 2500;
+
+// Car soccer: maps declare "goals" (the volume each team defends) and a "ball" kickoff spot.
+// The server simulates the ball as a dynamic body and sends it with every snapshot.
+export class SoccerMode extends GameMode {
+  static id = 'soccer';
+  static label = 'Car Soccer';
+
+  static supportsMap(mapData) {
+    return !!(mapData.goals?.red && mapData.goals?.blue);
+  }
+
+  constructor(server) {
+    super(server);
+    this.ballBody = null;
+    this.kickoff = [0, 3, 0];
+    this.goals = {};
+    this.phase = 'playing'; // 'playing' | 'goal'
+    this.kickoffAt = 0;
+    this.lastGoal = null; // { team, scorer, ownGoal }
+  }
+
+  onStart() {
+    const mapData = this.server.mapData || {};
+    this.goals = mapData.goals || {};
+    if (!this.goals.red || !this.goals.blue) {
+      console.log('⚠️ Map has no goals for both teams, nobody can score in soccer');
+    }
+    this.kickoff = mapData.ball?.position || [0, 3, 0];
+    this.createBall();
+    this.phase = 'playing';
+    this.server.broadcastHud();
+  }
+
+  createBall() {
+    const RAPIER = this.server.physicsWorld.getRAPIER();
+    const world = this.server.physicsWorld.getWorld();
+    if (!world) return;
+    this.removeBall();
+
+    const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
+      .setTranslation(this.kickoff[0], this.kickoff[1], this.kickoff[2])
+      .setLinearDamping(BALL.LINEAR_DAMPING)
+      .setAngularDamping(BALL.ANGULAR_DAMPING)
+      .setCcdEnabled(true); // fast shots shouldn't tunnel through the goal walls
+    this.ballBody = world.createRigidBody(bodyDesc);
+    const colliderDesc = RAPIER.ColliderDesc.ball(BALL.RADIUS)
+      .setMass(BALL.MASS)
+      .setFriction(BALL.FRICTION)
+      .setRestitution(BALL.RESTITUTION);
+    world.createCollider(colliderDesc, this.ballBody);
+    console.log('⚽ Ball placed at', this.kickoff);
+  }
+
+  removeBall() {
+    const world = this.server.physicsWorld.getWorld();
+    if (this.ballBody && world) {
+      world.removeRigidBody(this.ballBody);
+    }
+    this.ballBody = null;
+  }
+
+  resetBall() {
+    if (!this.ballBody) return;
+    this.ballBody.setTranslation({ x: this.kickoff[0], y: this.kickoff[1], z: this.kickoff[2] }, true);
+    this.ballBody.setRotation({ x: 0, y: 0, z: 0, w: 1 }, true);
+    this.ballBody.setLinvel({ x: 0, y: 0, z: 0 }, true);
+    this.ballBody.setAngvel({ x: 0, y: 0, z: 0 }, true);
+  }
+
+  onTick() {
+    if (!this.ballBody) return;
+    const now = this.server.serverTickMs;
+
+    if (this.phase === 'goal') {
+      if (now >= this.kickoffAt && !this.server.pendingWinner) {
+        this.startKickoff();
+      }
+      return;
+    }
+
+    const position = this.ballBody.translation();
+    if (position.y < PHYSICS.DEATH_THRESHOLD) {
+      console.log('⚽ Ball left the field, back to kickoff');
+      this.resetBall();
+      return;
+    }
+
+    // A ball in red's goal is a point for blue, and the other way around
+    ['red', 'blue'].forEach((defending) => {
+      const goal = this.goals[defending];
+      if (this.phase !== 'playing' || !goal || !insideVolume(position, goal)) return;
+      this.scoreGoal(defending === 'red' ? 'blue' : 'red', position);
+    });
+  }
+
+  scoreGoal(team, ballPosition) {
+    const scorer = this.findNearestPlayer(ballPosition);
+    this.phase = 'goal';
+    this.kickoffAt = this.server.serverTickMs + GOAL_CELEBRATION_MS;
+    this.lastGoal = {
+      team,
+      scorer: scorer ? this.server.getPlayerName(scorer.id) : null,
+      ownGoal: !!scorer && scorer.team !== team,
+    };
+    console.log(`⚽ GOAL for ${team}${scorer ? ` (${this.lastGoal.scorer})` : ''}`);
+    this.server.addScore(team);
+    this.server.broadcastHud();
+  }
+
+  // Whoever is closest to the ball when it goes in gets the credit
+  findNearestPlayer(position) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    this.server.playerManager.getAllPlayers().forEach((player) => {
+      if (player.eliminated) return;
+      const carPosition = player.car.getPosition();
+      const distance = Math.hypot(carPosition.x - position.x, carPosition.y - position.y, carPosition.z - position.z);
+      if (distance < nearestDistance) {
+        nearest = player;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  // Ball to the centre spot, every car back to its own half
+  startKickoff() {
+    this.resetBall();
+    const { playerManager, mapData } = this.server;
+    const spawnIndex = { red: 0, blue: 0 };
+    playerManager.getAllPlayers().forEach((player) => {
+      const respawnData = playerManager.respawnPlayer(player.id, mapData, spawnIndex[player.team]++);
+      if (respawnData?.respawned) {
+        this.server.broadcast('spawn', {
+          playerId: player.id,
+          name: this.server.getPlayerName(player.id),
+          team: respawnData.team,
+          position: respawnData.position,
+          rotation: respawnData.rotation,
+        });
+      }
+    });
+    this.phase = 'playing';
+    this.server.broadcastHud();
+  }
+
+  // Line up behind the ball (seen from the goal we attack), then drive through it
+  getBotTarget(player) {
+    if (!this.ballBody || this.phase !== 'playing') return null;
+    const ball = this.ballBody.translation();
+    const goal = this.goals[player.team === 'red' ? 'blue' : 'red'];
+    if (!goal) return { x: ball.x, y: ball.y, z: ball.z };
+
+    const toGoalX = goal.position[0] - ball.x;
+    const toGoalZ = goal.position[2] - ball.z;
+    const toGoalLength = Math.hypot(toGoalX, toGoalZ) || 1;
+    const car = player.car.getPosition();
+    const toBallX = ball.x - car.x;
+    const toBallZ = ball.z - car.z;
+    const toBallLength = Math.hypot(toBallX, toBallZ) || 1;
+    const linedUp = (toBallX * toGoalX + toBallZ * toGoalZ) / (toBallLength * toGoalLength) > 0.7;
+    if (linedUp) return { x: ball.x, y: ball.y, z: ball.z };
+    return {
+      x: ball.x - (toGoalX / toGoalLength) * BALL.RADIUS * 4,
+      y: ball.y,
+      z: ball.z - (toGoalZ / toGoalLength) * BALL.RADIUS * 4,
+    };
+  }
+
+  decorateSnapshot(snapshot) {
+    if (!this.ballBody) return;
+    const position = this.ballBody.translation();
+    const rotation = this.ballBody.rotation();
+    snapshot._ball = {
+      position: [position.x, position.y, position.z],
+      rotation: [rotation.x, rotation.y, rotation.z, rotation.w],
+    };
+  }
+
+  getHudState() {
+    return {
+      goalsToWin: this.server.settings.goalsToWin,
+      phase: this.phase,
+      lastGoal: this.lastGoal,
+    };
+  }
+
+  // First to the goal target; in sudden death the next goal wins
+  checkWin() {
+    const { scores, settings, clock } = this.server;
+    const winner = ['red', 'blue'].find((team) => scores[team] >= settings.goalsToWin);
+    if (winner) return winner;
+    if (clock?.phase === 'suddenDeath' && scores.red !== scores.blue) {
+      return scores.red > scores.blue ? 'red' : 'blue';
+    }
+    return null;
+  }
+
+  onEnd() {
+    this.removeBall();
+  }
+}
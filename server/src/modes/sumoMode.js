@@ -0,0 +1,200 @@
+import { GameMode } from './gameMode.js';
+
+// Pause between the end of one round and the next kickoff
+const ROUND_BREAK_MS = 3000;
+
+// Knockout / sumo: push the other team off the platform. Knocked-out cars stay out until the
+// round ends; the last team with cars standing wins the round, and the match is best-of-N rounds.
+// Optionally the arena shrinks by dropping its outermost blocks.
+export class SumoMode extends GameMode {
+  static id = 'sumo';
+  static label = 'Sumo';
+
+  constructor(server) {
+    super(server);
+    this.round = 0;
+    this.phase = 'fighting'; // 'fighting' | 'intermission'
+    this.roundWinner = null; // team that took the last round, null for a draw
+    this.intermissionEndsAt = 0;
+    this.nextShrinkAt = null;
+    this.removedBlocks = []; // indices into mapData.blocks dropped this round
+    this.arenaCenter = null;
+    this.alive = { red: 0, blue: 0 };
+  }
+
+  get roundsToWin() {
+    return Math.floor(this.server.settings.rounds / 2) + 1;
+  }
+
+  onStart() {
+    this.arenaCenter = this.getArenaCenter();
+    this.round = 1;
+    this.startRound();
+  }
+
+  startRound() {
+    this.phase = 'fighting';
+    this.restoreArena();
+    const interval = this.server.settings.shrinkInterval;
+    this.nextShrinkAt = interval > 0 ? this.server.serverTickMs + interval * 1000 : null;
+    this.alive = this.countAlive();
+    console.log(`🥊 Room ${this.server.roomId}: round ${this.round}`);
+    this.server.broadcastHud();
+  }
+
+  // Everyone back on the platform, spread over their team's spawn points
+  respawnAll() {
+    const { playerManager, mapData } = this.server;
+    const spawnIndex = { red: 0, blue: 0 };
+    playerManager.getAllPlayers().forEach((player) => {
+      const respawnData = playerManager.respawnPlayer(player.id, mapData, spawnIndex[player.team]++);
+      if (respawnData?.respawned) {
+        this.server.broadcast('spawn', {
+          playerId: player.id,
+          name: this.server.getPlayerName(player.id),
+          team: respawnData.team,
+          position: respawnData.position,
+          rotation: respawnData.rotation,
+        });
+      }
+    });
+  }
+
+  onTick() {
+    const now = this.server.serverTickMs;
+    if (this.phase === 'intermission') {
+      // The server ends the match itself once someone has enough rounds
+      if (now >= this.intermissionEndsAt && !this.server.pendingWinner) {
+        this.round += 1;
+        this.respawnAll();
+        this.startRound();
+      }
+      return;
+    }
+
+    if (this.nextShrinkAt != null && now >= this.nextShrinkAt) {
+      this.nextShrinkAt = now + this.server.settings.shrinkInterval * 1000;
+      this.shrinkArena();
+    }
+
+    const alive = this.countAlive();
+    if (alive.red !== this.alive.red || alive.blue !== this.alive.blue) {
+      this.alive = alive;
+      this.server.broadcastHud();
+    }
+    this.checkRoundOver();
+  }
+
+  // Connected cars still on the platform, per team
+  countAlive() {
+    const alive = { red: 0, blue: 0 };
+    this.server.playerManager.getAllPlayers().forEach((player) => {
+      if (!player.eliminated && !player.disconnected) alive[player.team]++;
+    });
+    return alive;
+  }
+
+  checkRoundOver() {
+    const teams = { red: 0, blue: 0 };
+    this.server.playerManager.getAllPlayers().forEach((player) => {
+      if (!player.disconnected) teams[player.team]++;
+    });
+    // Nobody to fight: wait for the other side to (re)join
+    if (teams.red === 0 || teams.blue === 0) return;
+
+    const { red, blue } = this.alive;
+    if (red > 0 && blue > 0) return;
+    this.endRound(red > 0 ? 'red' : blue > 0 ? 'blue' : null);
+  }
+
+  endRound(winner) {
+    this.phase = 'intermission';
+    this.roundWinner = winner;
+    this.intermissionEndsAt = this.server.serverTickMs + ROUND_BREAK_MS;
+    console.log(`🥊 Round ${this.round} ${winner ? `won by ${winner}` : 'drawn'}`);
+    if (winner) {
+      this.server.addScore(winner);
+    }
+    this.server.broadcastHud();
+  }
+
+  // Knocked out means out until the next round
+  onPlayerEliminated(player) {
+    player.respawnTime = 0;
+  }
+
+  canRespawn() {
+    return false;
+  }
+
+  // Middle of the platform blocks; blocks covering it are never dropped
+  getArenaCenter() {
+    const blocks = this.server.mapData?.blocks || [];
+    if (blocks.length === 0) return { x: 0, z: 0 };
+    const sum = blocks.reduce((acc, block) => {
+      acc.x += block.position[0];
+      acc.z += block.position[2];
+      return acc;
+    }, { x: 0, z: 0 });
+    return { x: sum.x / blocks.length, z: sum.z / blocks.length };
+  }
+
+  // Drop the remaining block farthest from the middle (always leaves at least one)
+  shrinkArena() {
+    const blocks = this.server.mapData?.blocks || [];
+    const { x, z } = this.arenaCenter;
+    let farthest = null;
+    let farthestDistance = -1;
+    let remaining = 0;
+    blocks.forEach((block, index) => {
+      if (this.removedBlocks.includes(index)) return;
+      remaining++;
+      const coversCenter = Math.abs(block.position[0] - x) <= block.size[0] / 2 &&
+        Math.abs(block.position[2] - z) <= block.size[2] / 2;
+      if (coversCenter) return;
+      const distance = Math.hypot(block.position[0] - x, block.position[2] - z);
+      if (distance > farthestDistance) {
+        farthest = index;
+        farthestDistance = distance;
+      }
+    });
+    if (farthest == null || remaining <= 1) return;
+
+    this.removedBlocks.push(farthest);
+    this.server.setMapBlockEnabled(farthest, false);
+    console.log(`🧱 Arena shrinks: block ${farthest} dropped`);
+    this.server.broadcastHud();
+  }
+
+  restoreArena() {
+    this.removedBlocks.forEach((index) => this.server.setMapBlockEnabled(index, true));
+    this.removedBlocks = [];
+  }
+
+  getHudState() {
+    return {
+      round: this.round,
+      rounds: this.server.settings.rounds,
+      phase: this.phase,
+      roundWinner: this.roundWinner,
+      alive: this.alive,
+      removedBlocks: this.removedBlocks,
+      respawns: false,
+    };
+  }
+
+  // First to win the majority of rounds; in sudden death any lead wins
+  checkWin() {
+    const { scores, clock } = this.server;
+    const winner = ['red', 'blue'].find((team) => scores[team] >= this.roundsToWin);
+    if (winner) return winner;
+    if (clock?.phase === 'suddenDeath' && scores.red !== scores.blue) {
+      return scores.red > scores.blue ? 'red' : 'blue';
+    }
+    return null;
+  }
+
+  onEnd() {
+    this.restoreArena();
+  }
+}
@@ -0,0 +1,17 @@
+// Map volumes ({ position, size, rotation? }) used by modes: race checkpoints, hill zones, ...
+
+// Is the point inside the volume? Only yaw (rotation[1]) is taken into account.
+export function insideVolume(point, volume) {
+  const dx = point.x - volume.position[0];
+  const dy = point.y - volume.position[1];
+  const dz = point.z - volume.position[2];
+  const yaw = volume.rotation?.[1] || 0;
+  const cos = Math.cos(yaw);
+  const sin = Math.sin(yaw);
+  // Rotate into the volume's local frame
+  const localX = dx * cos - dz * sin;
+  const localZ = dx * sin + dz * cos;
+  return Math.abs(localX) <= volume.size[0] / 2 &&
+    Math.abs(dy) <= volume.size[1] / 2 &&
+    Math.abs(localZ) <= volume.size[2] / 2;
+}
@@ -13,8 +13,9 @@ export class PhysicsWorld {
   constructor() {
     this.world = null;
     this.gravity = null;
-    this.accumulator = 0;
     this.rapierLoaded = false;
+    this.eventQueue = null;
+    this.collisionStarts = []; // [handle1, handle2] pairs that started touching since the last drain
   }
 
   async init() {
@@ -35,7 +36,8 @@ export class PhysicsWorld {
     this.world = new RAPIER.World(this.gravity);
     // Ensure the world uses our fixed timestep.
     this.world.timestep = PHYSICS.FIXED_TIMESTEP;
-    this.accumulator = 0;
+    // Collision events for colliders created with ActiveEvents.COLLISION_EVENTS (cars)
+    this.eventQueue = new RAPIER.EventQueue(true);
     this.rapierLoaded = true;
   }
 
@@ -43,18 +45,23 @@ export class PhysicsWorld {
     return RAPIER;
   }
 
-  update(deltaTime) {
+  // One fixed step; the room's tick loop calls this once per tick
+  step() {
     if (!this.rapierLoaded || !this.world) return;
-    
-    // Fixed timestep physics
-    this.accumulator += deltaTime;
 
-    while (this.accumulator >= PHYSICS.FIXED_TIMESTEP) {
-      // Keep timestep consistent even if something modified it.
-      this.world.timestep = PHYSICS.FIXED_TIMESTEP;
-      this.world.step();
-      this.accumulator -= PHYSICS.FIXED_TIMESTEP;
-    }
+    // Keep timestep consistent even if something modified it.
+    this.world.timestep = PHYSICS.FIXED_TIMESTEP;
+    this.world.step(this.eventQueue);
+    this.eventQueue.drainCollisionEvents((handle1, handle2, started) => {
+      if (started) this.collisionStarts.push([handle1, handle2]);
+    });
+  }
+
+  // Collider handle pairs that started touching since the last call
+  drainCollisionStarts() {
+    const starts = this.collisionStarts;
+    this.collisionStarts = [];
+    return starts;
   }
 
   getWorld() {
@@ -63,7 +70,13 @@ export class PhysicsWorld {
 
   destroy() {
     if (this.world) {
+      // Release the WASM-side world (rooms are created and torn down at runtime).
+      this.world.free?.();
       this.world = null;
     }
+    this.eventQueue?.free?.();
+    this.eventQueue = null;
+    this.collisionStarts = [];
+    this.rapierLoaded = false;
   }
 }
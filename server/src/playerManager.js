@@ -1,16 +1,24 @@
 import { Car } from './car.js';
-import { GAME, PHYSICS } from '../../shared/constants.js';
+import { GAME, NETWORK, PHYSICS } from '../../shared/constants.js';
+import { secondsToTicks } from './tickLoop.js';
 
 const DEATH_THRESHOLD = PHYSICS.DEATH_THRESHOLD;
 
 export class PlayerManager {
-  constructor(physicsWorld) {
+  constructor(physicsWorld, settings = { respawnDelay: GAME.RESPAWN_DELAY, invincibilityDuration: GAME.INVINCIBILITY_DURATION }) {
     this.physicsWorld = physicsWorld;
+    this.settings = settings; // GameServer's match settings (respawn timings)
     this.players = new Map(); // playerId -> Player
     this.teams = {
       red: [],
       blue: [],
     };
+    this.joinCounter = 0; // increasing; lets rebalancing pick the most recent joiner
+    // Set by GameServer so the game mode hears about eliminations and respawns
+    this.onPlayerEliminated = null;
+    this.onPlayerRespawned = null;
+    this.chooseSpawn = null; // (player) => { position, rotation } or null for a team spawn
+    this.getTick = () => 0; // number of the server tick being run
   }
 
   addPlayer(playerId, team, spawnPosition, spawnRotation) {
@@ -31,12 +39,25 @@ export class PlayerManager {
       car,
       hasFlag: false,
       eliminated: false,
-      invincibleUntil: 0,
-      respawnTime: 0,
+      disconnected: false, // Socket dropped; car held for reconnect
+      captures: 0, // Flags this player brought home
+      invincibleUntil: 0, // tick the spawn protection ends on
+      respawnTime: 0, // tick a knocked-out car comes back on; 0 when none is due
+      nextRespawnRequestAt: 0, // tick the "back to spawn" button works again
+      joinOrder: ++this.joinCounter,
+      bot: null, // BotDriver for server-driven cars; null for players
+      // Sequenced inputs from a predicting client, each scheduled for its own tick (see queueInput)
+      inputQueue: [],
+      lastQueuedSeq: 0,
+      lastInputSeq: 0, // newest input applied to the car, echoed to the client
+      lastInputTick: 0, // tick it was applied on
     };
     
     this.players.set(playerId, player);
-    this.teams[team].push(playerId);
+    // assignTeams() may already have listed this player
+    if (!this.teams[team].includes(playerId)) {
+      this.teams[team].push(playerId);
+    }
     
     return player;
   }
@@ -63,30 +84,135 @@ export class PlayerManager {
     return Array.from(this.players.values());
   }
 
-  assignTeams(playerIds) {
-    // Randomly and evenly assign players to teams
+  // An input received after tick `tick` is scheduled for the next tick nothing else is
+  // scheduled for: one input per tick, in the order the client simulated them. Inputs
+  // arriving faster than ticks wait their turn (up to NETWORK.INPUT_QUEUE, then the oldest go).
+  // Returns false for a repeated or out-of-date sequence number.
+  queueInput(player, input, tick) {
+    if (input.seq <= player.lastQueuedSeq) return false;
+    const lastScheduled = player.inputQueue.at(-1)?.applyAt ?? player.lastInputTick;
+    player.lastQueuedSeq = input.seq;
+    player.inputQueue.push({ ...input, applyAt: Math.max(tick + 1, lastScheduled + 1) });
+    if (player.inputQueue.length > NETWORK.INPUT_QUEUE) player.inputQueue.shift();
+    return true;
+  }
+
+  // Applies the input scheduled for this tick, if any; otherwise the car keeps driving with
+  // the last one
+  applyQueuedInput(player, tick) {
+    const input = player.inputQueue[0];
+    if (!input || input.applyAt > tick) return;
+    player.inputQueue.shift();
+    player.car.setInput(input.throttle, input.brake, input.steer);
+    player.lastInputSeq = input.seq;
+    player.lastInputTick = tick;
+  }
+
+  // A new connection numbers its inputs from 1 again
+  resetInputs(player) {
+    player.inputQueue = [];
+    player.lastQueuedSeq = 0;
+    player.lastInputSeq = 0;
+    player.lastInputTick = 0;
+  }
+
+  // Player whose car owns this Rapier collider, if any
+  getPlayerByColliderHandle(handle) {
+    for (const player of this.players.values()) {
+      if (player.car.collider?.handle === handle) return player;
+    }
+    return null;
+  }
+
+  // teamChoices: playerId -> 'red' | 'blue' in the order players picked. Without it (auto-balance)
+  // teams are shuffled. Players who didn't pick fill the smaller team, and if the picks alone are
+  // too lopsided the latest pickers get moved.
+  assignTeams(playerIds, teamChoices = null) {
     const shuffled = [...playerIds].sort(() => Math.random() - 0.5);
     this.teams.red = [];
     this.teams.blue = [];
-    
-    shuffled.forEach((playerId, index) => {
-      const team = index % 2 === 0 ? 'red' : 'blue';
+
+    if (!teamChoices) {
+      // Randomly and evenly assign players to teams
+      shuffled.forEach((playerId, index) => {
+        const team = index % 2 === 0 ? 'red' : 'blue';
+        this.teams[team].push(playerId);
+      });
+      return;
+    }
+
+    teamChoices.forEach((team, playerId) => {
+      if (playerIds.includes(playerId) && this.teams[team]) {
+        this.teams[team].push(playerId);
+      }
+    });
+    shuffled.forEach((playerId) => {
+      if (teamChoices.has(playerId)) return;
+      const team = this.teams.blue.length < this.teams.red.length ? 'blue' : 'red';
       this.teams[team].push(playerId);
     });
+    while (Math.abs(this.teams.red.length - this.teams.blue.length) > GAME.MAX_TEAM_IMBALANCE) {
+      const [bigger, smaller] = this.teams.red.length > this.teams.blue.length ? ['red', 'blue'] : ['blue', 'red'];
+      this.teams[smaller].push(this.teams[bigger].pop());
+    }
+  }
+
+  // Move a player (and their car) to the other team's roster
+  setPlayerTeam(playerId, team) {
+    ['red', 'blue'].forEach((t) => {
+      this.teams[t] = this.teams[t].filter((id) => id !== playerId);
+    });
+    this.teams[team].push(playerId);
+    const player = this.players.get(playerId);
+    if (player) player.team = team;
+  }
+
+  // When teams differ by more than the allowed imbalance, the most recent joiner of the bigger
+  // team should switch. Prefers bots, then connected players who aren't carrying a flag.
+  getRebalanceMove() {
+    const counts = this.getTeamCounts();
+    if (Math.abs(counts.red - counts.blue) <= GAME.MAX_TEAM_IMBALANCE) return null;
+    const [bigger, smaller] = counts.red > counts.blue ? ['red', 'blue'] : ['blue', 'red'];
+
+    const candidates = this.getAllPlayers()
+      .filter((player) => player.team === bigger)
+      .sort((a, b) => b.joinOrder - a.joinOrder);
+    const player = candidates.find((p) => p.bot && !p.hasFlag) ||
+      candidates.find((p) => !p.disconnected && !p.hasFlag) ||
+      candidates.find((p) => !p.disconnected) ||
+      candidates[0];
+    return player ? { playerId: player.id, team: smaller } : null;
   }
   
+  getTeamCounts() {
+    const counts = { red: 0, blue: 0 };
+    this.players.forEach((player) => {
+      counts[player.team]++;
+    });
+    return counts;
+  }
+
+  // Team with fewer cars on the field (red on a tie)
+  getSmallerTeam() {
+    const counts = this.getTeamCounts();
+    return counts.blue < counts.red ? 'blue' : 'red';
+  }
+
   getTeamForPlayer(playerId) {
     if (this.teams.red.includes(playerId)) return 'red';
     if (this.teams.blue.includes(playerId)) return 'blue';
     return null;
   }
 
-  update(deltaTime, mapData, io, playerSocketMap) {
-    const currentTime = Date.now();
-    
+  // tick: number of the server tick being run (inputs scheduled for it are applied, events carry it)
+  update(deltaTime, mapData, io, playerSocketMap, roomId, tick) {
     this.players.forEach((player) => {
+      // Bots pick their inputs the way a client would, then drive like everyone else
+      player.bot?.update(deltaTime);
+      this.applyQueuedInput(player, tick);
+
       // Update car physics
-      player.car.update(deltaTime);
+      player.car.update();
       
       // Check for elimination (falling)
       const position = player.car.getPosition();
@@ -98,22 +224,23 @@ export class PlayerManager {
           const socketId = playerSocketMap.get(player.id);
           if (socketId) {
             console.log(`💀 Server detected fall for player ${player.id}, emitting 'eliminated' to socket ${socketId}`);
-            io.to(socketId).emit('eliminated', {});
+            io.to(socketId).emit('eliminated', { tick });
           }
         }
       }
       
       // Handle respawn
-      if (player.eliminated && player.respawnTime > 0 && currentTime >= player.respawnTime) {
+      if (player.eliminated && player.respawnTime > 0 && tick >= player.respawnTime) {
         const respawnData = this.respawnPlayer(player.id, mapData);
         
-        // Broadcast respawn to all clients
+        // Broadcast respawn to all clients in this room
         if (respawnData && respawnData.respawned && io) {
-          io.emit('spawn', {
+          io.to(roomId).emit('spawn', {
             playerId: player.id,
             team: respawnData.team,
             position: respawnData.position,
             rotation: respawnData.rotation,
+            tick,
           });
           console.log(`📢 Player ${player.id} respawned`);
         }
@@ -126,7 +253,8 @@ export class PlayerManager {
     if (!player || player.eliminated) return;
     
     player.eliminated = true;
-    player.respawnTime = Date.now() + GAME.RESPAWN_DELAY * 1000;
+    player.respawnTime = this.getTick() + secondsToTicks(this.settings.respawnDelay);
+    this.onPlayerEliminated?.(player);
     
     // Drop flag if carrying
     if (player.hasFlag) {
@@ -137,20 +265,27 @@ export class PlayerManager {
     return { eliminated: true };
   }
 
-  respawnPlayer(playerId, mapData) {
+  // spawnIndex picks a specific spawn point (wrapping around); random otherwise
+  respawnPlayer(playerId, mapData, spawnIndex = null) {
     const player = this.players.get(playerId);
     if (!player) return;
     
-    // Get spawn point for player's team
-    const spawns = mapData.spawnPoints[player.team];
-    if (!spawns || spawns.length === 0) return;
-    
-    const spawn = spawns[Math.floor(Math.random() * spawns.length)];
+    // Mode-chosen spot (e.g. last race checkpoint), else a spawn point of the player's team
+    let spawn = spawnIndex == null ? this.chooseSpawn?.(player) : null;
+    if (!spawn) {
+      const spawns = mapData.spawnPoints[player.team];
+      if (!spawns || spawns.length === 0) return;
+      spawn = spawnIndex == null
+        ? spawns[Math.floor(Math.random() * spawns.length)]
+        : spawns[spawnIndex % spawns.length];
+    }
     
     // Respawn car
     player.car.respawn(spawn.position, spawn.rotation);
+    player.inputQueue = []; // meant for the car before it respawned
     player.eliminated = false;
-    player.invincibleUntil = Date.now() + GAME.INVINCIBILITY_DURATION * 1000;
+    player.invincibleUntil = this.getTick() + secondsToTicks(this.settings.invincibilityDuration);
+    this.onPlayerRespawned?.(player);
     
     return { 
       respawned: true,
@@ -172,7 +307,8 @@ export class PlayerManager {
         team: player.team, // Include team in state updates
         hasFlag: player.hasFlag,
         eliminated: player.eliminated,
-        invincible: Date.now() < player.invincibleUntil,
+        disconnected: player.disconnected,
+        invincible: this.getTick() < player.invincibleUntil,
       };
     });
     return states;
@@ -0,0 +1,120 @@
+import { GameServer } from './gameLogic.js';
+import { MapLoader } from './mapLoader.js';
+import { MapLibrary, DEFAULT_MAP_ID } from './mapLibrary.js';
+import { MapStore } from './mapStore.js';
+
+export const DEFAULT_ROOM_ID = 'default';
+const MAX_ROOMS = 20;
+const ROOM_ID_PATTERN = /^[a-zA-Z0-9_-]{1,32}$/;
+
+export class RoomManager {
+  constructor(io) {
+    this.io = io;
+    this.mapLoader = new MapLoader();
+    this.mapLibrary = new MapLibrary(this.mapLoader, new MapStore());
+    // Lobbies show the map list, so refresh them when maps are added
+    this.mapLibrary.onChange = () => {
+      this.rooms.forEach((gameServer) => {
+        if (gameServer.gameState === 'lobby') gameServer.broadcastGameState();
+      });
+    };
+    this.rooms = new Map(); // roomId -> GameServer
+    this.socketRooms = new Map(); // socketId -> roomId
+  }
+
+  // Room ids come from the client (handshake query), so only accept simple ids.
+  normalizeRoomId(roomId) {
+    if (typeof roomId !== 'string') return DEFAULT_ROOM_ID;
+    const trimmed = roomId.trim();
+    return ROOM_ID_PATTERN.test(trimmed) ? trimmed : DEFAULT_ROOM_ID;
+  }
+
+  getRoom(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  getRoomForSocket(socketId) {
+    const roomId = this.socketRooms.get(socketId);
+    return roomId ? this.getRoom(roomId) : null;
+  }
+
+  createRoom(roomId) {
+    const gameServer = new GameServer(this.io, roomId);
+    // A held car expiring may leave the room without anyone in it
+    gameServer.onSessionExpired = () => this.destroyRoomIfEmpty(roomId);
+    gameServer.mapLibrary = this.mapLibrary; // lets the host switch maps
+    this.rooms.set(roomId, gameServer);
+    console.log(`🏠 Room created: ${roomId} (rooms: ${this.rooms.size})`);
+
+    // Each room has its own physics world + map colliders.
+    (async () => {
+      try {
+        await gameServer.physicsWorld.init();
+        const mapData = this.mapLibrary.get(DEFAULT_MAP_ID)?.data || this.mapLoader.loadDefaultMap();
+        if (gameServer.destroyed) return;
+        gameServer.setMap(mapData);
+        console.log(`✅ Map loaded for room ${roomId}`);
+      } catch (error) {
+        console.error(`❌ Error initializing room ${roomId}:`, error);
+      }
+    })();
+
+    return gameServer;
+  }
+
+  // Put a socket into a room (creating the room on demand). Returns the room's GameServer,
+  // or null if the room can't be created.
+  joinRoom(socket, requestedRoomId) {
+    const roomId = this.normalizeRoomId(requestedRoomId);
+    let gameServer = this.getRoom(roomId);
+    if (!gameServer) {
+      if (this.rooms.size >= MAX_ROOMS) {
+        console.log(`⚠️ Room limit reached (${MAX_ROOMS}), rejecting room ${roomId}`);
+        return null;
+      }
+      gameServer = this.createRoom(roomId);
+    }
+
+    socket.join(roomId);
+    this.socketRooms.set(socket.id, roomId);
+    console.log(`🏠 Socket ${socket.id} joined room ${roomId}`);
+    return gameServer;
+  }
+
+  leaveRoom(socketId) {
+    const roomId = this.socketRooms.get(socketId);
+    if (!roomId) return;
+    this.socketRooms.delete(socketId);
+
+    const gameServer = this.getRoom(roomId);
+    if (!gameServer) return;
+    gameServer.handleDisconnection(socketId);
+    this.destroyRoomIfEmpty(roomId);
+  }
+
+  // Tear the room down once nobody is connected to it anymore
+  // (and nobody is still within their reconnect grace window).
+  destroyRoomIfEmpty(roomId) {
+    const gameServer = this.getRoom(roomId);
+    if (!gameServer) return;
+    const stillConnected = Array.from(this.socketRooms.values()).some((id) => id === roomId);
+    if (!stillConnected && !gameServer.hasHeldSessions()) {
+      this.destroyRoom(roomId);
+    }
+  }
+
+  destroyRoom(roomId) {
+    const gameServer = this.getRoom(roomId);
+    if (!gameServer) return;
+    gameServer.destroy();
+    this.rooms.delete(roomId);
+    console.log(`🧹 Room destroyed: ${roomId} (rooms: ${this.rooms.size})`);
+  }
+
+  listRooms() {
+    return Array.from(this.rooms.entries()).map(([roomId, gameServer]) => ({
+      roomId,
+      ...gameServer.getSummary(),
+    }));
+  }
+}
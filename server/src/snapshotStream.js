@@ -0,0 +1,55 @@
+import { NETWORK } from '../../shared/constants.js';
+import { encodeSnapshot, quantizeSnapshot } from '../../shared/snapshotCodec.js';
+
+// Per-room sender for the binary snapshots (see shared/snapshotCodec.js). Keeps the last
+// NETWORK.SNAPSHOT_HISTORY quantized snapshots and the newest tick each socket acknowledged;
+// a socket gets a delta against that tick while it's still in the history and a keyframe
+// otherwise (just joined, lagging behind, new match). Sockets sharing a base share the bytes.
+export class SnapshotStream {
+  constructor() {
+    this.history = new Map(); // tick -> quantized entities, oldest first
+    this.acks = new Map(); // socketId -> acknowledged tick
+    this.bytesSent = 0;
+  }
+
+  reset() {
+    this.history.clear();
+    this.acks.clear();
+  }
+
+  // send(socketId, ArrayBuffer) is called once for every socket id
+  publish(tick, time, snapshot, socketIds, send) {
+    const entities = quantizeSnapshot(snapshot);
+    this.history.set(tick, entities);
+    for (const oldTick of this.history.keys()) {
+      if (oldTick > tick - NETWORK.SNAPSHOT_HISTORY) break;
+      this.history.delete(oldTick);
+    }
+
+    const encoded = new Map(); // base tick (-1 for a keyframe) -> bytes
+    socketIds.forEach((socketId) => {
+      const ackTick = this.acks.get(socketId);
+      const base = ackTick === undefined ? null : this.history.get(ackTick);
+      const baseTick = base ? ackTick : -1;
+      let data = encoded.get(baseTick);
+      if (!data) {
+        data = encodeSnapshot({ tick, time, entities, base, baseTick: base ? ackTick : null });
+        encoded.set(baseTick, data);
+      }
+      this.bytesSent += data.byteLength;
+      send(socketId, data);
+    });
+  }
+
+  // Only ticks we still have (and never going backwards) become the socket's base
+  acknowledge(socketId, tick) {
+    if (!this.history.has(tick)) return false;
+    const previous = this.acks.get(socketId);
+    if (previous === undefined || tick > previous) this.acks.set(socketId, tick);
+    return true;
+  }
+
+  removeClient(socketId) {
+    this.acks.delete(socketId);
+  }
+}
@@ -0,0 +1,81 @@
+import { performance } from 'perf_hooks';
+import { NETWORK } from '../../shared/constants.js';
+
+const MAX_CATCH_UP = 10; // ticks run back to back after a late wake-up before the rest are skipped
+
+// Fixed-step simulation clock. Ticks are due every stepMs from the moment the loop starts; each
+// wake-up runs every tick that has come due (a whole number, each exactly one step long, so
+// wall-clock jitter never reaches the simulation) and sleeps until the next one. Ticks are
+// numbered from 1 and onTick(tick) gets the number.
+//
+// A tick that takes longer than its step, or a wake-up that finds more than maxCatchUp ticks
+// due, is an overrun: the ticks beyond maxCatchUp are skipped (the simulation falls behind the
+// wall clock instead of spiralling) and onOverrun({ tick, ranTicks, skippedTicks, slowestTickMs })
+// is called. Several overdue ticks run back to back are fine as long as each fits its step.
+// Whole server ticks covering `seconds` (rounded up, so a delay never ends early). Deadlines in
+// the simulation are tick numbers: `tick + secondsToTicks(delay)`.
+export function secondsToTicks(seconds) {
+  return Math.ceil(seconds * NETWORK.TICK_RATE);
+}
+
+export class TickLoop {
+  constructor({ stepMs, onTick, onOverrun = null, maxCatchUp = MAX_CATCH_UP }) {
+    this.stepMs = stepMs;
+    this.onTick = onTick;
+    this.onOverrun = onOverrun;
+    this.maxCatchUp = maxCatchUp;
+    this.tick = 0; // last tick run
+    this.nextTickAt = 0; // performance.now() time the next tick is due
+    this.timer = null;
+    this.overruns = { count: 0, skippedTicks: 0, worstMs: 0 }; // worstMs: slowest single tick
+  }
+
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  start() {
+    if (this.isRunning()) return;
+    this.nextTickAt = performance.now() + this.stepMs;
+    this.schedule();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule() {
+    const delay = Math.max(0, this.nextTickAt - performance.now());
+    this.timer = setTimeout(() => this.wake(), delay);
+  }
+
+  wake() {
+    const wokeAt = performance.now();
+    let ranTicks = 0;
+    let slowestTickMs = 0;
+    while (wokeAt >= this.nextTickAt && ranTicks < this.maxCatchUp) {
+      this.tick += 1;
+      ranTicks += 1;
+      this.nextTickAt += this.stepMs;
+      const tickStartedAt = performance.now();
+      this.onTick(this.tick);
+      slowestTickMs = Math.max(slowestTickMs, performance.now() - tickStartedAt);
+      // onTick may have stopped the loop (e.g. the room was destroyed)
+      if (!this.isRunning()) return;
+    }
+
+    let skippedTicks = 0;
+    if (wokeAt >= this.nextTickAt) {
+      skippedTicks = Math.floor((wokeAt - this.nextTickAt) / this.stepMs) + 1;
+      this.nextTickAt += skippedTicks * this.stepMs;
+    }
+    if (skippedTicks > 0 || slowestTickMs > this.stepMs) {
+      this.overruns.count += 1;
+      this.overruns.skippedTicks += skippedTicks;
+      this.overruns.worstMs = Math.max(this.overruns.worstMs, slowestTickMs);
+      this.onOverrun?.({ tick: this.tick, ranTicks, skippedTicks, slowestTickMs });
+    }
+    this.schedule();
+  }
+}
@@ -0,0 +1,260 @@
+// The car's driving model: how throttle, brake and steering move a Rapier body. The server runs
+// it for every car, the client runs the same code to predict its own car between snapshots
+// (client/src/gameplay/carPrediction.js) and to drive it in single player, and so does the
+// minimal prototype server. All of them build the car body the same way too (createCarBody).
+// Works with either Rapier package: only the body/world API is used.
+
+import { CAR } from './constants.js';
+
+// Convert Euler rotation (rx, ry, rz) to a normalized quaternion.
+// Matches Three.js default Euler order: XYZ.
+export function eulerToQuaternion(rx = 0, ry = 0, rz = 0) {
+  const cx = Math.cos(rx * 0.5);
+  const sx = Math.sin(rx * 0.5);
+  const cy = Math.cos(ry * 0.5);
+  const sy = Math.sin(ry * 0.5);
+  const cz = Math.cos(rz * 0.5);
+  const sz = Math.sin(rz * 0.5);
+
+  return {
+    x: sx * cy * cz + cx * sy * sz,
+    y: cx * sy * cz - sx * cy * sz,
+    z: cx * cy * sz + sx * sy * cz,
+    w: cx * cy * cz - sx * sy * sz,
+  };
+}
+
+export function rotateVecByQuat(q, v) {
+  // v' = 2*dot(u,v)*u + (s*s - dot(u,u))*v + 2*s*cross(u,v)
+  const ux = q.x, uy = q.y, uz = q.z, s = q.w;
+  const vx = v.x, vy = v.y, vz = v.z;
+
+  const dotUV = ux * vx + uy * vy + uz * vz;
+  const dotUU = ux * ux + uy * uy + uz * uz;
+
+  const cx = uy * vz - uz * vy;
+  const cy = uz * vx - ux * vz;
+  const cz = ux * vy - uy * vx;
+
+  return {
+    x: 2 * dotUV * ux + (s * s - dotUU) * vx + 2 * s * cx,
+    y: 2 * dotUV * uy + (s * s - dotUU) * vy + 2 * s * cy,
+    z: 2 * dotUV * uz + (s * s - dotUU) * vz + 2 * s * cz,
+  };
+}
+
+export function isFlipped(body) {
+  const rotation = body.rotation();
+
+  // Calculate the car's up vector (Y axis in local space transformed by rotation)
+  const up = rotateVecByQuat(rotation, { x: 0, y: 1, z: 0 });
+
+  // Car is flipped if up vector Y component is below threshold (pointing down)
+  // Use threshold of 0.3 to account for slight tilts
+  return up.y < 0.3;
+}
+
+// Dynamic body + collider for a car at position ({ x, y, z }) facing rotation (a quaternion)
+export function createCarBody(RAPIER, world, position, rotation) {
+  const rigidBodyDesc = RAPIER.RigidBodyDesc.dynamic()
+    .setTranslation(position.x, position.y, position.z)
+    .setRotation({ x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w });
+
+  const rigidBody = world.createRigidBody(rigidBodyDesc);
+
+  // Set damping to prevent excessive spinning and sliding
+  rigidBody.setLinearDamping(0.1);
+  // Reduced angular damping so steering works when stationary
+  rigidBody.setAngularDamping(2.0);
+
+  const he = CAR.COLLIDER_HALF_EXTENTS || { x: 2, y: 1, z: 4 };
+  const colliderDesc = RAPIER.ColliderDesc.cuboid(he.x, he.y, he.z)
+    .setMass(CAR.MASS)
+    .setFriction(0.7)
+    .setRestitution(0.85) // High bounce for car-to-car collisions
+    .setTranslation(-1, 1, 0) // Offset: 1 unit left, 1 unit up
+    .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS); // car-to-car contacts (tag modes)
+
+  const collider = world.createCollider(colliderDesc, rigidBody);
+  return { rigidBody, collider };
+}
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, Number.isFinite(value) ? value : 0));
+
+// Missing or out-of-range inputs are treated the same everywhere
+function normalizeInput({ throttle = 0, brake = 0, steer = 0 } = {}) {
+  return { throttle: clamp(throttle, -1, 1), brake: clamp(brake, 0, 1), steer: clamp(steer, -1, 1) };
+}
+
+// One step of driving: input is { throttle (-1..1), brake (0..1), steer (-1..1) }, deltaTime is
+// the step length (PHYSICS.FIXED_TIMESTEP everywhere the game calls it). The result only depends
+// on the body's state and these arguments (no clocks, no randomness), see _carControllerTest.js.
+export function driveCar(body, rawInput, deltaTime, { hasFlag = false } = {}) {
+  const input = normalizeInput(rawInput);
+  let linvel = body.linvel();
+  let rotation = body.rotation();
+  
+  // Check if car is flipped - if so, don't apply any movement inputs
+  const flipped = isFlipped(body);
+  
+  // Get forward direction (car's current facing)
+  const forwardRotated = rotateVecByQuat(rotation, { x: 0, y: 0, z: -1 });
+  
+  // --- Drive + steer (arcade-y, responsive, server-authoritative) ---
+  // Steering bends the HORIZONTAL velocity vector, instead of relying on torque/inertia.
+  // This makes forward steering reliable, and removes "lag" when reversing.
+  const handlingMultiplier = hasFlag ? CAR.FLAG_CARRIER_HANDLING_PENALTY : 1.0;
+
+  // 1) Apply throttle impulse along car facing (supports proper reverse)
+  // Skip if flipped
+  if (!flipped) {
+    let driveDirX = forwardRotated.x;
+    let driveDirZ = forwardRotated.z;
+    const driveDirLen = Math.sqrt(driveDirX ** 2 + driveDirZ ** 2) || 1;
+    driveDirX /= driveDirLen;
+    driveDirZ /= driveDirLen;
+
+    if (input.throttle !== 0) {
+      // Reduce reverse speed (throttle < 0) while keeping forward speed the same
+      const reverseSpeedMultiplier = 0.6; // Reverse is 60% of forward speed
+      const throttleEffective = input.throttle > 0 
+        ? input.throttle 
+        : input.throttle * reverseSpeedMultiplier;
+      const driveImpulse = CAR.ACCELERATION * throttleEffective;
+      body.applyImpulse({ x: driveDirX * driveImpulse, y: 0, z: driveDirZ * driveImpulse }, true);
+    }
+
+    // 2) Brake (Space): dampen horizontal velocity
+    linvel = body.linvel();
+    const speed = Math.sqrt(linvel.x ** 2 + linvel.y ** 2 + linvel.z ** 2);
+    if (input.brake > 0 && speed > 0.01) {
+      const brakeScale = 1 - Math.min(0.35, 0.25 * input.brake);
+      body.setLinvel({ x: linvel.x * brakeScale, y: linvel.y, z: linvel.z * brakeScale }, true);
+    }
+
+    // 3) Steering: bend the horizontal velocity direction (works for forward + reverse)
+    linvel = body.linvel();
+    const speedH = Math.sqrt(linvel.x ** 2 + linvel.z ** 2);
+    if (input.steer !== 0 && speedH > 0.05) {
+      // Constant turn rate regardless of speed (reduced for smoother, less shaky turns)
+      const maxTurnRate = 0.6 * handlingMultiplier; // rad/s
+      
+      // Make FORWARD steering behave exactly like the current BACKWARD steering feel:
+      // - Swap left/right when moving forward
+      // - Keep backward steering unchanged
+      // Determine if we're moving backward relative to where the car is facing.
+      const forwardSpeed =
+        linvel.x * forwardRotated.x +
+        linvel.z * forwardRotated.z;
+      const isMovingBackward = forwardSpeed < 0;
+      let steerEffective = isMovingBackward ? input.steer : -input.steer;
+      
+      // Reduce steering sensitivity for normal turns (makes turns smaller/more gradual)
+      // Full steering input still reaches maxTurnRate, but normal inputs are scaled down
+      const steeringSensitivity = 0.65; // Lower = smaller normal turns
+      steerEffective *= steeringSensitivity;
+
+      const steerAngle = steerEffective * maxTurnRate * Math.max(0.0001, deltaTime); // radians this tick
+
+      const cosA = Math.cos(steerAngle);
+      const sinA = Math.sin(steerAngle);
+      const newVx = linvel.x * cosA - linvel.z * sinA;
+      const newVz = linvel.x * sinA + linvel.z * cosA;
+      body.setLinvel({ x: newVx, y: linvel.y, z: newVz }, true);
+    }
+    
+    // If we're moving FORWARD and the player releases A/D, kill any leftover curved heading.
+    // (Backward already feels correct; forward used to "keep turning" because the velocity stayed bent.)
+    linvel = body.linvel();
+    const speedHRelease = Math.sqrt(linvel.x ** 2 + linvel.z ** 2);
+    if (input.steer === 0 && speedHRelease > 0.05) {
+      const forwardSpeed =
+        linvel.x * forwardRotated.x +
+        linvel.z * forwardRotated.z;
+      const isMovingForward = forwardSpeed > 0;
+      if (isMovingForward) {
+        const fLen = Math.sqrt(forwardRotated.x ** 2 + forwardRotated.z ** 2) || 1;
+        const fx = forwardRotated.x / fLen;
+        const fz = forwardRotated.z / fLen;
+        body.setLinvel({ x: fx * speedHRelease, y: linvel.y, z: fz * speedHRelease }, true);
+      }
+    }
+  }
+
+  // 4) Rotate body to face the movement direction (visual rotation), independent from steering input
+  // Make turn rate constant from start to middle (no ramp-up)
+  // Skip if flipped
+  if (!flipped) {
+    linvel = body.linvel();
+    const speedH2 = Math.sqrt(linvel.x ** 2 + linvel.z ** 2);
+    if (speedH2 > 0.15) {
+    const velDir = { x: linvel.x / speedH2, y: 0, z: linvel.z / speedH2 };
+
+    // Refresh rotation -> forward to compute correct angleDiff
+    rotation = body.rotation();
+    const fwd = rotateVecByQuat(rotation, { x: 0, y: 0, z: -1 });
+    const dot = fwd.x * velDir.x + fwd.z * velDir.z;
+    const cross = fwd.x * velDir.z - fwd.z * velDir.x;
+    const angleDiff = Math.atan2(cross, dot);
+
+    // Constant yaw rate based on steering input (not angle difference) for consistent turn feel
+    // Higher rate for backward to match forward responsiveness
+    const maxYawRate = 5.5; // rad/s (increased for better backward response)
+    let targetYawRate = 0;
+    
+    // Check if moving backward
+    const forwardSpeed = linvel.x * fwd.x + linvel.z * fwd.z;
+    const isMovingBackward = forwardSpeed < 0;
+    
+    if (input.steer !== 0) {
+      // Use steering input directly for immediate, constant turn rate
+      let steerEffective = isMovingBackward ? input.steer : -input.steer;
+      
+      // Apply same steering sensitivity as velocity steering for consistency
+      const steeringSensitivity = 0.65;
+      steerEffective *= steeringSensitivity;
+      
+      // Boost backward steering slightly to reduce lag
+      const backwardBoost = isMovingBackward ? 1.2 : 1.0;
+      targetYawRate = steerEffective * maxYawRate * handlingMultiplier * backwardBoost;
+    } else {
+      // When not steering: only align body when moving FORWARD (prevents backward rotation snap-back)
+      if (!isMovingBackward) {
+        // Align to movement direction but at a slower rate
+        targetYawRate = Math.max(-maxYawRate * 0.5, Math.min(maxYawRate * 0.5, angleDiff * 3.0));
+      } else {
+        // When going backward and not steering, don't auto-rotate (let it drift)
+        targetYawRate = 0;
+      }
+    }
+    
+    const angvel = body.angvel();
+    body.setAngvel({ x: angvel.x, y: targetYawRate, z: angvel.z }, true);
+    }
+  }
+
+  // Apply friction
+  linvel = body.linvel();
+  body.applyImpulse({ x: -linvel.x * CAR.FRICTION, y: 0, z: -linvel.z * CAR.FRICTION }, true);
+
+  // Limit max speed
+  linvel = body.linvel();
+  const speedAfter = Math.sqrt(linvel.x ** 2 + linvel.y ** 2 + linvel.z ** 2);
+  if (speedAfter > CAR.MAX_SPEED) {
+    const scale = CAR.MAX_SPEED / speedAfter;
+    body.setLinvel({ x: linvel.x * scale, y: linvel.y * scale, z: linvel.z * scale }, true);
+  }
+
+  // Limit angular velocity to prevent excessive spinning
+  const angvel = body.angvel();
+  const angularSpeed = Math.sqrt(angvel.x ** 2 + angvel.y ** 2 + angvel.z ** 2);
+  const maxAngularSpeed = 8.0; // Radians per second - allows some spinning but not excessive
+  if (angularSpeed > maxAngularSpeed) {
+    const scale = maxAngularSpeed / angularSpeed;
+    body.setAngvel({
+      x: angvel.x * scale,
+      y: angvel.y * scale,
+      z: angvel.z * scale,
+    }, true);
+  }
+}
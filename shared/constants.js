@@ -22,19 +22,46 @@ export const CAR = {
   VISUAL_TARGET_SIZE: { x: 3, y: 2, z: 6 },
 };
 
+// Soccer ball. Server simulates it; the client only needs the radius to draw it.
+export const BALL = {
+  RADIUS: 1.5,
+  MASS: 150, // light next to a car so a tap sends it flying
+  FRICTION: 0.5,
+  RESTITUTION: 0.7,
+  LINEAR_DAMPING: 0.3,
+  ANGULAR_DAMPING: 0.6,
+};
+
 export const GAME = {
   RESPAWN_DELAY: 5, // seconds
+  RESPAWN_REQUEST_COOLDOWN: 5, // seconds between "back to spawn" requests
   INVINCIBILITY_DURATION: 2, // seconds after respawn
   WIN_SCORE: 3, // flags needed to win
   MIN_PLAYERS: 2,
   MAX_PLAYERS: 10,
+  RECONNECT_GRACE: 30, // seconds a dropped player's car is kept for them to reconnect
+  MAX_NAME_LENGTH: 16, // display name characters
+  MAX_TEAM_IMBALANCE: 1, // largest allowed difference between red and blue player counts
   TEAM_COLORS: {
     RED: 0xff0000,
     BLUE: 0x0000ff,
   },
 };
 
+export const BOTS = {
+  DIFFICULTIES: ['easy', 'medium', 'hard'],
+  DEFAULT_DIFFICULTY: 'medium',
+};
+
+export const MAP_VOTE = {
+  CANDIDATES: 3, // maps on the ballot, the host's pick included
+  DURATION: 15, // seconds; closes early once every player has voted
+};
+
 export const NETWORK = {
-  TICK_RATE: 60, // Server updates per second
+  TICK_RATE: Math.round(1 / PHYSICS.FIXED_TIMESTEP), // server ticks per second: one physics step each
   CLIENT_SEND_RATE: 60, // Client input sends per second
+  SNAPSHOT_HISTORY: 64, // ticks of snapshots kept to delta against (about a second)
+  SNAPSHOT_ACK_INTERVAL: 100, // ms between a client's snapshot acknowledgements
+  INPUT_QUEUE: 8, // inputs buffered per player on the server; older ones are dropped
 };
@@ -0,0 +1,51 @@
+// Turns map blocks into collider descriptions. The server, the client (single player and
+// prediction) and the editor all build their map colliders from these, so every physics world
+// has the same blocks at the same angles with the same surfaces. Works with either Rapier
+// package: only the body/world API is used.
+
+import { eulerToQuaternion } from './carController.js';
+
+// How a block's surface feels to a car hitting it
+const SURFACES = {
+  obstacle: { friction: 0.5, restitution: 0.5 }, // cars can slide but also grip, and bounce back
+  tall: { friction: 0.3, restitution: 0.5 }, // blocks over 1 unit high: cars slide off instead of sticking
+  flat: { friction: 0.7, restitution: 0.1 }, // normal driving surface
+};
+
+function getSurface(block) {
+  if (block.type === 'obstacle') return SURFACES.obstacle;
+  return block.size[1] > 1 ? SURFACES.tall : SURFACES.flat;
+}
+
+// { shape, halfExtents, position, rotation, friction, restitution } for one map block.
+// rotation is the block's Euler angles in three.js' default XYZ order, the order its mesh uses.
+export function describeBlockCollider(block) {
+  const [rx = 0, ry = 0, rz = 0] = block.rotation || [];
+  return {
+    shape: 'cuboid',
+    halfExtents: block.size.map((size) => size / 2),
+    position: [...block.position],
+    rotation: eulerToQuaternion(rx, ry, rz),
+    ...getSurface(block),
+  };
+}
+
+// One description per block, same order as mapData.blocks
+export function describeMapColliders(mapData) {
+  return (mapData?.blocks || []).map(describeBlockCollider);
+}
+
+// Creates the fixed body and collider for a description: { body, collider }
+export function createBlockCollider(RAPIER, world, description) {
+  const { halfExtents, position, rotation, friction, restitution } = description;
+  const body = world.createRigidBody(
+    RAPIER.RigidBodyDesc.fixed()
+      .setTranslation(position[0], position[1], position[2])
+      .setRotation(rotation)
+  );
+  const colliderDesc = RAPIER.ColliderDesc.cuboid(halfExtents[0], halfExtents[1], halfExtents[2])
+    .setFriction(friction)
+    .setRestitution(restitution);
+  const collider = world.createCollider(colliderDesc, body);
+  return { body, collider };
+}
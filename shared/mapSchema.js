@@ -0,0 +1,177 @@
+// The map format, checked the same way by the editor, the client and the server. validateMap
+// walks a map object and reports every problem with the path to it (e.g. "blocks[3].size[1]"),
+// so a broken map is turned away with a readable message instead of crashing the colliders,
+// spawns or game modes later on.
+
+import { validateMatchSettings } from './matchSettings.js';
+
+export const MAP_LIMITS = {
+  MAX_BLOCKS: 2000,
+  MAX_BLOCK_SIZE: 1000, // per axis, also for bases, goals and other zones
+  MAX_COORDINATE: 5000, // |x|, |y| and |z| of anything placed on the map
+  MAX_SPAWNS: 32, // per team, and for the free-for-all list
+  MAX_ZONES: 64, // hills, checkpoints
+};
+
+export const BLOCK_TYPES = ['platform', 'obstacle', 'ramp', 'wall'];
+
+const TEAMS = ['red', 'blue'];
+const MAX_ERRORS = 50; // a map with 2000 bad blocks doesn't need 2000 messages
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Collects { path, message } pairs, up to MAX_ERRORS
+class ErrorList {
+  constructor() {
+    this.errors = [];
+  }
+
+  add(path, message) {
+    if (this.errors.length < MAX_ERRORS) this.errors.push({ path, message });
+  }
+
+  get full() {
+    return this.errors.length >= MAX_ERRORS;
+  }
+}
+
+// [x, y, z] of finite numbers; checkAxis(n) returns a message for an out-of-range component
+function checkVector3(errors, path, value, { checkAxis = () => null, required = true } = {}) {
+  if (value === undefined && !required) return;
+  if (!Array.isArray(value) || value.length !== 3) {
+    errors.add(path, 'must be an array of 3 numbers');
+    return;
+  }
+  value.forEach((n, axis) => {
+    const message = typeof n !== 'number' || !Number.isFinite(n) ? 'must be a finite number' : checkAxis(n);
+    if (message) errors.add(`${path}[${axis}]`, message);
+  });
+}
+
+function checkPosition(errors, path, value) {
+  const max = MAP_LIMITS.MAX_COORDINATE;
+  checkVector3(errors, path, value, { checkAxis: (n) => (Math.abs(n) > max ? `must be within ±${max}` : null) });
+}
+
+function checkSize(errors, path, value) {
+  const max = MAP_LIMITS.MAX_BLOCK_SIZE;
+  checkVector3(errors, path, value, {
+    checkAxis: (n) => {
+      if (n <= 0) return 'must be greater than 0';
+      return n > max ? `must be at most ${max}` : null;
+    },
+  });
+}
+
+// { position } (flags, the ball)
+function checkPoint(errors, path, value) {
+  if (!isObject(value)) {
+    errors.add(path, 'must be an object with a position');
+    return;
+  }
+  checkPosition(errors, `${path}.position`, value.position);
+}
+
+// { position, size } (bases, goals, hills, checkpoints...)
+function checkVolume(errors, path, value) {
+  if (!isObject(value)) {
+    errors.add(path, 'must be an object with a position and a size');
+    return;
+  }
+  checkPosition(errors, `${path}.position`, value.position);
+  checkSize(errors, `${path}.size`, value.size);
+  checkVector3(errors, `${path}.rotation`, value.rotation, { required: false });
+}
+
+function checkBlock(errors, path, block) {
+  if (!isObject(block)) {
+    errors.add(path, 'must be an object');
+    return;
+  }
+  if (block.type !== undefined && !BLOCK_TYPES.includes(block.type)) {
+    errors.add(`${path}.type`, `must be one of ${BLOCK_TYPES.join(', ')}`);
+  }
+  checkVolume(errors, path, block);
+}
+
+function checkList(errors, path, value, { min = 0, max, checkItem }) {
+  if (!Array.isArray(value)) {
+    errors.add(path, 'must be an array');
+    return;
+  }
+  if (value.length < min || value.length > max) {
+    errors.add(path, min > 0 ? `must have ${min}-${max} entries (has ${value.length})` : `must have at most ${max} entries (has ${value.length})`);
+    if (value.length > max) return;
+  }
+  for (let i = 0; i < value.length && !errors.full; i++) {
+    checkItem(errors, `${path}[${i}]`, value[i]);
+  }
+}
+
+function checkSpawn(errors, path, spawn) {
+  if (!isObject(spawn)) {
+    errors.add(path, 'must be an object with a position');
+    return;
+  }
+  checkPosition(errors, `${path}.position`, spawn.position);
+  checkVector3(errors, `${path}.rotation`, spawn.rotation, { required: false });
+}
+
+function checkSpawnPoints(errors, spawnPoints) {
+  if (!isObject(spawnPoints)) {
+    errors.add('spawnPoints', 'is required (spawn points for the red and blue teams)');
+    return;
+  }
+  TEAMS.forEach((team) => {
+    checkList(errors, `spawnPoints.${team}`, spawnPoints[team], { min: 1, max: MAP_LIMITS.MAX_SPAWNS, checkItem: checkSpawn });
+  });
+  if (spawnPoints.any !== undefined) {
+    checkList(errors, 'spawnPoints.any', spawnPoints.any, { min: 1, max: MAP_LIMITS.MAX_SPAWNS, checkItem: checkSpawn });
+  }
+}
+
+// { red, blue } pairs (bases, flags, goals): optional, but complete when present
+function checkTeamPair(errors, path, value, checkItem) {
+  if (value === undefined) return;
+  if (!isObject(value)) {
+    errors.add(path, 'must be an object with red and blue entries');
+    return;
+  }
+  TEAMS.forEach((team) => checkItem(errors, `${path}.${team}`, value[team]));
+}
+
+// Returns { valid, errors } where errors is a list of { path, message }. Unknown top-level keys
+// are left alone so maps can carry extra data (names, editor state).
+export function validateMap(map) {
+  const errors = new ErrorList();
+  if (!isObject(map)) {
+    errors.add('map', 'must be an object');
+    return { valid: false, errors: errors.errors };
+  }
+
+  checkList(errors, 'blocks', map.blocks, { min: 1, max: MAP_LIMITS.MAX_BLOCKS, checkItem: checkBlock });
+  checkSpawnPoints(errors, map.spawnPoints);
+  checkTeamPair(errors, 'bases', map.bases, checkVolume);
+  checkTeamPair(errors, 'flags', map.flags, checkPoint);
+  checkTeamPair(errors, 'goals', map.goals, checkVolume);
+  if (map.ball !== undefined) checkPoint(errors, 'ball', map.ball);
+  if (map.startLine !== undefined) checkVolume(errors, 'startLine', map.startLine);
+  if (map.hills !== undefined) {
+    checkList(errors, 'hills', map.hills, { max: MAP_LIMITS.MAX_ZONES, checkItem: checkVolume });
+  }
+  if (map.checkpoints !== undefined) {
+    checkList(errors, 'checkpoints', map.checkpoints, { max: MAP_LIMITS.MAX_ZONES, checkItem: checkVolume });
+  }
+  if (map.settings !== undefined) {
+    validateMatchSettings(map.settings).errors.forEach((message) => errors.add('settings', message));
+  }
+
+  return { valid: errors.errors.length === 0, errors: errors.errors };
+}
+
+// "blocks[3].size[1] must be greater than 0" lines for alerts and logs
+export function formatMapErrors(errors, limit = 10) {
+  const lines = errors.slice(0, limit).map(({ path, message }) => `${path} ${message}`);
+  if (errors.length > limit) lines.push(`...and ${errors.length - limit} more`);
+  return lines;
+}
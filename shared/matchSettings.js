@@ -0,0 +1,71 @@
+// Per-match rules. Each GameServer keeps its own copy; the lobby host (or a map's "settings"
+// block) can change them within these ranges. `modes` lists the game modes a setting applies
+// to (omitted = all); the lobby only shows the ones for the selected mode.
+
+import { GAME } from './constants.js';
+
+export const MATCH_SETTINGS = {
+  winScore: { label: 'Flags to win', min: 1, max: 20, step: 1, default: GAME.WIN_SCORE, modes: ['ctf'] },
+  respawnDelay: { label: 'Respawn delay (s)', min: 0, max: 30, step: 0.5, default: GAME.RESPAWN_DELAY },
+  invincibilityDuration: { label: 'Spawn protection (s)', min: 0, max: 10, step: 0.5, default: GAME.INVINCIBILITY_DURATION },
+  minPlayers: { label: 'Players needed to start', min: 2, max: GAME.MAX_PLAYERS, step: 1, default: GAME.MIN_PLAYERS },
+  flagPickupRadius: { label: 'Flag pickup radius', min: 1, max: 30, step: 0.5, default: 5, modes: ['ctf'] },
+  flagCaptureRadius: { label: 'Capture radius', min: 2, max: 50, step: 0.5, default: 10, modes: ['ctf'] },
+  // Sumo: best-of-N rounds; the arena can drop its outermost block every few seconds
+  rounds: { label: 'Rounds (best of)', min: 1, max: 9, step: 1, default: 3, modes: ['sumo'] },
+  shrinkInterval: { label: 'Arena shrinks every (s, 0 = never)', min: 0, max: 60, step: 1, default: 0, modes: ['sumo'] },
+  // Race: laps to finish
+  laps: { label: 'Laps', min: 1, max: 20, step: 1, default: 3, modes: ['race'] },
+  // King of the hill: seconds a team must hold hills to win
+  hillTarget: { label: 'Hill seconds to win', min: 10, max: 600, step: 5, default: 120, modes: ['koth'] },
+  // Soccer
+  goalsToWin: { label: 'Goals to win', min: 1, max: 20, step: 1, default: 5, modes: ['soccer'] },
+  // Infection: 1 = tagged cars join the infected, 0 = plain tag ("it" passes on)
+  infectionSpreads: { label: 'Tags spread infection (1) or pass it on (0)', min: 0, max: 1, step: 1, default: 1, modes: ['infection'] },
+  survivalTarget: { label: 'Survival seconds to win', min: 10, max: 600, step: 5, default: 90, modes: ['infection'] },
+  // Match clock: 0 = untimed. A tie at full time goes to overtime, then sudden death.
+  timeLimit: { label: 'Time limit (min, 0 = none)', min: 0, max: 60, step: 0.5, default: 0 },
+  overtime: { label: 'Overtime (s, 0 = straight to sudden death)', min: 0, max: 600, step: 15, default: 60 },
+};
+
+export function defaultMatchSettings() {
+  const settings = {};
+  Object.entries(MATCH_SETTINGS).forEach(([key, range]) => {
+    settings[key] = range.default;
+  });
+  return settings;
+}
+
+// Checks a partial settings object. Returns the accepted values and a message per rejected key;
+// unknown keys are rejected too so typos don't silently do nothing.
+export function validateMatchSettings(input) {
+  const settings = {};
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { settings, errors: ['Settings must be an object'] };
+  }
+
+  Object.entries(input).forEach(([key, value]) => {
+    const range = MATCH_SETTINGS[key];
+    if (!range) {
+      errors.push(`Unknown setting "${key}"`);
+      return;
+    }
+    const number = Number(value);
+    if (value === null || value === '' || !Number.isFinite(number)) {
+      errors.push(`${range.label} must be a number`);
+      return;
+    }
+    if (number < range.min || number > range.max) {
+      errors.push(`${range.label} must be between ${range.min} and ${range.max}`);
+      return;
+    }
+    if (range.step === 1 && !Number.isInteger(number)) {
+      errors.push(`${range.label} must be a whole number`);
+      return;
+    }
+    settings[key] = number;
+  });
+
+  return { settings, errors };
+}
@@ -0,0 +1,312 @@
+// Binary snapshots: the server sends one "snapshot" event per tick holding every car (and mode
+// entities such as the soccer ball, "_"-prefixed keys) in a compact form. Positions are 24-bit
+// fixed point, rotations use the smallest-three quaternion encoding in 32 bits and the status
+// flags fit in 16 bits. A snapshot is either a keyframe or a delta against an earlier snapshot
+// the client acknowledged, in which case only the fields that changed since then are sent.
+//
+// Layout (little endian):
+//   u8 kind (0 keyframe, 1 delta) | u32 tick | u32 base tick (deltas only) | f64 server time ms
+//   u8 entity count, then per entity:
+//     u8 ref: index of the entity in the base snapshot, or NEW_ENTITY followed by u8 length + UTF-8 key
+//     u8 changed fields (POSITION | ROTATION | FLAGS), then those fields in that order:
+//     position 3 x int24 | rotation u32 | flags u16
+//
+// Both sides work on "quantized" entities ({ position: [int, int, int], rotation, flags }) so a
+// delta rebuilds exactly the snapshot the server compared against.
+
+export const SNAPSHOT_EVENT = 'snapshot';
+export const SNAPSHOT_ACK_EVENT = 'snapshotAck'; // client -> server: { tick }
+
+const KEYFRAME = 0;
+const DELTA = 1;
+const NEW_ENTITY = 255;
+const MAX_ENTITIES = 254;
+
+const POSITION = 1;
+const ROTATION = 2;
+const FLAGS = 4;
+const ALL_FIELDS = POSITION | ROTATION | FLAGS;
+
+const POSITION_SCALE = 128; // 1/128 unit steps
+const INT24_MAX = 0x7fffff; // so positions reach ±65535 units
+const QUAT_BITS = 10;
+const QUAT_MAX = (1 << QUAT_BITS) - 1;
+const QUAT_STEPS = QUAT_MAX - 1; // an even count so 0 (the common case) is exact
+
+// Status flags (cars only; entities without a team carry none)
+const ELIMINATED = 1 << 0;
+const DISCONNECTED = 1 << 1;
+const INVINCIBLE = 1 << 2;
+const HAS_FLAG = 1 << 3;
+const INFECTED = 1 << 4;
+const TEAM_SHIFT = 5; // 2 bits: 0 none, 1 red, 2 blue
+const CARRYING_SHIFT = 7; // 2 bits, same values
+const HAS_STATUS = 1 << 9;
+const TEAM_CODES = [null, 'red', 'blue'];
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function quantizePosition(position = [0, 0, 0]) {
+  return [0, 1, 2].map((axis) => {
+    const n = Math.round(Number(position[axis]) * POSITION_SCALE);
+    return Number.isFinite(n) ? Math.max(-INT24_MAX, Math.min(INT24_MAX, n)) : 0;
+  });
+}
+
+// Smallest three: drop the largest component (rebuilt from the unit length), store its index
+// in 2 bits and the other three in 10 bits each
+function packQuaternion(rotation = [0, 0, 0, 1]) {
+  const q = [0, 1, 2, 3].map((i) => Number(rotation[i]) || 0);
+  const length = Math.hypot(...q) || 1;
+  let largest = 0;
+  for (let i = 1; i < 4; i++) {
+    if (Math.abs(q[i]) > Math.abs(q[largest])) largest = i;
+  }
+  // q and -q are the same rotation: make the dropped component positive
+  const sign = q[largest] < 0 ? -1 : 1;
+  let packed = largest;
+  let shift = 2;
+  for (let i = 0; i < 4; i++) {
+    if (i === largest) continue;
+    const value = (sign * q[i]) / length; // within ±1/√2
+    const n = Math.round(((value * Math.SQRT2 + 1) / 2) * QUAT_STEPS);
+    packed |= Math.max(0, Math.min(QUAT_MAX, n)) << shift;
+    shift += QUAT_BITS;
+  }
+  return packed >>> 0;
+}
+
+function unpackQuaternion(packed) {
+  const largest = packed & 3;
+  const q = [0, 0, 0, 0];
+  let shift = 2;
+  let sumSquares = 0;
+  for (let i = 0; i < 4; i++) {
+    if (i === largest) continue;
+    const n = (packed >>> shift) & QUAT_MAX;
+    q[i] = ((n / QUAT_STEPS) * 2 - 1) / Math.SQRT2;
+    sumSquares += q[i] * q[i];
+    shift += QUAT_BITS;
+  }
+  q[largest] = Math.sqrt(Math.max(0, 1 - sumSquares));
+  return q;
+}
+
+function packFlags(state) {
+  if (!('team' in state)) return 0;
+  let flags = HAS_STATUS;
+  if (state.eliminated) flags |= ELIMINATED;
+  if (state.disconnected) flags |= DISCONNECTED;
+  if (state.invincible) flags |= INVINCIBLE;
+  if (state.hasFlag) flags |= HAS_FLAG;
+  if (state.infected) flags |= INFECTED;
+  flags |= Math.max(0, TEAM_CODES.indexOf(state.team ?? null)) << TEAM_SHIFT;
+  flags |= Math.max(0, TEAM_CODES.indexOf(state.carryingFlag ?? null)) << CARRYING_SHIFT;
+  return flags;
+}
+
+// Server snapshot object ({ [key]: { position, rotation, team, ... } }) -> Map of quantized entities
+export function quantizeSnapshot(snapshot) {
+  const entities = new Map();
+  Object.entries(snapshot).forEach(([key, state]) => {
+    if (!state) return;
+    entities.set(key, {
+      position: quantizePosition(state.position),
+      rotation: packQuaternion(state.rotation),
+      flags: packFlags(state),
+    });
+  });
+  return entities;
+}
+
+// Quantized entities -> the plain snapshot object clients have always consumed
+export function expandSnapshot(entities, time) {
+  const snapshot = {};
+  entities.forEach((entity, key) => {
+    const state = {
+      position: entity.position.map((n) => n / POSITION_SCALE),
+      rotation: unpackQuaternion(entity.rotation),
+      t: time,
+    };
+    const { flags } = entity;
+    if (flags & HAS_STATUS) {
+      state.team = TEAM_CODES[(flags >> TEAM_SHIFT) & 3];
+      state.hasFlag = !!(flags & HAS_FLAG);
+      state.eliminated = !!(flags & ELIMINATED);
+      state.disconnected = !!(flags & DISCONNECTED);
+      state.invincible = !!(flags & INVINCIBLE);
+      state.carryingFlag = TEAM_CODES[(flags >> CARRYING_SHIFT) & 3];
+      state.infected = !!(flags & INFECTED);
+    }
+    snapshot[key] = state;
+  });
+  return snapshot;
+}
+
+function changedFields(entity, previous) {
+  if (!previous) return ALL_FIELDS;
+  let mask = 0;
+  if (entity.position.some((n, axis) => n !== previous.position[axis])) mask |= POSITION;
+  if (entity.rotation !== previous.rotation) mask |= ROTATION;
+  if (entity.flags !== previous.flags) mask |= FLAGS;
+  return mask;
+}
+
+function writeInt24(view, offset, value) {
+  view.setUint8(offset, value & 0xff);
+  view.setUint8(offset + 1, (value >> 8) & 0xff);
+  view.setUint8(offset + 2, (value >> 16) & 0xff);
+}
+
+function readInt24(view, offset) {
+  const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+  return value & 0x800000 ? value - 0x1000000 : value;
+}
+
+// Returns an ArrayBuffer. Without a base (or its tick) this is a keyframe.
+export function encodeSnapshot({ tick, time, entities, base = null, baseTick = null }) {
+  if (entities.size > MAX_ENTITIES) throw new Error(`Too many snapshot entities (${entities.size})`);
+  const isDelta = !!base && baseTick != null;
+  const baseIndex = new Map(isDelta ? Array.from(base.keys()).map((key, index) => [key, index]) : []);
+  const keyBytes = new Map();
+  let size = 1 + 4 + (isDelta ? 4 : 0) + 8 + 1;
+  entities.forEach((entity, key) => {
+    size += 2 + 9 + 4 + 2;
+    if (!baseIndex.has(key)) {
+      const bytes = textEncoder.encode(key);
+      if (bytes.length > 255) throw new Error(`Snapshot key too long: ${key}`);
+      keyBytes.set(key, bytes);
+      size += 1 + bytes.length;
+    }
+  });
+
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+  let offset = 0;
+  view.setUint8(offset, isDelta ? DELTA : KEYFRAME);
+  view.setUint32(offset + 1, tick >>> 0, true);
+  offset += 5;
+  if (isDelta) {
+    view.setUint32(offset, baseTick >>> 0, true);
+    offset += 4;
+  }
+  view.setFloat64(offset, time, true);
+  view.setUint8(offset + 8, entities.size);
+  offset += 9;
+
+  entities.forEach((entity, key) => {
+    const bytes = keyBytes.get(key);
+    if (bytes) {
+      view.setUint8(offset, NEW_ENTITY);
+      view.setUint8(offset + 1, bytes.length);
+      new Uint8Array(buffer, offset + 2, bytes.length).set(bytes);
+      offset += 2 + bytes.length;
+    } else {
+      view.setUint8(offset, baseIndex.get(key));
+      offset += 1;
+    }
+    const mask = changedFields(entity, bytes ? null : base.get(key));
+    view.setUint8(offset, mask);
+    offset += 1;
+    if (mask & POSITION) {
+      entity.position.forEach((n, axis) => writeInt24(view, offset + axis * 3, n));
+      offset += 9;
+    }
+    if (mask & ROTATION) {
+      view.setUint32(offset, entity.rotation, true);
+      offset += 4;
+    }
+    if (mask & FLAGS) {
+      view.setUint16(offset, entity.flags, true);
+      offset += 2;
+    }
+  });
+  return buffer.slice(0, offset);
+}
+
+// data: ArrayBuffer or a typed array / Buffer view of one. getBase(tick) returns the quantized
+// entities of an earlier snapshot. Returns { tick, baseTick, time, entities } or null when the
+// base isn't available anymore.
+export function decodeSnapshot(data, getBase) {
+  const view = ArrayBuffer.isView(data)
+    ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+    : new DataView(data);
+  let offset = 0;
+  const kind = view.getUint8(offset);
+  const tick = view.getUint32(offset + 1, true);
+  offset += 5;
+  let baseTick = null;
+  let base = null;
+  if (kind === DELTA) {
+    baseTick = view.getUint32(offset, true);
+    offset += 4;
+    base = getBase(baseTick);
+    if (!base) return null;
+  }
+  const time = view.getFloat64(offset, true);
+  const count = view.getUint8(offset + 8);
+  offset += 9;
+
+  const baseKeys = base ? Array.from(base.keys()) : [];
+  const entities = new Map();
+  for (let i = 0; i < count; i++) {
+    const ref = view.getUint8(offset);
+    offset += 1;
+    let key;
+    let previous = null;
+    if (ref === NEW_ENTITY) {
+      const length = view.getUint8(offset);
+      key = textDecoder.decode(new Uint8Array(view.buffer, view.byteOffset + offset + 1, length));
+      offset += 1 + length;
+    } else {
+      key = baseKeys[ref];
+      previous = base.get(key);
+    }
+    const mask = view.getUint8(offset);
+    offset += 1;
+    const entity = previous ? { ...previous } : { position: [0, 0, 0], rotation: 0, flags: 0 };
+    if (mask & POSITION) {
+      entity.position = [0, 1, 2].map((axis) => readInt24(view, offset + axis * 3));
+      offset += 9;
+    }
+    if (mask & ROTATION) {
+      entity.rotation = view.getUint32(offset, true);
+      offset += 4;
+    }
+    if (mask & FLAGS) {
+      entity.flags = view.getUint16(offset, true);
+      offset += 2;
+    }
+    entities.set(key, entity);
+  }
+  return { tick, baseTick, time, entities };
+}
+
+// The receiving client's own car at full precision, sent as a second argument of its snapshot
+// event for client-side prediction:
+//   u32 last input sequence the server applied | f32 position x3 | f32 rotation x4
+//   f32 linear velocity x3 | f32 angular velocity x3
+const OWN_CAR_BYTES = 4 + 4 * (3 + 4 + 3 + 3);
+
+export function encodeOwnCar({ inputSeq, position, rotation, linvel, angvel }) {
+  const buffer = new ArrayBuffer(OWN_CAR_BYTES);
+  const view = new DataView(buffer);
+  view.setUint32(0, inputSeq >>> 0, true);
+  [...position, ...rotation, ...linvel, ...angvel].forEach((value, i) => view.setFloat32(4 + i * 4, value, true));
+  return buffer;
+}
+
+export function decodeOwnCar(data) {
+  const view = ArrayBuffer.isView(data)
+    ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+    : new DataView(data);
+  const read = (from, count) => Array.from({ length: count }, (_, i) => view.getFloat32(4 + (from + i) * 4, true));
+  return {
+    inputSeq: view.getUint32(0, true),
+    position: read(0, 3),
+    rotation: read(3, 4),
+    linvel: read(7, 3),
+    angvel: read(10, 3),
+  };
+}